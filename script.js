@@ -19,20 +19,85 @@ class RhythmTracker {
     this._adaptive = 1.0; // multiplies thresholdMultiplier, slowly self-corrects
     this._adaptiveMin = 0.92;
     this._adaptiveMax = 1.18;
-
-    // BPM estimation via recent beat intervals
     this._lastBeatTs = 0;
-    this._intervals = new Float32Array(8);
-    this._intervalWrite = 0;
-    this._intervalCount = 0;
 
     // Edge / peak detection helpers
     this._prevRatio = 0;
     this._prevSmoothed = 0;
+
+    // Tempo: onset-strength envelope (spectral flux) resampled to a fixed hop,
+    // autocorrelation + comb filter over ~5 s, log-tempo prior against octave errors.
+    this.minBpm = 40;
+    this.maxBpm = 240;
+    this.hopMs = 10; // envelope sample period (100 Hz)
+    this.tempoIntervalMs = 250; // how often the tempo/phase estimate is refreshed
+    this.tempoConfidence = 0; // 0..1, smoothed
+    this.onsetStrength = 0; // latest envelope sample (rectified flux, ~0..1)
+    this._envSize = 512;
+    this._env = new Float32Array(this._envSize); // ring buffer
+    this._envWrite = 0;
+    this._envFilled = 0;
+    this._envLinear = new Float32Array(this._envSize); // oldest -> newest
+    this._acf = new Float32Array(this._envSize);
+    this._nextHopTs = 0;
+    this._lastTempoTs = 0;
+    this._prevSpectrum = new Float32Array(0);
+    this._fluxMean = 0;
+    this._pendingBpm = 0; // candidate tempo waiting to confirm a big jump
+    this._pendingCount = 0;
+
+    // Beat clock (phase-locked to the envelope): predicts beats instead of reacting.
+    // beatPhase 0..1 (0 = on the beat); beatPredicted is true on the frame it wraps.
+    this.beatPhase = 0;
+    this.beatPredicted = false;
+    this.beatsPerBar = 4;
+    this.beatInBar = 0; // 0 = downbeat
+    this.barPosition = 0; // 0..1 through the bar
+    this.downbeat = false; // true on the frame of a predicted downbeat
+    this.barLocked = false; // the downbeat slot has held for barLockBars bars
+    this.barAccentDecay = 0.85; // per bar: accents remember roughly the last 6 bars
+    this.downbeatMargin = 1.1; // a slot must beat the current one by 10% to take over
+    this.barLockBars = 2;
+    this._beatCounter = 0;
+    this._barAccent = new Float32Array(this.beatsPerBar);
+    this._downSlot = 0;
+    this._downSlotBars = 0; // bars the downbeat slot has been clearly loudest
+    this._beatPeak = 0;
+    this._lastUpdateTs = 0;
+  }
+
+  reset() {
+    this.beatDetected = false;
+    this.bpmEstimate = 0;
+    this.tempoConfidence = 0;
+    this.onsetStrength = 0;
+    this._env.fill(0);
+    this._envWrite = 0;
+    this._envFilled = 0;
+    this._nextHopTs = 0;
+    this._lastTempoTs = 0;
+    this._prevSpectrum = new Float32Array(0);
+    this._fluxMean = 0;
+    this._pendingBpm = 0;
+    this._pendingCount = 0;
+    this.beatPhase = 0;
+    this.beatPredicted = false;
+    this.beatInBar = 0;
+    this.barPosition = 0;
+    this.downbeat = false;
+    this.barLocked = false;
+    this._beatCounter = 0;
+    this._barAccent.fill(0);
+    this._downSlot = 0;
+    this._downSlotBars = 0;
+    this._beatPeak = 0;
+    this._lastUpdateTs = 0;
   }
 
   update(byteFrequencyData, sampleRate, timestampMs) {
     this.beatDetected = false;
+    this.beatPredicted = false;
+    this.downbeat = false;
     if (!byteFrequencyData || byteFrequencyData.length === 0 || !sampleRate) {
       this.currentEnergy = 0;
       this.smoothedEnergy *= 0.95;
@@ -90,6 +155,13 @@ class RhythmTracker {
 
     this._prevRatio = ratio;
     this._prevSmoothed = this.smoothedEnergy;
+
+    this._pushOnsetStrength(byteFrequencyData, timestampMs);
+    if (timestampMs - this._lastTempoTs >= this.tempoIntervalMs) {
+      this._lastTempoTs = timestampMs;
+      this._estimateTempo();
+    }
+    this._advanceBeatClock(timestampMs);
   }
 
   _recordBeat(timestampMs) {
@@ -107,21 +179,238 @@ class RhythmTracker {
         // drift slowly back toward neutral
         this._adaptive += (1.0 - this._adaptive) * 0.03;
       }
+    }
+    this._lastBeatTs = timestampMs;
+  }
+
+  // Spectral flux (half-wave rectified, mean-removed), held across frames so the
+  // envelope has a fixed hop regardless of the render frame rate.
+  _pushOnsetStrength(spectrum, timestampMs) {
+    const n = spectrum.length;
+    if (this._prevSpectrum.length !== n) {
+      this._prevSpectrum = new Float32Array(n);
+      for (let i = 0; i < n; i++) this._prevSpectrum[i] = spectrum[i];
+    }
+    // Tilt toward the low end so hats/cymbals don't out-vote the kick and snare.
+    let flux = 0;
+    let weightSum = 0;
+    for (let i = 0; i < n; i++) {
+      const weight = 1 / (1 + (8 * i) / n);
+      const d = spectrum[i] - this._prevSpectrum[i];
+      if (d > 0) flux += d * weight;
+      weightSum += weight;
+      this._prevSpectrum[i] = spectrum[i];
+    }
+    flux /= weightSum * 32; // byte spectrum is already log-scaled; ~0..1 for strong hits
+    this._fluxMean += (flux - this._fluxMean) * 0.02;
+    const onset = Math.max(0, flux - this._fluxMean);
+    this.onsetStrength = onset;
+
+    // Resync after pauses / hidden tabs instead of flooding the buffer.
+    if (!this._nextHopTs || timestampMs - this._nextHopTs > 1000) {
+      this._nextHopTs = timestampMs;
+    }
+    // The onset happened somewhere in this frame: spread it over the hops it spans.
+    const hops = Math.floor((timestampMs - this._nextHopTs) / this.hopMs) + 1;
+    const value = onset / hops;
+    for (let h = 0; h < hops; h++) {
+      this._env[this._envWrite] = value;
+      this._envWrite = (this._envWrite + 1) % this._envSize;
+      if (this._envFilled < this._envSize) this._envFilled++;
+      this._nextHopTs += this.hopMs;
+    }
+  }
 
-      // Keep plausible BPM (60..200) to avoid wild estimates
-      if (interval >= 300 && interval <= 1000) {
-        this._intervals[this._intervalWrite] = interval;
-        this._intervalWrite = (this._intervalWrite + 1) & 7; // size 8
-        if (this._intervalCount < 8) this._intervalCount++;
-
-        // Compute average interval (tiny array; no allocations)
-        let sum = 0;
-        for (let i = 0; i < this._intervalCount; i++) sum += this._intervals[i];
-        const avg = sum / this._intervalCount;
-        this.bpmEstimate = avg > 0 ? 60000 / avg : 0;
+  _estimateTempo() {
+    const N = this._envSize;
+    // Need a few seconds of history before the estimate means anything.
+    if (this._envFilled < N * 0.6) return;
+
+    // Unroll the ring (oldest -> newest) with a short [1 2 3 2 1] smoothing so
+    // frame-timing jitter doesn't split onset peaks across neighbouring hops.
+    const x = this._envLinear;
+    const env = this._env;
+    const w = this._envWrite;
+    let mean = 0;
+    for (let i = 0; i < N; i++) {
+      let sum = 3 * env[(w + i) % N];
+      if (i >= 1) sum += 2 * env[(w + i - 1) % N];
+      if (i >= 2) sum += env[(w + i - 2) % N];
+      if (i + 1 < N) sum += 2 * env[(w + i + 1) % N];
+      if (i + 2 < N) sum += env[(w + i + 2) % N];
+      x[i] = sum / 9;
+      mean += x[i];
+    }
+    mean /= N;
+    for (let i = 0; i < N; i++) x[i] -= mean;
+
+    const minLag = Math.floor(60000 / this.maxBpm / this.hopMs);
+    const maxLag = Math.ceil(60000 / this.minBpm / this.hopMs);
+    const acfMax = Math.min(N - 1, maxLag * 3);
+    const acf = this._acf;
+    for (let lag = 0; lag <= acfMax; lag++) {
+      let sum = 0;
+      for (let i = lag; i < N; i++) sum += x[i] * x[i - lag];
+      acf[lag] = sum / (N - lag);
+    }
+    if (acf[0] <= 1e-9) return;
+    for (let lag = acfMax; lag >= 0; lag--) acf[lag] /= acf[0];
+
+    // Comb filter: a true beat period also lines up at 2x and 3x its lag.
+    // Log-Gaussian prior around 120 BPM (1 octave wide) settles octave ambiguity.
+    let bestLag = -1;
+    let bestScore = -Infinity;
+    let scoreSum = 0;
+    let scoreCount = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      let comb = acf[lag];
+      if (lag * 2 <= acfMax) comb += 0.5 * acf[lag * 2];
+      if (lag * 3 <= acfMax) comb += 0.25 * acf[lag * 3];
+      const bpm = 60000 / (lag * this.hopMs);
+      const octaves = Math.log2(bpm / 120);
+      const score = comb * Math.exp(-0.5 * octaves * octaves);
+      scoreSum += score;
+      scoreCount++;
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
       }
     }
-    this._lastBeatTs = timestampMs;
+    if (bestLag < 0 || bestScore <= 0) {
+      this.tempoConfidence *= 0.9;
+      return;
+    }
+
+    // Parabolic refinement for sub-hop tempo resolution.
+    let lag = bestLag;
+    if (bestLag > minLag && bestLag < maxLag) {
+      const a = acf[bestLag - 1];
+      const b = acf[bestLag];
+      const c = acf[bestLag + 1];
+      const denom = a + c - 2 * b;
+      if (denom < 0) lag = bestLag + (0.5 * (a - c)) / denom;
+    }
+    const bpm = 60000 / (lag * this.hopMs);
+
+    const meanScore = scoreSum / Math.max(1, scoreCount);
+    const peakiness = clamp01((bestScore - meanScore) / (bestScore + 1e-6));
+    const periodicity = clamp01(acf[bestLag] / 0.4);
+    const confidence = peakiness * periodicity;
+    this.tempoConfidence += (confidence - this.tempoConfidence) * 0.3;
+
+    this._acceptTempo(bpm);
+    this._correctPhase(lag);
+  }
+
+  // Small drifts are smoothed in; big jumps (incl. octave flips) must repeat first.
+  _acceptTempo(bpm) {
+    const current = this.bpmEstimate;
+    if (!current) {
+      this.bpmEstimate = bpm;
+      return;
+    }
+    if (Math.abs(bpm - current) / current < 0.04) {
+      this.bpmEstimate += (bpm - current) * 0.25;
+      this._pendingCount = 0;
+      return;
+    }
+    if (this._pendingBpm && Math.abs(bpm - this._pendingBpm) / bpm < 0.04) {
+      this._pendingCount++;
+    } else {
+      this._pendingBpm = bpm;
+      this._pendingCount = 1;
+    }
+    // ~1 s of agreement (2 s for octave flips).
+    const ratio = bpm > current ? bpm / current : current / bpm;
+    const octaveFlip = Math.abs(ratio - 2) < 0.1;
+    if (this._pendingCount >= (octaveFlip ? 8 : 4)) {
+      this.bpmEstimate = bpm;
+      this._pendingCount = 0;
+    }
+  }
+
+  // Find where past beats sat in the envelope and nudge the beat clock toward it.
+  _correctPhase(lagHops) {
+    const period = (60000 / this.bpmEstimate / this.hopMs) | 0;
+    if (period < 2) return;
+    const x = this._envLinear;
+    const N = this._envSize;
+    let bestOffset = 0;
+    let bestSum = -Infinity;
+    for (let offset = 0; offset < period; offset++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) {
+        const i = N - 1 - offset - Math.round(k * lagHops);
+        if (i < 0) break;
+        sum += x[i] * (1 - k * 0.15); // recent beats count more
+      }
+      if (sum > bestSum) {
+        bestSum = sum;
+        bestOffset = offset;
+      }
+    }
+    const estimated = bestOffset / period; // phase elapsed since that beat
+    let err = estimated - this.beatPhase;
+    if (err > 0.5) err -= 1;
+    else if (err < -0.5) err += 1;
+    this.beatPhase += err * 0.25 * (0.3 + this.tempoConfidence * 0.7);
+    this.beatPhase -= Math.floor(this.beatPhase);
+  }
+
+  _advanceBeatClock(timestampMs) {
+    const dtMs =
+      this._lastUpdateTs > 0
+        ? Math.min(250, timestampMs - this._lastUpdateTs)
+        : 0;
+    this._lastUpdateTs = timestampMs;
+    if (!this.bpmEstimate || dtMs <= 0) return;
+
+    const prevPhase = this.beatPhase;
+    this.beatPhase += dtMs / (60000 / this.bpmEstimate);
+    if (this.beatPhase >= 1) {
+      this.beatPhase -= Math.floor(this.beatPhase);
+      this.beatPredicted = true;
+      this._beatCounter++;
+      this._beatPeak = 0;
+      this.beatInBar =
+        (this._beatCounter - this._downSlot + this.beatsPerBar) %
+        this.beatsPerBar;
+      this.downbeat = this.beatInBar === 0;
+    }
+    // Downbeat: the beat slot that is consistently loudest in the bass. The hit
+    // lands a little after the predicted beat, so take the peak over the first
+    // half of the beat and add it to the slot's accent at the midpoint. A new
+    // downbeat slot takes effect at the next beat.
+    this._beatPeak = Math.max(this._beatPeak, this.smoothedEnergy);
+    if (prevPhase < 0.5 && this.beatPhase >= 0.5) {
+      const slot = this._beatCounter % this.beatsPerBar;
+      this._barAccent[slot] += this._beatPeak;
+      if (slot === this.beatsPerBar - 1) this._updateDownSlot();
+    }
+    this.barPosition = (this.beatInBar + this.beatPhase) / this.beatsPerBar;
+  }
+
+  // Once per bar, after every slot got this bar's beat: the downbeat moves only
+  // to a slot that is clearly louder, then all accents decay together.
+  _updateDownSlot() {
+    const accent = this._barAccent;
+    const down = this._downSlot;
+    let best = down;
+    let others = 0; // loudest slot other than the current downbeat
+    for (let i = 0; i < accent.length; i++) {
+      if (accent[i] > accent[best]) best = i;
+      if (i !== down && accent[i] > others) others = accent[i];
+    }
+    if (best !== down && accent[best] > accent[down] * this.downbeatMargin) {
+      this._downSlot = best;
+      this._downSlotBars = 0;
+    } else if (accent[down] > others * this.downbeatMargin) {
+      this._downSlotBars++;
+    } else {
+      this._downSlotBars = 0;
+    }
+    this.barLocked = this._downSlotBars >= this.barLockBars;
+    for (let i = 0; i < accent.length; i++) accent[i] *= this.barAccentDecay;
   }
 }
 
@@ -277,6 +566,828 @@ class AdaptiveEnergyNormalizer {
   }
 }
 
+class StereoImage {
+  constructor() {
+    // Smoothed goniometer-style descriptors (no spikes; safe to drive visuals).
+    this.correlation = 1; // -1 (out of phase) .. 0 (uncorrelated) .. 1 (mono)
+    this.width = 0; // 0 (mono) .. ~0.5 (wide) .. 1 (side only)
+    this.balance = 0; // -1 (left) .. 1 (right)
+    // True when the right channel carries its own signal (not a mono upmix).
+    this.active = false;
+    this._activeScore = 0;
+    this.alpha = 0.12;
+    this.silenceRms = 1e-4;
+  }
+
+  reset() {
+    this.correlation = 1;
+    this.width = 0;
+    this.balance = 0;
+    this.active = false;
+    this._activeScore = 0;
+  }
+
+  /**
+   * @param {Float32Array} left - time-domain samples [-1..1]
+   * @param {Float32Array} right - same length as `left`
+   * @param {boolean} allowStereo - false when the source is known to be mono
+   */
+  update(left, right, allowStereo = true) {
+    const n = Math.min(left.length, right.length);
+    if (n === 0) return;
+
+    let ll = 0;
+    let rr = 0;
+    let lr = 0;
+    for (let i = 0; i < n; i++) {
+      const l = left[i];
+      const r = right[i];
+      ll += l * l;
+      rr += r * r;
+      lr += l * r;
+    }
+
+    // A mono source through ChannelSplitter leaves the right output silent.
+    const rRms = Math.sqrt(rr / n);
+    const target = allowStereo && rRms > this.silenceRms ? 1 : 0;
+    this._activeScore += (target - this._activeScore) * 0.2; // hysteresis vs. brief silences
+    if (this._activeScore > 0.6) this.active = true;
+    else if (this._activeScore < 0.4) this.active = false;
+    if (!this.active || ll + rr < 1e-9) return;
+
+    // Mid/side energies: |M|² + |S|² = (|L|² + |R|²) / 2
+    const mid = (ll + rr + 2 * lr) * 0.25;
+    const side = (ll + rr - 2 * lr) * 0.25;
+    const correlation = lr / Math.sqrt(Math.max(1e-12, ll * rr));
+    const width = Math.sqrt(side) / (Math.sqrt(mid) + Math.sqrt(side) + 1e-9);
+    const balance =
+      (Math.sqrt(rr) - Math.sqrt(ll)) / (Math.sqrt(rr) + Math.sqrt(ll));
+
+    const a = this.alpha;
+    this.correlation += (clamp(correlation, -1, 1) - this.correlation) * a;
+    this.width += (width - this.width) * a;
+    this.balance += (balance - this.balance) * a;
+  }
+}
+
+// ITU-R BS.1770 / EBU R128 pre-filter ("K-weighting"): high shelf + RLB high-pass,
+// re-derived for the context's sample rate. Returns [feedforward, feedback] pairs
+// for two IIRFilterNodes.
+function kWeightingCoefficients(sampleRate) {
+  // Stage 1: +4 dB high shelf (head diffraction)
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = [
+    [
+      (Vh + (Vb * K) / Q + K * K) / a0,
+      (2 * (K * K - Vh)) / a0,
+      (Vh - (Vb * K) / Q + K * K) / a0,
+    ],
+    [1, (2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  ];
+
+  // Stage 2: ~38 Hz high-pass (revised low-frequency B-curve)
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highpass = [
+    [1, -2, 1],
+    [1, (2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  ];
+  return [shelf, highpass];
+}
+
+const LOUDNESS_FFT_SIZE = 2048; // analysis window (~43 ms); must outlast a slow frame
+const LOUDNESS_FLOOR = -70; // absolute gate (LUFS); also the meter floor
+// Rows of the meter overlay (drawLoudnessMeter()): LoudnessMeter field, amber
+// and red thresholds in dB, and whether the -23 LUFS target is marked.
+const LOUDNESS_METER_ROWS = [
+  { label: "M", field: "momentary", warn: -14, over: -9, target: true },
+  { label: "S", field: "shortTerm", warn: -14, over: -9, target: true },
+  { label: "TP", field: "truePeak", warn: -6, over: -1, target: false },
+];
+
+class LoudnessMeter {
+  constructor() {
+    // Public readouts. LUFS/dB values are -Infinity when silent.
+    this.momentary = -Infinity; // LUFS, 400 ms window
+    this.shortTerm = -Infinity; // LUFS, 3 s window
+    this.integrated = -Infinity; // LUFS, gated (absolute -70, relative -10 LU) since reset
+    this.rms = -Infinity; // dBFS, unweighted, ~300 ms
+    this.peak = -Infinity; // dBFS sample peak, held
+    this.truePeak = -Infinity; // dBTP (4x oversampled), held
+    this.maxTruePeak = -Infinity; // dBTP since reset
+    this.peakHoldMs = 1500;
+
+    // 100 ms sub-blocks: 4 make a momentary (gating) block, 30 a short-term window.
+    this._subBlockMs = 100;
+    this._subBlocks = new Float64Array(30);
+    this._subWrite = 0;
+    this._subCount = 0;
+    this._accEnergy = 0;
+    this._accMs = 0;
+    this._rmsSquare = 0;
+    this._lastTs = 0;
+    this._holdTs = { peak: 0, truePeak: 0 };
+
+    // Integrated loudness: histogram of gating-block loudness, 0.1 LU bins from
+    // the absolute gate up to +5 LUFS, so memory stays fixed for long sessions.
+    this._histogram = new Uint32Array(750);
+
+    // 4x true-peak interpolator: windowed-sinc, 12 taps for each fractional phase.
+    this._tpPhases = [0.25, 0.5, 0.75].map((t) => {
+      const taps = new Float32Array(12);
+      for (let j = 0; j < 12; j++) {
+        const x = j - 5 - t; // taps cover samples n-5 .. n+6
+        const sinc = Math.sin(Math.PI * x) / (Math.PI * x);
+        const hann = 0.5 + 0.5 * Math.cos((Math.PI * x) / 6.5);
+        taps[j] = sinc * hann;
+      }
+      return taps;
+    });
+  }
+
+  reset() {
+    this.momentary = -Infinity;
+    this.shortTerm = -Infinity;
+    this.rms = -Infinity;
+    this.peak = -Infinity;
+    this.truePeak = -Infinity;
+    this._subBlocks.fill(0);
+    this._subWrite = 0;
+    this._subCount = 0;
+    this._accEnergy = 0;
+    this._accMs = 0;
+    this._rmsSquare = 0;
+    this._lastTs = 0;
+    this.resetIntegrated();
+  }
+
+  // Integrated loudness and max true peak accumulate until cleared (e.g. per show).
+  resetIntegrated() {
+    this.integrated = -Infinity;
+    this.maxTruePeak = -Infinity;
+    this._histogram.fill(0);
+  }
+
+  /**
+   * @param {Float32Array[]} weighted - K-weighted time-domain data, one per channel
+   * @param {Float32Array[]} raw - unweighted time-domain data (peak/RMS), same channels
+   * @param {number} channels - how many of the buffers carry signal (1 for mono sources)
+   * @param {number} timestampMs
+   */
+  update(weighted, raw, channels, timestampMs) {
+    const dtMs =
+      this._lastTs > 0
+        ? Math.min(this._subBlockMs, timestampMs - this._lastTs)
+        : 0;
+    this._lastTs = timestampMs;
+
+    // BS.1770 channel sum (L/R weights are 1): mean square of each channel, added.
+    let energy = 0;
+    let rawSquare = 0;
+    let peak = 0;
+    let truePeak = 0;
+    for (let c = 0; c < channels; c++) {
+      energy += this._meanSquare(weighted[c]);
+      const x = raw[c];
+      let sum = 0;
+      for (let i = 0; i < x.length; i++) {
+        const v = x[i];
+        sum += v * v;
+        const a = v < 0 ? -v : v;
+        if (a > peak) peak = a;
+      }
+      rawSquare += x.length ? sum / x.length : 0;
+      truePeak = Math.max(truePeak, this._truePeak(x));
+    }
+    rawSquare /= Math.max(1, channels);
+
+    if (dtMs > 0) {
+      this._accEnergy += energy * dtMs;
+      this._accMs += dtMs;
+      if (this._accMs >= this._subBlockMs) this._commitSubBlock();
+      const a = 1 - Math.exp(-dtMs / 300);
+      this._rmsSquare += (rawSquare - this._rmsSquare) * a;
+      this.rms = LoudnessMeter.toDb(this._rmsSquare, 10);
+    }
+
+    const tpDb = LoudnessMeter.toDb(Math.max(peak, truePeak), 20);
+    this._hold("peak", LoudnessMeter.toDb(peak, 20), timestampMs, dtMs);
+    this._hold("truePeak", tpDb, timestampMs, dtMs);
+    if (tpDb > this.maxTruePeak) this.maxTruePeak = tpDb;
+  }
+
+  _commitSubBlock() {
+    const N = this._subBlocks.length;
+    this._subBlocks[this._subWrite] = this._accEnergy / this._accMs;
+    this._subWrite = (this._subWrite + 1) % N;
+    if (this._subCount < N) this._subCount++;
+    this._accEnergy = 0;
+    this._accMs = 0;
+
+    const momentaryEnergy = this._windowEnergy(4);
+    this.momentary = LoudnessMeter.energyToLufs(momentaryEnergy);
+    this.shortTerm = LoudnessMeter.energyToLufs(this._windowEnergy(N));
+
+    // Each 400 ms block (75% overlap) is a gating block for integrated loudness.
+    if (this._subCount >= 4 && this.momentary > LOUDNESS_FLOOR) {
+      const bin = Math.min(
+        this._histogram.length - 1,
+        Math.floor((this.momentary - LOUDNESS_FLOOR) * 10),
+      );
+      this._histogram[bin]++;
+      this.integrated = this._gatedLoudness();
+    }
+  }
+
+  _windowEnergy(count) {
+    const N = this._subBlocks.length;
+    const n = Math.min(count, this._subCount);
+    if (n === 0) return 0;
+    let sum = 0;
+    for (let k = 1; k <= n; k++)
+      sum += this._subBlocks[(this._subWrite - k + N) % N];
+    return sum / n;
+  }
+
+  // Absolute gate is implied by the histogram range; apply the -10 LU relative gate.
+  _gatedLoudness() {
+    const hist = this._histogram;
+    let count = 0;
+    let energy = 0;
+    for (let i = 0; i < hist.length; i++) {
+      if (!hist[i]) continue;
+      count += hist[i];
+      energy +=
+        hist[i] * LoudnessMeter.lufsToEnergy(LOUDNESS_FLOOR + (i + 0.5) / 10);
+    }
+    if (!count) return -Infinity;
+    const relativeGate = LoudnessMeter.energyToLufs(energy / count) - 10;
+    const start = Math.max(
+      0,
+      Math.ceil((relativeGate - LOUDNESS_FLOOR) * 10 - 0.5),
+    );
+    count = 0;
+    energy = 0;
+    for (let i = start; i < hist.length; i++) {
+      if (!hist[i]) continue;
+      count += hist[i];
+      energy +=
+        hist[i] * LoudnessMeter.lufsToEnergy(LOUDNESS_FLOOR + (i + 0.5) / 10);
+    }
+    return count ? LoudnessMeter.energyToLufs(energy / count) : -Infinity;
+  }
+
+  _meanSquare(x) {
+    let sum = 0;
+    for (let i = 0; i < x.length; i++) sum += x[i] * x[i];
+    return x.length ? sum / x.length : 0;
+  }
+
+  // Max |sample| of the 4x-interpolated signal (inter-sample peaks).
+  _truePeak(x) {
+    let max = 0;
+    for (let n = 5; n < x.length - 6; n++) {
+      for (let p = 0; p < 3; p++) {
+        const taps = this._tpPhases[p];
+        let y = 0;
+        for (let j = 0; j < 12; j++) y += x[n - 5 + j] * taps[j];
+        if (y < 0) y = -y;
+        if (y > max) max = y;
+      }
+    }
+    return max;
+  }
+
+  // Hold new maxima for `peakHoldMs`, then fall back at 20 dB/s.
+  _hold(key, value, timestampMs, dtMs) {
+    const held = this[key];
+    if (value >= held) {
+      this[key] = value;
+      this._holdTs[key] = timestampMs;
+    } else if (timestampMs - this._holdTs[key] >= this.peakHoldMs) {
+      this[key] = Math.max(value, held - (20 * dtMs) / 1000);
+    }
+  }
+
+  static energyToLufs(energy) {
+    return energy > 0 ? -0.691 + 10 * Math.log10(energy) : -Infinity;
+  }
+
+  static lufsToEnergy(lufs) {
+    return Math.pow(10, (lufs + 0.691) / 10);
+  }
+
+  static toDb(value, scale) {
+    return value > 0 ? scale * Math.log10(value) : -Infinity;
+  }
+}
+
+const NOTE_NAMES = [
+  "C",
+  "C#",
+  "D",
+  "D#",
+  "E",
+  "F",
+  "F#",
+  "G",
+  "G#",
+  "A",
+  "A#",
+  "B",
+];
+
+/**
+ * Monophonic pitch detector (YIN: difference function, cumulative mean
+ * normalization, absolute threshold, parabolic interpolation) over a float
+ * time-domain buffer. Input is decimated to ~24 kHz to keep the O(N·lag) cost
+ * low enough to run every frame.
+ */
+class PitchDetector {
+  constructor() {
+    this.minHz = 60;
+    this.maxHz = 1500;
+    this.threshold = 0.15; // YIN absolute threshold (lower = stricter)
+    this.silenceRms = 0.01;
+    this.windowSize = 512; // samples after decimation (~21 ms at 24 kHz)
+
+    // Public readout (hz = 0 / pitchClass = -1 when unvoiced)
+    this.hz = 0;
+    this.midi = 0;
+    this.note = "";
+    this.octave = 0;
+    this.cents = 0;
+    this.pitchClass = -1;
+    this.confidence = 0; // 0..1, smoothed
+
+    this._buf = new Float32Array(0);
+    this._diff = new Float32Array(0);
+  }
+
+  reset() {
+    this.hz = 0;
+    this.midi = 0;
+    this.note = "";
+    this.octave = 0;
+    this.cents = 0;
+    this.pitchClass = -1;
+    this.confidence = 0;
+  }
+
+  update(samples, sampleRate) {
+    if (!samples || samples.length === 0 || !sampleRate) return;
+
+    const decim = sampleRate > 32000 ? 2 : 1;
+    const sr = sampleRate / decim;
+    const maxLag = Math.ceil(sr / this.minHz);
+    const minLag = Math.max(2, Math.floor(sr / this.maxHz));
+    const w = Math.min(
+      this.windowSize,
+      ((samples.length / decim) | 0) - maxLag,
+    );
+    if (w < 64) return;
+
+    const len = w + maxLag;
+    if (this._buf.length !== len) this._buf = new Float32Array(len);
+    if (this._diff.length !== maxLag + 1) {
+      this._diff = new Float32Array(maxLag + 1);
+    }
+    const x = this._buf;
+    const start = samples.length - len * decim; // newest samples
+    let sumSq = 0;
+    for (let i = 0; i < len; i++) {
+      const j = start + i * decim;
+      const v = decim === 2 ? (samples[j] + samples[j + 1]) * 0.5 : samples[j];
+      x[i] = v;
+      sumSq += v * v;
+    }
+    if (Math.sqrt(sumSq / len) < this.silenceRms) {
+      this._unvoiced();
+      return;
+    }
+
+    // Difference function + cumulative mean normalized difference (in place).
+    const d = this._diff;
+    d[0] = 1;
+    let running = 0;
+    let tau = -1;
+    for (let lag = 1; lag <= maxLag; lag++) {
+      let sum = 0;
+      for (let i = 0; i < w; i++) {
+        const delta = x[i] - x[i + lag];
+        sum += delta * delta;
+      }
+      running += sum;
+      d[lag] = running > 0 ? (sum * lag) / running : 1;
+      if (tau < 0 && lag >= minLag && d[lag] < this.threshold) tau = lag;
+      // Walk down to the local minimum once under the threshold.
+      if (tau > 0 && lag === tau + 1 && d[lag] < d[tau]) tau = lag;
+    }
+    if (tau < 0) {
+      this._unvoiced();
+      return;
+    }
+
+    // Parabolic interpolation around the minimum.
+    let refined = tau;
+    if (tau > 1 && tau < maxLag) {
+      const a = d[tau - 1];
+      const b = d[tau];
+      const c = d[tau + 1];
+      const denom = a + c - 2 * b;
+      if (denom > 0) refined = tau + (a - c) / (2 * denom);
+    }
+
+    const hz = sr / refined;
+    const certainty = clamp01(1 - d[tau]);
+    this.confidence += (certainty - this.confidence) * 0.35;
+    this._setNote(hz);
+  }
+
+  // Nearest equal-tempered note (A4 = 440 Hz) into the public readouts.
+  _setNote(hz) {
+    const midiFloat = 69 + 12 * Math.log2(hz / 440);
+    const midi = Math.round(midiFloat);
+    this.hz = hz;
+    this.midi = midi;
+    this.pitchClass = ((midi % 12) + 12) % 12;
+    this.note = NOTE_NAMES[this.pitchClass];
+    this.octave = Math.floor(midi / 12) - 1;
+    this.cents = Math.round((midiFloat - midi) * 100);
+  }
+
+  _unvoiced() {
+    this.confidence *= 0.8;
+    if (this.confidence < 0.2) {
+      this.hz = 0;
+      this.pitchClass = -1;
+    }
+  }
+}
+
+// Krumhansl–Kessler key profiles (tonic first), mean-centered once for correlation.
+const KEY_PROFILES = (() => {
+  const center = (p) => {
+    const mean = p.reduce((a, b) => a + b, 0) / p.length;
+    return p.map((v) => v - mean);
+  };
+  return {
+    major: center([
+      6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88,
+    ]),
+    minor: center([
+      6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17,
+    ]),
+  };
+})();
+
+/**
+ * 12-bin chromagram from a float (dB) spectrum, plus:
+ * - a running key estimate (Krumhansl–Schmuckler on long-term chroma, with hysteresis)
+ * - the current major/minor triad and a debounced chord-change signal
+ */
+class ChromaAnalyzer {
+  constructor() {
+    this.minHz = 65; // C2
+    this.maxHz = 2100; // ~C7; above this harmonics dominate
+    this.silenceDb = -75; // loudest in-range bin below this = no update
+
+    this.chroma = new Float32Array(12); // short-term, normalized to max = 1
+    this.keyTonic = -1; // pitch class, -1 = unknown
+    this.keyMode = "major"; // "major" | "minor"
+    this.keyName = "";
+    this.keyConfidence = 0; // 0..1, smoothed
+    this.chord = ""; // e.g. "Am"
+    this.chordChanged = false; // true for the frame a new chord settles
+    this.chordChangeEnv = 0; // 1 on change, decays over ~0.5 s
+
+    this._longTerm = new Float32Array(12);
+    this._frame = new Float32Array(12);
+    this._keyScores = new Float32Array(24); // [0..11] major, [12..23] minor
+    this._binPc = new Int8Array(0);
+    this._binWeight = new Float32Array(0);
+    this._mapKey = "";
+    this._candidate = "";
+    this._candidateFrames = 0;
+    this.chordHoldFrames = 6;
+    this._lastTs = 0;
+  }
+
+  reset() {
+    this.chroma.fill(0);
+    this._longTerm.fill(0);
+    this.keyTonic = -1;
+    this.keyMode = "major";
+    this.keyName = "";
+    this.keyConfidence = 0;
+    this.chord = "";
+    this.chordChanged = false;
+    this.chordChangeEnv = 0;
+    this._candidate = "";
+    this._candidateFrames = 0;
+    this._lastTs = 0;
+  }
+
+  /**
+   * @param {Float32Array} dbSpectrum - AnalyserNode.getFloatFrequencyData output
+   * @param {number} sampleRate
+   * @param {number} timestampMs
+   */
+  update(dbSpectrum, sampleRate, timestampMs) {
+    this.chordChanged = false;
+    const dtMs =
+      this._lastTs > 0 ? Math.max(0, timestampMs - this._lastTs) : 16;
+    this._lastTs = timestampMs;
+    this.chordChangeEnv = Math.max(0, this.chordChangeEnv - dtMs * 0.002);
+    if (!dbSpectrum || dbSpectrum.length === 0 || !sampleRate) return;
+    this._ensureBinMap(dbSpectrum.length, sampleRate);
+
+    // Fold bin magnitudes into pitch classes.
+    const frame = this._frame;
+    frame.fill(0);
+    let loudest = -Infinity;
+    for (let i = 0; i < dbSpectrum.length; i++) {
+      const pc = this._binPc[i];
+      if (pc < 0) continue;
+      const db = dbSpectrum[i];
+      if (db > loudest) loudest = db;
+      frame[pc] += Math.pow(10, db / 20) * this._binWeight[i];
+    }
+    if (!(loudest > this.silenceDb)) return; // silence: hold key/chord
+
+    let max = 0;
+    for (let pc = 0; pc < 12; pc++) if (frame[pc] > max) max = frame[pc];
+    if (max <= 0) return;
+    for (let pc = 0; pc < 12; pc++) {
+      const v = frame[pc] / max;
+      this.chroma[pc] += (v - this.chroma[pc]) * 0.3;
+      this._longTerm[pc] += (v - this._longTerm[pc]) * 0.006; // ~4 s memory
+    }
+
+    this._updateKey();
+    this._updateChord();
+  }
+
+  _ensureBinMap(binCount, sampleRate) {
+    const key = `${binCount}|${sampleRate}`;
+    if (key === this._mapKey) return;
+    this._mapKey = key;
+    this._binPc = new Int8Array(binCount).fill(-1);
+    this._binWeight = new Float32Array(binCount);
+    const hzPerBin = sampleRate / 2 / binCount;
+    for (let i = 1; i < binCount; i++) {
+      const hz = i * hzPerBin;
+      if (hz < this.minHz || hz > this.maxHz) continue;
+      const midi = 69 + 12 * Math.log2(hz / 440);
+      const nearest = Math.round(midi);
+      // Bins near a semitone center count fully; bins between two notes fade out.
+      const dev = Math.abs(midi - nearest);
+      this._binPc[i] = ((nearest % 12) + 12) % 12;
+      this._binWeight[i] = Math.cos(dev * Math.PI) ** 2;
+    }
+  }
+
+  _updateKey() {
+    const lt = this._longTerm;
+    let mean = 0;
+    for (let pc = 0; pc < 12; pc++) mean += lt[pc];
+    mean /= 12;
+    let varC = 0;
+    for (let pc = 0; pc < 12; pc++) varC += (lt[pc] - mean) ** 2;
+    if (varC <= 1e-9) return;
+
+    // Pearson correlation of long-term chroma with all 24 rotated profiles.
+    let best = 0;
+    for (let k = 0; k < 24; k++) {
+      const profile = k < 12 ? KEY_PROFILES.major : KEY_PROFILES.minor;
+      const tonic = k % 12;
+      let num = 0;
+      let varP = 0;
+      for (let pc = 0; pc < 12; pc++) {
+        const p = profile[(pc - tonic + 12) % 12];
+        num += (lt[pc] - mean) * p;
+        varP += p * p;
+      }
+      this._keyScores[k] = num / Math.sqrt(varC * varP);
+      if (this._keyScores[k] > this._keyScores[best]) best = k;
+    }
+
+    // Hysteresis: only leave the current key for a clearly better one.
+    const current =
+      this.keyTonic < 0
+        ? -1
+        : this.keyTonic + (this.keyMode === "minor" ? 12 : 0);
+    const chosen =
+      current >= 0 && this._keyScores[best] < this._keyScores[current] + 0.05
+        ? current
+        : best;
+
+    // Confidence: fit quality vs. the best unrelated key (the relative
+    // major/minor shares the same notes, so it is not a competitor).
+    const relative = chosen < 12 ? ((chosen + 9) % 12) + 12 : (chosen + 3) % 12;
+    let rival = -Infinity;
+    for (let k = 0; k < 24; k++) {
+      if (k === chosen || k === relative) continue;
+      if (this._keyScores[k] > rival) rival = this._keyScores[k];
+    }
+    const fit = this._keyScores[chosen];
+    const target = clamp01(fit) * clamp01((fit - rival) * 8);
+    this.keyConfidence += (target - this.keyConfidence) * 0.05;
+
+    this.keyTonic = chosen % 12;
+    this.keyMode = chosen < 12 ? "major" : "minor";
+    this.keyName = `${NOTE_NAMES[this.keyTonic]}${this.keyMode === "minor" ? "m" : ""}`;
+  }
+
+  _updateChord() {
+    // Cosine similarity with major (0,4,7) and minor (0,3,7) triad templates.
+    const c = this.chroma;
+    let norm = 0;
+    for (let pc = 0; pc < 12; pc++) norm += c[pc] * c[pc];
+    if (norm <= 1e-9) return;
+    const templateNorm = Math.sqrt(3 * norm);
+    let bestName = "";
+    let bestScore = 0.55; // below this nothing triad-like is playing
+    for (let root = 0; root < 12; root++) {
+      const fifth = c[(root + 7) % 12] + c[root];
+      const major = (fifth + c[(root + 4) % 12]) / templateNorm;
+      const minor = (fifth + c[(root + 3) % 12]) / templateNorm;
+      if (major > bestScore) {
+        bestScore = major;
+        bestName = NOTE_NAMES[root];
+      }
+      if (minor > bestScore) {
+        bestScore = minor;
+        bestName = `${NOTE_NAMES[root]}m`;
+      }
+    }
+    if (!bestName) return;
+
+    // Debounce: a new chord must win several frames in a row.
+    if (bestName === this._candidate) this._candidateFrames++;
+    else {
+      this._candidate = bestName;
+      this._candidateFrames = 1;
+    }
+    if (
+      this._candidateFrames >= this.chordHoldFrames &&
+      bestName !== this.chord
+    ) {
+      if (this.chord) {
+        this.chordChanged = true;
+        this.chordChangeEnv = 1;
+      }
+      this.chord = bestName;
+    }
+  }
+}
+
+/** Band scales understood by BandMapper ("linear" = raw FFT bins, no mapping). */
+const BAND_SCALES = ["linear", "log", "mel", "bark", "octave3", "octave6"];
+
+/**
+ * Aggregates linear FFT bins into perceptual bands (log, Mel, Bark, 1/3 or 1/6
+ * octave) so bar-style modes give bass and treble a musically balanced share.
+ * Band edges are cached and rebuilt only when scale, count, bin count or
+ * sample rate change.
+ */
+class BandMapper {
+  constructor({ scale = "log", bandCount = 96 } = {}) {
+    this.scale = scale;
+    this.bandCount = bandCount; // ignored by the octave scales (fixed spacing)
+    this.minHz = 20;
+    this.maxHz = 20000;
+    // Treble boost above tiltPivotHz (replaces applyHighEndBoost() for mapped modes).
+    this.tiltDbPerOctave = 3;
+    this.tiltPivotHz = 1000;
+
+    this.out = new Float32Array(0);
+    this.centersHz = new Float32Array(0);
+    this._lo = new Float32Array(0);
+    this._hi = new Float32Array(0);
+    this._tiltDb = new Float32Array(0);
+    this._key = "";
+  }
+
+  configure({ scale, bandCount } = {}) {
+    if (BAND_SCALES.includes(scale)) this.scale = scale;
+    if (Number.isFinite(bandCount)) this.bandCount = bandCount | 0;
+  }
+
+  /**
+   * @param {ArrayLike<number>} spectrum - byte-scaled magnitudes (0..255), one per bin
+   * @param {number} sampleRate
+   * @param {number} dbRange - analyser maxDecibels - minDecibels (for the tilt)
+   * @returns {Float32Array} band magnitudes (0..255); reused between calls
+   */
+  map(spectrum, sampleRate, dbRange = 70) {
+    const binCount = spectrum.length;
+    if (binCount === 0 || !sampleRate) return this.out;
+    this._ensureBands(binCount, sampleRate);
+
+    const hzPerBin = (sampleRate * 0.5) / binCount;
+    const bytesPerDb = 255 / Math.max(1, dbRange);
+    const out = this.out;
+    for (let b = 0; b < out.length; b++) {
+      const lo = this._lo[b];
+      const hi = this._hi[b];
+      let v;
+      if (hi - lo < 1) {
+        // Band narrower than a bin (bass at low resolution): interpolate at its center.
+        const c = Math.min(binCount - 1, this.centersHz[b] / hzPerBin);
+        const i0 = c | 0;
+        const i1 = Math.min(binCount - 1, i0 + 1);
+        const f = c - i0;
+        v = spectrum[i0] * (1 - f) + spectrum[i1] * f;
+      } else {
+        // Peak of the covered bins keeps narrow tones from being averaged away.
+        v = 0;
+        const end = Math.min(binCount, Math.ceil(hi));
+        for (let i = lo | 0; i < end; i++) {
+          if (spectrum[i] > v) v = spectrum[i];
+        }
+      }
+      if (v > 0) v = Math.min(255, v + this._tiltDb[b] * bytesPerDb);
+      out[b] = v;
+    }
+    return out;
+  }
+
+  _ensureBands(binCount, sampleRate) {
+    const key = `${this.scale}|${this.bandCount}|${binCount}|${sampleRate}`;
+    if (key === this._key) return;
+    this._key = key;
+
+    const nyquist = sampleRate * 0.5;
+    const hzPerBin = nyquist / binCount;
+    // Below the first bin there is nothing to resolve; don't spend bands on it.
+    const minHz = Math.max(this.minHz, hzPerBin);
+    const maxHz = Math.min(this.maxHz, nyquist);
+    const edges = BandMapper.edgesFor(this.scale, this.bandCount, minHz, maxHz);
+
+    const n = edges.length - 1;
+    this.out = new Float32Array(n);
+    this.centersHz = new Float32Array(n);
+    this._lo = new Float32Array(n);
+    this._hi = new Float32Array(n);
+    this._tiltDb = new Float32Array(n);
+    for (let b = 0; b < n; b++) {
+      const center = Math.sqrt(edges[b] * edges[b + 1]);
+      this.centersHz[b] = center;
+      this._lo[b] = edges[b] / hzPerBin;
+      this._hi[b] = edges[b + 1] / hzPerBin;
+      const octavesAbove = Math.log2(center / this.tiltPivotHz);
+      this._tiltDb[b] = Math.max(0, octavesAbove) * this.tiltDbPerOctave;
+    }
+  }
+
+  /** Ascending band edges in Hz (length = bands + 1). */
+  static edgesFor(scale, bandCount, minHz, maxHz) {
+    if (scale === "octave3" || scale === "octave6") {
+      // Fractional-octave bands on the standard 1 kHz grid.
+      const perOctave = scale === "octave3" ? 3 : 6;
+      const half = 1 / (2 * perOctave);
+      const kMin = Math.ceil(Math.log2(minHz / 1000) * perOctave);
+      const kMax = Math.floor(Math.log2(maxHz / 1000) * perOctave);
+      const edges = [];
+      for (let k = kMin; k <= kMax; k++) {
+        edges.push(1000 * Math.pow(2, k / perOctave - half));
+      }
+      edges.push(1000 * Math.pow(2, kMax / perOctave + half));
+      return edges.map((hz) => clamp(hz, minHz, maxHz));
+    }
+
+    // Uniform steps on a warped axis (log2 / Mel / Bark), mapped back to Hz.
+    const warp = {
+      log: [Math.log2, (x) => Math.pow(2, x)],
+      mel: [
+        (hz) => 2595 * Math.log10(1 + hz / 700),
+        (m) => 700 * (Math.pow(10, m / 2595) - 1),
+      ],
+      // Traunmüller's Bark approximation (has a closed-form inverse).
+      bark: [
+        (hz) => (26.81 * hz) / (1960 + hz) - 0.53,
+        (z) => (1960 * (z + 0.53)) / (26.28 - z),
+      ],
+    }[scale] || [Math.log2, (x) => Math.pow(2, x)];
+
+    const count = Math.max(1, bandCount | 0);
+    const [toScale, fromScale] = warp;
+    const a = toScale(minHz);
+    const b = toScale(maxHz);
+    const edges = new Array(count + 1);
+    for (let i = 0; i <= count; i++) {
+      edges[i] = fromScale(a + ((b - a) * i) / count);
+    }
+    return edges;
+  }
+}
+
 class StyleEngine {
   constructor() {
     // Public, smoothed classification (string label for debugging/telemetry)
@@ -325,10 +1436,32 @@ class StyleEngine {
       // Subtle rhythmic modulation
       beatEnv: 0,
 
-      // Optional recommendation (no auto-switch by default)
+      // Beat clock (from RhythmTracker), for animating *on* the beat:
+      // - `beatPhase`: 0..1 through the current beat (0 = predicted beat).
+      // - `barPhase`: 0..1 through the bar (0 = predicted downbeat).
+      // - `tempoConfidence`: 0..1; treat phases as meaningless when low.
+      beatPhase: 0,
+      barPhase: 0,
+      tempoConfidence: 0,
+
+      // Harmony (from ChromaAnalyzer)
+      // - `keyHue`: 0..360 palette rotation for the estimated key (circle of fifths;
+      //   relative major/minor share a hue). Eases slowly and holds when unsure.
+      // - `keyWeight`: smoothed key confidence (0..1).
+      // - `chordEnv`: 1 on a chord change, decays over ~0.5 s.
+      keyHue: 0,
+      keyWeight: 0,
+      chordEnv: 0,
+
+      // Suggested mode (Auto mode "Follow the music" switches to it)
       recommendedVisualType: "frequency3x",
     };
 
+    // Modes the recommendation picks from: { id, style?: { energy, variability } }
+    // entries (see VisualizationRegistry#register()). Empty keeps the original
+    // three-way suggestion.
+    this.modePool = [];
+
     // Tunables (kept conservative to avoid jitter)
     this._alphaEnergy = 0.04;
     this._alphaVariability = 0.06;
@@ -350,6 +1483,14 @@ class StyleEngine {
     dominantBand,
     beatDetected,
     bpmEstimate,
+    beatPredicted = false,
+    beatPhase = 0,
+    barPosition = 0,
+    tempoConfidence = 0,
+    keyTonic = -1,
+    keyMode = "major",
+    keyConfidence = 0,
+    chordChangeEnv = 0,
   }) {
     // Time step (for beat envelope decay)
     const ts = typeof timestampMs === "number" ? timestampMs : 0;
@@ -366,8 +1507,10 @@ class StyleEngine {
     this.mid += (clamp01(midNorm) - this.mid) * this._alphaBands;
     this.high += (clamp01(highNorm) - this.high) * this._alphaBands;
 
-    // Beat envelope: quick rise on beat, smooth decay
-    if (beatDetected) this._beatEnv = Math.min(1, this._beatEnv + 0.25);
+    // Beat envelope: quick rise on beat, smooth decay. Once the tempo is locked,
+    // follow the predicted beat clock so the pulse lands on the beat, not after it.
+    const onBeat = tempoConfidence >= 0.5 ? beatPredicted : beatDetected;
+    if (onBeat) this._beatEnv = Math.min(1, this._beatEnv + 0.25);
     const beatDecayPerMs = 0.0016; // ~0.6s to fade from 1 -> 0
     this._beatEnv = Math.max(0, this._beatEnv - dtMs * beatDecayPerMs);
 
@@ -399,6 +1542,8 @@ class StyleEngine {
       bandLabel,
       bpmEstimate: typeof bpmEstimate === "number" ? bpmEstimate : 0,
       beatEnv: this._beatEnv,
+      keyConfidence,
+      chordEnv: chordChangeEnv,
     });
 
     // Smooth outputs (single object reused; no allocations)
@@ -416,9 +1561,32 @@ class StyleEngine {
 
     // Expose beat envelope for subtle modulation
     this.out.beatEnv = this._beatEnv;
+    this.out.beatPhase = beatPhase;
+    this.out.barPhase = barPosition;
+    this.out.tempoConfidence = tempoConfidence;
+    this.out.chordEnv = clamp01(chordChangeEnv);
+    this._updateKeyHue(keyTonic, keyMode, keyConfidence);
+  }
+
+  _updateKeyHue(keyTonic, keyMode, keyConfidence) {
+    if (keyTonic < 0 || keyConfidence < 0.3) return;
+    const relativeMajor = keyMode === "minor" ? (keyTonic + 3) % 12 : keyTonic;
+    const target = ((relativeMajor * 7) % 12) * 30;
+    let delta = (target - this.out.keyHue) % 360;
+    if (delta > 180) delta -= 360;
+    else if (delta < -180) delta += 360;
+    this.out.keyHue = (this.out.keyHue + delta * 0.02 + 360) % 360;
   }
 
-  _computeTargets({ energy, variability, bandLabel, bpmEstimate, beatEnv }) {
+  _computeTargets({
+    energy,
+    variability,
+    bandLabel,
+    bpmEstimate,
+    beatEnv,
+    keyConfidence = 0,
+    chordEnv = 0,
+  }) {
     // Spectrum smoothing: more snappy when energetic/dynamic, smoother when calm/stable
     const spectrumAlpha =
       lerp(0.1, 0.2, 1 - energy) * lerp(1.05, 0.85, variability);
@@ -473,7 +1641,11 @@ class StyleEngine {
         1.15,
       ),
       // Subtle continuous color drift driver (0..1). No direct hue jumps are applied by default.
-      colorShift: clamp01(lerp(0.25, 0.75, bpmNorm) * 0.7 + beatEnv * 0.2),
+      // Chord changes nudge it too, so harmony moves color slightly even without a beat.
+      colorShift: clamp01(
+        lerp(0.25, 0.75, bpmNorm) * 0.7 + beatEnv * 0.2 + chordEnv * 0.15,
+      ),
+      keyWeight: clamp01(keyConfidence),
 
       barSpacingScale: clamp(barSpacingScale, 0.8, 1.2),
       barWidthScale: clamp(barWidthScale, 0.85, 1.2),
@@ -486,6 +1658,7 @@ class StyleEngine {
   }
 
   _recommendMode({ energyLabel, variabilityLabel, bandLabel, bpmEstimate }) {
+    if (this.modePool.length) return this._nearestMode(this.modePool);
     // Conservative, "suggestion-only" recommendations.
     // Avoid rapid changes: recommendation itself is not auto-applied unless user enables it.
     if (energyLabel === "low" && variabilityLabel === "smooth")
@@ -495,6 +1668,27 @@ class StyleEngine {
     return "frequency4x";
   }
 
+  // Pool mode whose `style` (where it looks best: energy and variability,
+  // 0..1, default 0.5) is nearest the smoothed descriptors. The current pick
+  // stays until another is clearly closer, so the suggestion doesn't flicker.
+  _nearestMode(pool) {
+    const current = this.out.recommendedVisualType;
+    let best = pool[0].id;
+    let bestDist = Infinity;
+    let currentDist = Infinity;
+    for (const mode of pool) {
+      const de = this.energy - (mode.style?.energy ?? 0.5);
+      const dv = this.variability - (mode.style?.variability ?? 0.5);
+      const dist = Math.sqrt(de * de + dv * dv);
+      if (dist < bestDist) {
+        best = mode.id;
+        bestDist = dist;
+      }
+      if (mode.id === current) currentDist = dist;
+    }
+    return currentDist - bestDist < 0.06 ? current : best;
+  }
+
   _hysteresisEnergyLabel(x, prev) {
     // Thresholds (with hysteresis band) tuned for combinedNorm 0..1.
     const lowToMid = 0.32;
@@ -529,6 +1723,83 @@ class StyleEngine {
   }
 }
 
+const AUTO_MODE_DEFAULTS = { mode: "off", bars: 8, align: "bar", modes: [] };
+const AUTO_MODE_TYPES = ["off", "style", "sequence"];
+const AUTO_MODE_ALIGNS = ["none", "beat", "bar", "phrase"];
+const AUTO_MODE_BAR_LIMITS = { min: 1, max: 64 };
+const AUTO_MODE_PHRASE_BARS = 4;
+const AUTO_MODE_FALLBACK_BAR_MS = 2000; // a 4/4 bar at 120 BPM
+
+/**
+ * Decides when Auto mode switches modes. With settings.mode "style" it follows
+ * StyleEngine's recommendation, holding each mode for at least `bars` bars;
+ * with "sequence" it steps through the pool every `bars` bars. A due switch
+ * waits for the next beat, downbeat or phrase start (every
+ * AUTO_MODE_PHRASE_BARS downbeats) per `settings.align`, though never longer
+ * than a phrase. Phrases count downbeats from the last switch. Bars follow
+ * the tracked tempo; while it is unsure they are AUTO_MODE_FALLBACK_BAR_MS
+ * long and bar/phrase alignment falls back to detected beats, and until the
+ * downbeat has settled (rhythm.barLocked) to predicted beats.
+ */
+class AutoModeScheduler {
+  constructor() {
+    this._bars = 0; // bars since the last switch
+    this._downbeats = 0; // downbeats since the last switch
+    this._lastUpdateTs = 0;
+  }
+
+  /** Starts a new hold; call on every mode change, manual or automatic. */
+  restart() {
+    this._bars = 0;
+    this._downbeats = 0;
+  }
+
+  /** Mode to switch to now, or null. `pool` is the modes in rotation, in order. */
+  update(timestampMs, settings, current, recommended, pool, rhythm) {
+    const dtMs =
+      this._lastUpdateTs > 0
+        ? Math.min(250, Math.max(0, timestampMs - this._lastUpdateTs))
+        : 0;
+    this._lastUpdateTs = timestampMs;
+    const confident = rhythm.tempoConfidence >= 0.5 && rhythm.bpmEstimate > 0;
+    const barMs = confident
+      ? (rhythm.beatsPerBar * 60000) / rhythm.bpmEstimate
+      : AUTO_MODE_FALLBACK_BAR_MS;
+    this._bars += dtMs / barMs;
+    if (confident && rhythm.downbeat) this._downbeats++;
+    // The downbeat N bars on can land a hair before N bars have added up.
+    const slack = settings.align === "none" ? 0 : 0.25;
+    if (this._bars < settings.bars - slack) return null;
+
+    const next =
+      settings.mode === "sequence"
+        ? this._following(current, pool)
+        : recommended;
+    if (!next || next === current) return null;
+    const overdue = this._bars >= settings.bars + AUTO_MODE_PHRASE_BARS;
+    if (!overdue && !this._aligned(settings.align, rhythm, confident)) {
+      return null;
+    }
+    return next;
+  }
+
+  _following(current, pool) {
+    if (!pool.length) return null;
+    const index = pool.findIndex((mode) => mode.id === current);
+    return pool[(index + 1) % pool.length].id;
+  }
+
+  _aligned(align, rhythm, confident) {
+    if (align === "none") return true;
+    if (!confident) return rhythm.beatDetected;
+    if (align === "beat" || !rhythm.barLocked) return rhythm.beatPredicted;
+    if (align === "phrase") {
+      return rhythm.downbeat && this._downbeats % AUTO_MODE_PHRASE_BARS === 0;
+    }
+    return rhythm.downbeat;
+  }
+}
+
 function clamp(x, min, max) {
   return x < min ? min : x > max ? max : x;
 }
@@ -539,8 +1810,21 @@ function lerp(a, b, t) {
   return a + (b - a) * t;
 }
 
-/** H in degrees 0..360, S/L in 0..1. Returns [r,g,b] bytes. */
-function hslToRgbBytes(h, s, l) {
+/** Seconds -> "m:ss" (non-finite values render as 0:00). */
+function formatTime(seconds) {
+  const total = Number.isFinite(seconds) && seconds > 0 ? seconds | 0 : 0;
+  const m = (total / 60) | 0;
+  const s = total % 60;
+  return `${m}:${s < 10 ? "0" : ""}${s}`;
+}
+
+/** dB/LUFS value -> "-18.2" (silence and anything below the meter floor render as "-∞"). */
+function formatLevel(db) {
+  return Number.isFinite(db) && db > LOUDNESS_FLOOR ? db.toFixed(1) : "-∞";
+}
+
+/** H in degrees 0..360, S/L in 0..1. Returns [r,g,b] bytes, or writes them into `out` at `offset`. */
+function hslToRgbBytes(h, s, l, out = [0, 0, 0], offset = 0) {
   h = ((h % 360) + 360) % 360;
   s = clamp(s, 0, 1);
   l = clamp(l, 0, 1);
@@ -570,840 +1854,6953 @@ function hslToRgbBytes(h, s, l) {
     b1 = x;
   }
   const m = l - c / 2;
-  return [
-    Math.round(clamp((r1 + m) * 255, 0, 255)),
-    Math.round(clamp((g1 + m) * 255, 0, 255)),
-    Math.round(clamp((b1 + m) * 255, 0, 255)),
-  ];
+  out[offset] = Math.round(clamp((r1 + m) * 255, 0, 255));
+  out[offset + 1] = Math.round(clamp((g1 + m) * 255, 0, 255));
+  out[offset + 2] = Math.round(clamp((b1 + m) * 255, 0, 255));
+  return out;
 }
 
-class AudioVisualizer {
+/**
+ * Minimal event emitter (no DOM dependency; listeners receive a single detail object).
+ */
+class Emitter {
   constructor() {
-    this.audioContext = null;
-    this.analyser = null;
-    this.microphone = null;
-    this.gainNode = null;
-    this.isPlaying = false;
-    this.animationId = null;
-    this.screenShare = null;
+    this._listeners = new Map();
+  }
 
-    this.canvas = document.getElementById("visualizer");
-    this.ctx = this.canvas.getContext("2d");
-    this.canvas.width = 1400;
-    this.canvas.height = 800;
+  /** @returns {() => void} unsubscribe function */
+  on(type, fn) {
+    let set = this._listeners.get(type);
+    if (!set) {
+      set = new Set();
+      this._listeners.set(type, set);
+    }
+    set.add(fn);
+    return () => this.off(type, fn);
+  }
 
-    this.dataArray = new Uint8Array(128);
-    this.frequencyData = new Uint8Array(128);
-    this.smoothedFrequencyData = new Float32Array(128);
-    this.boostedFrequencyData = new Float32Array(128);
+  off(type, fn) {
+    const set = this._listeners.get(type);
+    if (set) set.delete(fn);
+  }
 
-    // Lissajous mode buffers (time-domain smoothing; no per-frame allocations)
-    // Stored as normalized floats in [-1..1]
-    this._lissX = new Float32Array(this.dataArray.length);
-    this._lissY = new Float32Array(this.dataArray.length);
-    this._lissOffset = (this.dataArray.length * 0.25) | 0; // phase offset fallback (pseudo-stereo)
-    this._lissT = 0; // running phase for infinity motion
+  emit(type, detail) {
+    const set = this._listeners.get(type);
+    if (!set || set.size === 0) return;
+    for (const fn of set) {
+      try {
+        fn(detail);
+      } catch (error) {
+        console.error(`Error in "${type}" listener:`, error);
+      }
+    }
+  }
+}
 
-    // Rhythm / beat tracking (kept lightweight, no per-frame allocations)
-    this.rhythm = new RhythmTracker();
-    this.energyNorm = new AdaptiveEnergyNormalizer();
-    this.style = new StyleEngine();
-    this.behavior = this.style.out;
-    // Continuous (non-beat) energy signal for visuals (smoothed; no spikes)
-    this.visualEnergy = 0; // 0..1-ish
-    this.visualScale = 1; // smoothed scale derived from visualEnergy
-    this.visualIntensity = 0; // 0..1 subtle global intensity (no flashing)
-    // Adaptive smoothing state (fast tracks vs slow tracks)
-    this._prevTargetEnergy = 0;
-    this._deltaEnv = 0.02; // rolling “typical delta” envelope to normalize change rate
+// Per-band onset detection; band edges come from AdaptiveEnergyNormalizer
+// (low = kick, mid = snare/vocals, high = hats/cymbals).
+const ONSET_BANDS = ["kick", "snare", "hat"];
+
+/**
+ * Emits `"onset"` with `{ band, strength, timestampMs }` (strength 0..1) when a
+ * band's spectral flux jumps above its adaptive threshold.
+ */
+class OnsetDetector extends Emitter {
+  constructor(energyNorm) {
+    super();
+    this.energyNorm = energyNorm;
+    this.thresholdDeviations = 2.2; // mean + k * mean deviation (higher = fewer events)
+    this.minFlux = 0.004; // ignore flux below this (noise floor on the byte spectrum)
+    // Debounce per band: kicks ring longer than hats.
+    this.refractoryMs = { kick: 120, snare: 90, hat: 60 };
+    // Decaying 0..1 per-band activity (for polling / the debug readout).
+    this.envelope = { kick: 0, snare: 0, hat: 0 };
+
+    this._bands = ONSET_BANDS.map((band) => ({
+      band,
+      lo: 0,
+      hi: 0,
+      mean: 0,
+      dev: 0,
+      hitLevel: 0,
+      above: false,
+      lastOnsetTs: 0,
+    }));
+    this._prev = new Float32Array(0);
+    this._key = "";
+    this._lastTs = 0;
+  }
 
-    this.sensitivity = 1.0;
-    // Hue offset (0..360) to rotate the global rainbow palette
-    this.hueOffset = 200;
-    this.visualType = "frequency3x";
-    this._lastVisualType = this.visualType;
+  reset() {
+    for (const b of this._bands) {
+      b.mean = 0;
+      b.dev = 0;
+      b.hitLevel = 0;
+      b.above = false;
+      b.lastOnsetTs = 0;
+    }
+    for (const band of ONSET_BANDS) this.envelope[band] = 0;
+    this._prev = new Float32Array(0);
+    this._key = "";
+    this._lastTs = 0;
+  }
 
-    // Fullscreen mode properties
-    this.isFullscreen = false;
-    this.uiTimeout = null;
-    this.uiHideDelay = 2000; // Hide UI after 2 seconds of no mouse movement
+  /**
+   * @param {Uint8Array} byteFrequencyData
+   * @param {number} sampleRate
+   * @param {number} timestampMs
+   */
+  update(byteFrequencyData, sampleRate, timestampMs) {
+    const n = byteFrequencyData ? byteFrequencyData.length : 0;
+    const dtMs =
+      this._lastTs > 0 ? Math.min(100, timestampMs - this._lastTs) : 16;
+    this._lastTs = timestampMs;
+    const decay = Math.exp(-dtMs / 180);
+    for (const band of ONSET_BANDS) this.envelope[band] *= decay;
+    if (n === 0 || !sampleRate) return;
+
+    if (this._configure(n, sampleRate)) {
+      // Fresh layout: prime the history instead of reporting a flux spike.
+      this._prev.set(byteFrequencyData);
+      return;
+    }
+    const prev = this._prev;
 
-    // Raindrop effect properties for Frequency 3x
-    this.raindrops = [];
-    this.lastRaindropTime = 0;
-    this.raindropInterval = 200; // Create raindrop every 200ms when bars are active (increased from 100ms)
-    this.barRaindropTimers = []; // Individual timers for each bar position
+    for (const b of this._bands) {
+      let flux = 0;
+      for (let i = b.lo; i < b.hi; i++) {
+        const d = byteFrequencyData[i] - prev[i];
+        if (d > 0) flux += d;
+      }
+      flux /= Math.max(1, b.hi - b.lo) * 255;
 
-    // Particle flow effect properties
-    // Keep a relatively small, fixed pool for performance.
-    this.particleFlowParticles = [];
-    // Hard-cap to a low, safe range (will be clamped again in init).
-    this.particleFlowCount = 120;
-    this._particleFlowFrame = 0;
+      const threshold = Math.max(
+        this.minFlux,
+        b.mean + this.thresholdDeviations * b.dev,
+      );
+      const above = flux > threshold;
+      // Rising edge only, so a sustained hit doesn't retrigger every frame.
+      if (
+        above &&
+        !b.above &&
+        timestampMs - b.lastOnsetTs >= this.refractoryMs[b.band]
+      ) {
+        b.lastOnsetTs = timestampMs;
+        // Relative to this band's typical hit: ~0.6 for an average one, 1 for accents.
+        if (!b.hitLevel) b.hitLevel = flux;
+        const strength = clamp01((0.6 * flux) / b.hitLevel);
+        b.hitLevel += (flux - b.hitLevel) * 0.15;
+        this.envelope[b.band] = Math.max(this.envelope[b.band], strength);
+        this.emit("onset", { band: b.band, strength, timestampMs });
+      }
+      b.above = above;
 
-    // Adaptive quality: dynamically adjusts particle count when the renderer is under load.
-    // Key design choice: only touches Particle Flow (other modes remain visually identical).
-    this._perf = {
-      avgFrameMs: 0,
-      lastFrameTs: 0,
-      lastAdjustTs: 0,
-    };
-    this._particlePerf = {
-      // Conservative thresholds: aim for smoothness over maximum particle density.
-      adjustCooldownMs: 2200,
-      slowFactor: 1.35, // avgFrameMs > budget * slowFactor => reduce particles
-      fastFactor: 0.85, // avgFrameMs < budget * fastFactor => increase particles
-      stepDown: 10,
-      stepUp: 6,
-      minCount: 70,
-      maxCount: 140,
-    };
-    // Tiny cache to reduce per-particle HSLA string churn in Particle Flow.
-    // Cleared opportunistically when it grows too large.
-    this._hslaCache = new Map();
-    this._hslaCacheMax = 2048;
+      // Adapt after the test so the onset itself doesn't raise its own threshold.
+      b.mean += (flux - b.mean) * 0.04;
+      b.dev += (Math.abs(flux - b.mean) - b.dev) * 0.04;
+    }
 
-    // Audio Geometry (3D particle graph, FFT-driven)
-    this._agCap = 1500;
-    this._agRing = null;
-    this._agHead = 0;
-    this._agCount = 0;
-    this._agCentroidSm = 0.5;
-    this._agAmpSm = 0;
-    this._agProjSX = new Float32Array(this._agCap);
-    this._agProjSY = new Float32Array(this._agCap);
-    this._agProjZ = new Float32Array(this._agCap);
-    this._agProjA = new Float32Array(this._agCap);
-    this._agProjSize = new Float32Array(this._agCap);
-    this._agProjR = new Uint8Array(this._agCap);
-    this._agProjG = new Uint8Array(this._agCap);
-    this._agProjB = new Uint8Array(this._agCap);
-    this._agSortIdx = new Array(this._agCap);
-    /** When true, draws lines between consecutive temporal particles */
-    this._agSequentialLines = true;
-    this._agNeighborDistSq = 72 * 72;
-    this._agNeighborLookahead = 26;
-    this._agMaxAgeMs = 5000;
-    this._agFocal = 420;
-    /** Fraction of canvas width/height used as padding from each edge (e.g. 0.06 ≈ 6%). */
-    this._agMarginPct = 0.06;
-    /**
-     * Radial softness for screen-space confinement (higher = tighter pull toward center
-     * before asymptote; ~0.75–1.05 feels expansive but contained).
-     */
-    this._agRadialKappa = 0.88;
-    /** Multiplier on remapped radius so the cloud sits slightly inside the padded ellipse. */
-    this._agInnerScale = 0.9;
-    /** Smoothed 0..1 “near boundary” signal used to gently bias new spawns inward. */
-    this._agEdgePressure = 0;
-    this._agEdgePressureAlpha = 0.13;
-    /** Normalized screen radius beyond which we start accumulating edge pressure. */
-    this._agEdgePressureStart = 0.72;
-    /** Max inward scale applied to new particle x3d/y3d when edge pressure is 1. */
-    this._agSpawnInwardMax = 0.1;
+    for (let i = 0; i < n; i++) prev[i] = byteFrequencyData[i];
+  }
 
-    /**
-     * Painter mode: FFT-driven 3D point-cloud graph (reference-style embedding).
-     * Tune here; global Sensitivity + Hue still apply on top.
-     */
-    this.painterConfig = {
-      nodeCount: 900,
-      spawnPerFrame: 14,
-      spawnOnsetBurst: 9,
-      connectionDensity: 0.92,
-      neighborLookahead: 12,
-      neighborDistBase: 48,
-      /** Multiplier on 3D→screen spread (larger = more open layout). */
-      projectionScale: 7.66,
-      /** Applied to spawned node size and drawn radius. */
-      nodeSizeScale: 1.15,
-      /** Canvas stroke width for graph edges (neighbor + sequential). */
-      lineWidth: 1.85,
-      maxAgeMs: 5200,
-      /** 0 = fixed viewpoint (no slow orbit). Try 0.35–1 for gentle drift. */
-      cameraDriftSpeed: 0,
-      depthIntensity: 1.06,
-      focal: 415,
-      sensitivityMultiplier: 1,
-      marginPct: 0.054,
-      radialKappa: 0.9,
-      innerScale: 1.9,
-      edgePressureAlpha: 0.12,
-      edgePressureStart: 0.72,
-      spawnInwardMax: 0.2,
-      maxLineSegments: 2200,
+  // Recompute bin ranges when the FFT size, sample rate or band edges change.
+  // Returns true when the layout changed.
+  _configure(binCount, sampleRate) {
+    const norm = this.energyNorm;
+    const edges = [
+      norm.lowHzMin,
+      norm.lowHzMax,
+      norm.midHzMin,
+      norm.midHzMax,
+      norm.highHzMin,
+      norm.highHzMax,
+    ];
+    const key = `${binCount}|${sampleRate}|${edges.join(",")}`;
+    if (key === this._key) return false;
+    this._key = key;
+
+    const hzPerBin = sampleRate / 2 / binCount;
+    const toBin = (hz) =>
+      Math.max(0, Math.min(binCount, Math.round(hz / hzPerBin)));
+    this._bands.forEach((b, k) => {
+      b.lo = Math.min(binCount - 1, toBin(edges[k * 2]));
+      b.hi = Math.max(b.lo + 1, toBin(edges[k * 2 + 1]));
+    });
+    this._prev = new Float32Array(binCount);
+    return true;
+  }
+}
+
+/**
+ * Base class for audio inputs.
+ *
+ * A source only owns its own streams/nodes. The AudioContext, analyser and output
+ * gain belong to AudioVisualizer and are handed in as a `pipeline`
+ * (`{ context, input, analyser, output }`); `start()` connects into `pipeline.input`.
+ *
+ * Events: "status" `{ message, type }`, "ended" `{ message }`.
+ */
+class AudioSource extends Emitter {
+  constructor(id, label) {
+    super();
+    this.id = id;
+    this.label = label;
+    this.node = null; // AudioNode connected to pipeline.input
+    this.stream = null; // MediaStream (capture sources only)
+  }
+
+  async start(pipeline) {
+    throw new Error(`${this.id}: start() not implemented`);
+  }
+
+  stop() {
+    if (this.node) {
+      this.node.disconnect();
+      this.node = null;
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => {
+        track.onended = null;
+        track.stop();
+      });
+      this.stream = null;
+    }
+  }
+
+  /**
+   * @returns {{ id: string, label: string, audible: boolean, channelCount: number|null }}
+   * `audible` sources are routed to the speakers; `channelCount` is null when unknown.
+   */
+  describe() {
+    return {
+      id: this.id,
+      label: this.label,
+      audible: false,
+      channelCount: this._trackChannelCount(),
     };
-    this._painterCap = this.painterConfig.nodeCount;
-    this._painterRing = null;
-    this._painterHead = 0;
-    this._painterCount = 0;
-    this._painterPrevSpec = null;
-    this._painterCentroidSm = 0.35;
-    this._painterFluxSm = 0;
-    this._painterAmpSm = 0;
-    this._painterPathPhase = 0;
-    this._painterAttract = { x: 0, y: 0, z: 0 };
-    this._painterEdgePressure = 0;
-    const pCap = this._painterCap;
-    this._painterProjSX = new Float32Array(pCap);
-    this._painterProjSY = new Float32Array(pCap);
-    this._painterProjZ = new Float32Array(pCap);
-    this._painterProjA = new Float32Array(pCap);
-    this._painterProjSize = new Float32Array(pCap);
-    this._painterProjR = new Uint8Array(pCap);
-    this._painterProjG = new Uint8Array(pCap);
-    this._painterProjB = new Uint8Array(pCap);
-    this._painterSortIdx = new Array(pCap);
+  }
 
-    // Performance controls
-    this.targetFPS = 45; // reduce FPS for lower resource usage
-    this.lastFrameTime = 0;
-    // Debounced preference writes (sliders can fire dozens of events per second).
-    this._prefsSaveTimer = null;
+  /** User-facing status message for a failed start(). */
+  formatError(error) {
+    return `Error starting ${this.label}: ${error.message}`;
+  }
 
-    // Optional: auto mode switching (disabled by default; recommendation-only unless enabled)
-    this.autoModeSwitch = false;
-    this._lastAutoSwitchTs = 0;
-    this._autoSwitchCooldownMs = 14000; // slow transitions only
+  _trackChannelCount() {
+    const track = this.stream ? this.stream.getAudioTracks()[0] : null;
+    const settings = track && track.getSettings ? track.getSettings() : null;
+    return settings && settings.channelCount ? settings.channelCount : null;
+  }
 
-    this._debugMenuVisible = false;
+  _connectStream(pipeline, stream) {
+    this.stream = stream;
+    this.node = pipeline.context.createMediaStreamSource(stream);
+    this.node.connect(pipeline.input);
+  }
+}
 
-    this.init();
-    this.initParticleFlowPool();
-    this.loadUserPreferences(); // Load saved preferences
-    this.updateButtonStates(); // Initialize button states
+/** `getUserMedia` capture; `deviceId` picks an input, empty means the browser default. */
+class MicrophoneSource extends AudioSource {
+  constructor({ deviceId = "" } = {}) {
+    super("microphone", "Microphone");
+    this.deviceId = deviceId;
+    this._pipeline = null;
+    this._switchId = 0;
   }
 
-  init() {
-    this.setupEventListeners();
-    this.setupCanvas();
+  static constraintsFor(deviceId) {
+    return { audio: deviceId ? { deviceId: { exact: deviceId } } : true };
   }
 
-  setupEventListeners() {
-    document
-      .getElementById("startBtn")
-      .addEventListener("click", () => this.startMicrophone());
-    document
-      .getElementById("screenShareBtn")
-      .addEventListener("click", () => this.startScreenShare());
-    document
-      .getElementById("stopBtn")
-      .addEventListener("click", () => this.stopVisualizer());
-    document
-      .getElementById("fullscreenBtn")
-      .addEventListener("click", () => this.toggleFullscreen());
-    document
-      .getElementById("resetPreferencesBtn")
-      .addEventListener("click", () => this.clearUserPreferences());
-    document.getElementById("visualType").addEventListener("change", (e) => {
-      this.visualType = e.target.value;
-      this.saveUserPreferences(); // Save preference
+  /** deviceId actually delivering audio (may differ from the requested one). */
+  get currentDeviceId() {
+    const track = this.stream ? this.stream.getAudioTracks()[0] : null;
+    const settings = track && track.getSettings ? track.getSettings() : null;
+    return (settings && settings.deviceId) || this.deviceId;
+  }
+
+  async start(pipeline) {
+    this.emit("status", {
+      message: "Requesting microphone access...",
+      type: "active",
     });
-    document.getElementById("sensitivity").addEventListener("input", (e) => {
-      this.sensitivity = parseFloat(e.target.value);
-      const sensitivityValue = document.getElementById("sensitivityValue");
-      if (sensitivityValue) {
-        sensitivityValue.textContent = this.sensitivity.toFixed(1);
+    this._pipeline = pipeline;
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia(
+        MicrophoneSource.constraintsFor(this.deviceId),
+      );
+    } catch (error) {
+      // A remembered device may have been unplugged since last session.
+      if (!this.deviceId || !MicrophoneSource.isMissingDevice(error)) {
+        throw error;
       }
-      // Debounce saves to keep UI responsive while dragging.
-      this.scheduleSaveUserPreferences();
+      this.deviceId = "";
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    }
+    this._connectStream(pipeline, stream);
+    this.emit("status", {
+      message:
+        "Microphone active - Speak or play music! (Audio not played back)",
+      type: "active",
     });
-    const hueSlider = document.getElementById("hueOffset");
-    if (hueSlider) {
-      hueSlider.addEventListener("input", (e) => {
-        const v = parseInt(e.target.value, 10);
-        this.hueOffset = Number.isFinite(v) ? v : 200;
-        const hueValue = document.getElementById("hueOffsetValue");
-        if (hueValue) hueValue.textContent = String(this.hueOffset);
-        // Debounce saves to keep UI responsive while dragging.
-        this.scheduleSaveUserPreferences();
-      });
+  }
+
+  /**
+   * Swap the capture device in place: the new MediaStreamAudioSourceNode is connected
+   * before the old one is dropped, so the analyser and render loop keep running.
+   */
+  async switchDevice(deviceId) {
+    if (!this._pipeline) throw new Error("Microphone is not running");
+    const switchId = ++this._switchId;
+    const stream = await navigator.mediaDevices.getUserMedia(
+      MicrophoneSource.constraintsFor(deviceId),
+    );
+    // stop() or a newer switch may have run while getUserMedia was pending.
+    if (!this._pipeline || switchId !== this._switchId) {
+      stream.getTracks().forEach((track) => track.stop());
+      return;
     }
+    const oldNode = this.node;
+    const oldStream = this.stream;
+    this._connectStream(this._pipeline, stream);
+    this.deviceId = deviceId;
+    if (oldNode) oldNode.disconnect();
+    if (oldStream) oldStream.getTracks().forEach((track) => track.stop());
+    this.emit("deviceswitched", { deviceId: this.currentDeviceId });
+  }
 
-    // Handle window resize
-    window.addEventListener("resize", () => this.handleResize());
+  stop() {
+    this._pipeline = null;
+    super.stop();
+  }
 
-    // Handle fullscreen resize
-    window.addEventListener("resize", () => {
-      if (this.isFullscreen) {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
-      }
-    });
+  static isMissingDevice(error) {
+    return (
+      error &&
+      (error.name === "OverconstrainedError" || error.name === "NotFoundError")
+    );
+  }
 
-    const debugMenuEl = document.getElementById("debugMenu");
-    const debugCloseBtn = debugMenuEl?.querySelector(".debug-menu-close");
+  formatError() {
+    return "Error: Could not access microphone. Please check permissions.";
+  }
+}
+
+/** Desktop screen/tab share with audio (`getDisplayMedia`). */
+class DisplayCaptureSource extends AudioSource {
+  constructor() {
+    super("displayCapture", "Screen share");
+  }
+
+  async start(pipeline) {
+    const stream = await navigator.mediaDevices.getDisplayMedia({
+      video: true,
+      audio: true,
+    });
+    this._connectStream(pipeline, stream);
+    this.emit("status", {
+      message:
+        "Screen share active - Audio from your screen is being visualized!",
+      type: "active",
+    });
+
+    // The browser's "Stop sharing" ends the video track.
+    stream.getVideoTracks()[0].onended = () =>
+      this.emit("ended", { message: "Screen share ended" });
+  }
+
+  formatError(error) {
+    if (error.name === "NotAllowedError") {
+      return "Screen share denied. Please allow access to share your screen.";
+    }
+    return "Error starting screen share: " + error.message;
+  }
+}
+
+/**
+ * Mobile "system audio" capture: tries several best-effort strategies in order and
+ * falls back to enhanced/basic microphone capture.
+ */
+class MobileCaptureSource extends AudioSource {
+  constructor() {
+    super("mobileCapture", "Mobile audio");
+    this.captureMethod = "unknown";
+    // Classification of the captured track (see detectAudioSource()).
+    this.captureKind = "basic";
+  }
+
+  async start(pipeline) {
+    const status = (message) =>
+      this.emit("status", { message, type: "active" });
+    const attempts = [
+      {
+        method: "audiooutput",
+        trying: "Trying to capture from audio output devices...",
+        success: "Audio output device capture successful!",
+        failure: "Audio output device capture failed:",
+        capture: () => this.tryAudioOutputCapture(),
+      },
+      {
+        method: "advanced",
+        trying: "Trying advanced system audio capture...",
+        success: "Advanced system audio capture successful!",
+        failure: "Advanced system audio capture failed:",
+        capture: () => this.tryCaptureSystemAudio(),
+      },
+      {
+        method: "audiocontext",
+        trying: "Trying audio context system audio capture...",
+        success: "Audio context system audio capture successful!",
+        failure: "Audio context system audio capture failed:",
+        capture: () => this.tryAudioContextCapture(),
+      },
+      {
+        method: "audioworklet",
+        trying: "Trying AudioWorklet system audio capture...",
+        success: "AudioWorklet system audio capture successful!",
+        failure: "AudioWorklet system audio capture failed:",
+        capture: () => this.tryAudioWorkletCapture(),
+      },
+      {
+        method: "alternative",
+        trying: "Trying alternative system audio capture...",
+        success: "Alternative system audio capture successful!",
+        failure: "Alternative system audio capture failed:",
+        capture: () => this.tryAlternativeSystemAudio(),
+      },
+      {
+        method: "mediarecorder",
+        trying: "Trying MediaRecorder system audio capture...",
+        success: "MediaRecorder system audio capture successful!",
+        failure: "MediaRecorder system audio capture failed:",
+        capture: () => this.tryMediaRecorderSystemAudio(),
+      },
+      {
+        method: "display",
+        trying: "Trying display media system audio capture...",
+        success: "Display media system audio capture successful!",
+        failure: "Display media system audio capture failed:",
+        capture: () => this.tryDisplayMediaSystemAudio(),
+      },
+      // Enhanced microphone as fallback (only if all system audio methods fail)
+      {
+        method: "enhanced",
+        trying:
+          "All system audio methods failed - Trying enhanced microphone...",
+        success:
+          "Enhanced microphone active - Place device near speakers for best results!",
+        failure: "Enhanced microphone failed:",
+        capture: () =>
+          navigator.mediaDevices.getUserMedia({
+            audio: {
+              echoCancellation: false,
+              noiseSuppression: false,
+              autoGainControl: false,
+              sampleRate: 48000,
+              channelCount: 2,
+              // Try to get the best quality microphone input
+              googEchoCancellation: false,
+              googNoiseSuppression: false,
+              googAutoGainControl: false,
+            },
+          }),
+      },
+    ];
+
+    let stream = null;
+    for (const attempt of attempts) {
+      try {
+        status(attempt.trying);
+        stream = await attempt.capture();
+        if (stream) {
+          this.captureMethod = attempt.method;
+          status(attempt.success);
+          break;
+        }
+      } catch (error) {
+        console.warn(attempt.failure, error);
+      }
+    }
+
+    // Basic microphone as final fallback
+    if (!stream) {
+      status("Trying basic microphone capture...");
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      } catch (error) {
+        console.error("All mobile audio capture methods failed:", error);
+        throw new Error(
+          "Mobile audio capture failed. Please check microphone permissions.",
+        );
+      }
+      this.captureMethod = "basic";
+      status(
+        "Basic microphone active - Place device near speakers for best results!",
+      );
+    }
+
+    console.log(
+      `Mobile audio capture completed using method: ${this.captureMethod}`,
+    );
+
+    this._connectStream(pipeline, stream);
+    this.captureKind = this.detectAudioSource(stream);
+
+    stream.getAudioTracks()[0].onended = () =>
+      this.emit("ended", { message: "Mobile audio capture ended" });
+  }
+
+  formatError(error) {
+    return error.message;
+  }
+
+  // Try to capture system audio using advanced methods
+  async tryCaptureSystemAudio() {
+    try {
+      // Method 1: Try to capture with system audio constraints
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          echoCancellation: false,
+          noiseSuppression: false,
+          autoGainControl: false,
+          sampleRate: 48000,
+          channelCount: 2,
+          // Advanced system audio capture attempts
+          googEchoCancellation: false,
+          googNoiseSuppression: false,
+          googAutoGainControl: false,
+          googHighpassFilter: false,
+          googTypingNoiseDetection: false,
+          googAudioMirroring: false,
+          processing: false,
+          latency: 0,
+          // Try to capture from system audio output
+          sourceId: "system",
+          // Additional system audio hints
+          deviceId: "system-audio",
+          groupId: "system-audio-group",
+        },
+      });
+
+      return stream;
+    } catch (error) {
+      console.warn("System audio capture failed:", error);
+      return null;
+    }
+  }
+
+  // Try to capture system audio using MediaRecorder approach
+  async tryMediaRecorderSystemAudio() {
+    try {
+      // Method 2: Try to capture system audio using MediaRecorder
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          echoCancellation: false,
+          noiseSuppression: false,
+          autoGainControl: false,
+          sampleRate: 48000,
+          channelCount: 2,
+          // Try to capture from system audio output
+          sourceId: "system",
+          // Additional constraints for system audio
+          googEchoCancellation: false,
+          googNoiseSuppression: false,
+          googAutoGainControl: false,
+          googHighpassFilter: false,
+          googTypingNoiseDetection: false,
+          googAudioMirroring: false,
+          processing: false,
+          latency: 0,
+        },
+      });
+
+      // Try to create a MediaRecorder to capture system audio
+      const mediaRecorder = new MediaRecorder(stream);
+      const chunks = [];
+
+      mediaRecorder.ondataavailable = (event) => {
+        chunks.push(event.data);
+      };
+
+      mediaRecorder.onstop = () => {
+        const blob = new Blob(chunks, { type: "audio/webm" });
+        const url = URL.createObjectURL(blob);
+        // Use the captured audio
+        this.processCapturedAudio(url);
+      };
+
+      return stream;
+    } catch (error) {
+      console.warn("MediaRecorder system audio capture failed:", error);
+      return null;
+    }
+  }
+
+  // Try to capture system audio using getDisplayMedia (screen sharing with audio)
+  async tryDisplayMediaSystemAudio() {
+    try {
+      // Method 3: Try to capture system audio using screen sharing with audio
+      if (navigator.mediaDevices.getDisplayMedia) {
+        const stream = await navigator.mediaDevices.getDisplayMedia({
+          audio: {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false,
+            sampleRate: 48000,
+            channelCount: 2,
+          },
+          video: false, // We only want audio
+        });
+
+        // Check if we got audio tracks
+        if (stream.getAudioTracks().length > 0) {
+          console.log("Display media system audio capture successful!");
+          return stream;
+        } else {
+          // No audio tracks, close the stream
+          stream.getTracks().forEach((track) => track.stop());
+          return null;
+        }
+      }
+      return null;
+    } catch (error) {
+      console.warn("Display media system audio capture failed:", error);
+      return null;
+    }
+  }
+
+  // Try to capture system audio using alternative methods
+  async tryAlternativeSystemAudio() {
+    try {
+      // Try different constraint combinations that might work on some devices
+      const constraints = [
+        // Samsung/Android specific
+        {
+          audio: {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false,
+            sampleRate: 48000,
+            channelCount: 2,
+            googEchoCancellation: false,
+            googNoiseSuppression: false,
+            googAutoGainControl: false,
+            // Samsung specific
+            samsungEchoCancellation: false,
+            samsungNoiseSuppression: false,
+          },
+        },
+        // iOS specific
+        {
+          audio: {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false,
+            sampleRate: 48000,
+            channelCount: 2,
+            // iOS specific
+            iosEchoCancellation: false,
+            iosNoiseSuppression: false,
+          },
+        },
+        // Generic high-quality
+        {
+          audio: {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false,
+            sampleRate: 96000,
+            channelCount: 2,
+            latency: 0,
+            processing: false,
+          },
+        },
+      ];
+
+      for (const constraint of constraints) {
+        try {
+          const stream = await navigator.mediaDevices.getUserMedia(constraint);
+          console.log(
+            "Alternative system audio capture successful with constraints:",
+            constraint,
+          );
+          return stream;
+        } catch (error) {
+          console.warn("Alternative constraint failed:", error);
+          continue;
+        }
+      }
+
+      return null;
+    } catch (error) {
+      console.warn("All alternative system audio methods failed:", error);
+      return null;
+    }
+  }
+
+  // Try to capture system audio using AudioWorklet and advanced Web Audio methods
+  async tryAudioWorkletCapture() {
+    try {
+      // Method: Try to use AudioWorklet for system audio capture
+      if (window.AudioWorklet) {
+        const audioContext = new (
+          window.AudioContext || window.webkitAudioContext
+        )();
+
+        // Try to create a MediaStreamDestination that might capture system audio
+        const destination = audioContext.createMediaStreamDestination();
+
+        // Try to get system audio using getUserMedia with specific constraints
+        const stream = await navigator.mediaDevices.getUserMedia({
+          audio: {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false,
+            sampleRate: 48000,
+            channelCount: 2,
+            // Try to capture system audio specifically
+            sourceId: "system",
+            googEchoCancellation: false,
+            googNoiseSuppression: false,
+            googAutoGainControl: false,
+            googHighpassFilter: false,
+            googTypingNoiseDetection: false,
+            googAudioMirroring: false,
+            processing: false,
+            latency: 0,
+            // Additional system audio hints
+            deviceId: "system-audio",
+            groupId: "system-audio-group",
+          },
+        });
+
+        // Create a source from the stream and connect it to the destination
+        const source = audioContext.createMediaStreamSource(stream);
+        source.connect(destination);
+
+        // Also try to connect to the audio context's destination to capture system audio
+        if (audioContext.destination) {
+          source.connect(audioContext.destination);
+        }
+
+        return destination.stream;
+      }
+
+      return null;
+    } catch (error) {
+      console.warn("AudioWorklet system audio capture failed:", error);
+      return null;
+    }
+  }
+
+  // Try to capture system audio using audio output monitoring
+  async tryAudioOutputCapture() {
+    try {
+      // Method: Try to capture from audio output devices
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      const audioOutputDevices = devices.filter(
+        (device) =>
+          device.kind === "audiooutput" ||
+          device.label.toLowerCase().includes("speaker") ||
+          device.label.toLowerCase().includes("output") ||
+          device.label.toLowerCase().includes("system"),
+      );
+
+      if (audioOutputDevices.length > 0) {
+        console.log("Found audio output devices:", audioOutputDevices);
+
+        // Try to capture from the first available audio output device
+        for (const device of audioOutputDevices) {
+          try {
+            const stream = await navigator.mediaDevices.getUserMedia({
+              audio: {
+                deviceId: { exact: device.deviceId },
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false,
+                sampleRate: 48000,
+                channelCount: 2,
+                // Try to capture system audio
+                googEchoCancellation: false,
+                googNoiseSuppression: false,
+                googAutoGainControl: false,
+                processing: false,
+                latency: 0,
+              },
+            });
+
+            console.log(
+              "Audio output device capture successful:",
+              device.label,
+            );
+            return stream;
+          } catch (error) {
+            console.warn(
+              `Failed to capture from device ${device.label}:`,
+              error,
+            );
+            continue;
+          }
+        }
+      }
+
+      return null;
+    } catch (error) {
+      console.warn("Audio output capture failed:", error);
+      return null;
+    }
+  }
+
+  // Try to capture system audio using audio context monitoring
+  async tryAudioContextCapture() {
+    try {
+      // Method: Try to create an audio context that might capture system audio
+      const audioContext = new (
+        window.AudioContext || window.webkitAudioContext
+      )();
+
+      // Try to create a MediaStreamDestination to capture system audio
+      const destination = audioContext.createMediaStreamDestination();
+
+      // Try to connect to system audio sources if available
+      if (navigator.mediaDevices.getUserMedia) {
+        const stream = await navigator.mediaDevices.getUserMedia({
+          audio: {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false,
+            sampleRate: 48000,
+            channelCount: 2,
+            // Try to capture from system audio
+            sourceId: "system",
+            googEchoCancellation: false,
+            googNoiseSuppression: false,
+            googAutoGainControl: false,
+            processing: false,
+            latency: 0,
+          },
+        });
+
+        // Connect the stream to the destination
+        const source = audioContext.createMediaStreamSource(stream);
+        source.connect(destination);
+
+        return destination.stream;
+      }
+
+      return null;
+    } catch (error) {
+      console.warn("Audio context capture failed:", error);
+      return null;
+    }
+  }
+
+  // Detect the type of audio being captured
+  detectAudioSource(stream) {
+    const audioTrack = stream.getAudioTracks()[0];
+    const trackLabel = audioTrack.label || "";
+    const trackId = audioTrack.id || "";
+
+    // Check if this appears to be audio output device capture
+    if (
+      trackLabel.toLowerCase().includes("speaker") ||
+      trackLabel.toLowerCase().includes("output") ||
+      trackLabel.toLowerCase().includes("headphone") ||
+      trackLabel.toLowerCase().includes("audioout") ||
+      trackId.toLowerCase().includes("speaker") ||
+      trackId.toLowerCase().includes("output") ||
+      trackId.toLowerCase().includes("headphone")
+    ) {
+      return "audiooutput";
+    }
+
+    // Check if this appears to be system audio
+    if (
+      trackLabel.toLowerCase().includes("system") ||
+      trackLabel.toLowerCase().includes("output") ||
+      trackLabel.toLowerCase().includes("speaker") ||
+      trackId.toLowerCase().includes("system") ||
+      trackId.toLowerCase().includes("output")
+    ) {
+      return "system";
+    }
+
+    // Check if this appears to be audio context capture
+    if (
+      trackLabel.toLowerCase().includes("audiocontext") ||
+      trackLabel.toLowerCase().includes("destination") ||
+      trackLabel.toLowerCase().includes("monitor") ||
+      trackId.toLowerCase().includes("audiocontext") ||
+      trackId.toLowerCase().includes("destination")
+    ) {
+      return "audiocontext";
+    }
+
+    // Check if this appears to be AudioWorklet capture
+    if (
+      trackLabel.toLowerCase().includes("audioworklet") ||
+      trackLabel.toLowerCase().includes("worklet") ||
+      trackLabel.toLowerCase().includes("processor") ||
+      trackId.toLowerCase().includes("audioworklet") ||
+      trackId.toLowerCase().includes("worklet")
+    ) {
+      return "audioworklet";
+    }
+
+    // Check if this appears to be alternative system audio
+    if (
+      trackLabel.toLowerCase().includes("alternative") ||
+      trackLabel.toLowerCase().includes("samsung") ||
+      trackLabel.toLowerCase().includes("ios") ||
+      trackLabel.toLowerCase().includes("high-quality") ||
+      trackId.toLowerCase().includes("alternative") ||
+      trackId.toLowerCase().includes("samsung") ||
+      trackId.toLowerCase().includes("ios")
+    ) {
+      return "alternative";
+    }
+
+    // Check if this appears to be display media audio
+    if (
+      trackLabel.toLowerCase().includes("display") ||
+      trackLabel.toLowerCase().includes("screen") ||
+      trackLabel.toLowerCase().includes("tab") ||
+      trackLabel.toLowerCase().includes("window") ||
+      trackId.toLowerCase().includes("display") ||
+      trackId.toLowerCase().includes("screen")
+    ) {
+      return "display";
+    }
+
+    // Check if this appears to be enhanced microphone
+    if (
+      trackLabel.toLowerCase().includes("enhanced") ||
+      trackLabel.toLowerCase().includes("high") ||
+      trackLabel.toLowerCase().includes("quality")
+    ) {
+      return "enhanced";
+    }
+
+    // Default to basic microphone
+    return "basic";
+  }
+
+  // Process captured audio from MediaRecorder
+  processCapturedAudio(audioUrl) {
+    // This method would process the captured system audio
+    // For now, we'll use it as a fallback
+    console.log("Processing captured system audio:", audioUrl);
+  }
+}
+
+/** Local audio file via a media element (seekable; played through the speakers). */
+class FileSource extends AudioSource {
+  static isSupported(file) {
+    if (!file) return false;
+    if (file.type && file.type.startsWith("audio/")) return true;
+    return /\.(mp3|wav|ogg|oga|flac|m4a|aac)$/i.test(file.name || "");
+  }
+
+  constructor({ file }) {
+    super("file", file ? file.name : "Audio file");
+    this.file = file;
+    this.audio = null;
+    this._url = null;
+  }
+
+  describe() {
+    return { ...super.describe(), audible: true };
+  }
+
+  async start(pipeline) {
+    this.emit("status", {
+      message: `Loading "${this.file.name}"...`,
+      type: "active",
+    });
+
+    const audio = new Audio();
+    audio.preload = "auto";
+    this._url = URL.createObjectURL(this.file);
+    audio.src = this._url;
+    this.audio = audio;
+
+    this.node = pipeline.context.createMediaElementSource(audio);
+    this.node.connect(pipeline.input);
+
+    audio.addEventListener("ended", () =>
+      this.emit("status", {
+        message: `Finished "${this.file.name}"`,
+        type: "info",
+      }),
+    );
+
+    await audio.play();
+    this.emit("status", {
+      message: `Playing "${this.file.name}"`,
+      type: "active",
+    });
+  }
+
+  stop() {
+    super.stop();
+    if (this.audio) {
+      this.audio.pause();
+      this.audio.removeAttribute("src");
+      this.audio.load();
+      this.audio = null;
+    }
+    if (this._url) {
+      URL.revokeObjectURL(this._url);
+      this._url = null;
+    }
+  }
+
+  formatError() {
+    return "Error: Could not play this file. It may be corrupt or unsupported by your browser.";
+  }
+}
+
+const PLAYLIST_DEFAULTS = {
+  transition: "gapless",
+  crossfadeSec: 4,
+  shuffle: false,
+  repeat: "off",
+};
+const PLAYLIST_TRANSITIONS = ["gapless", "crossfade"];
+const PLAYLIST_REPEAT_MODES = ["off", "all", "one"];
+const PLAYLIST_CROSSFADE_LIMITS = { min: 1, max: 12 };
+// Remembered per-track looks kept in localStorage (most recently pinned win).
+const TRACK_LOOKS_MAX = 100;
+
+// Looks are remembered per file: same name and size counts as the same track.
+function trackLookKey(file) {
+  return `${file.name}|${file.size}`;
+}
+
+/**
+ * Ordered queue of audio files for PlaylistSource. A track is { id, file,
+ * name, look }, where `look` is the visual preset remembered for it (see
+ * AudioVisualizer#toggleTrackLook()). `shuffle` and `repeat` ("off" | "all" |
+ * "one") decide what nextTrack()/previousTrack() return. Emits "change" after
+ * every edit.
+ */
+class Playlist extends Emitter {
+  constructor() {
+    super();
+    this.tracks = [];
+    this.shuffle = false;
+    this.repeat = "off";
+    this._nextId = 1;
+    this._history = []; // track ids in play order
+    this._cycle = new Set(); // ids played since shuffle last wrapped around
+  }
+
+  /** Appends the playable files (a folder's files, in order); returns how many. */
+  add(files) {
+    const added = [...files]
+      .filter((file) => FileSource.isSupported(file))
+      .map((file) => ({
+        id: this._nextId++,
+        file,
+        name: file.name,
+        look: null,
+      }));
+    if (!added.length) return 0;
+    this.tracks.push(...added);
+    this.emit("change");
+    return added.length;
+  }
+
+  remove(id) {
+    const index = this.indexOf(id);
+    if (index < 0) return;
+    this.tracks.splice(index, 1);
+    this._history = this._history.filter((played) => played !== id);
+    this._cycle.delete(id);
+    this.emit("change");
+  }
+
+  /** Moves a track `delta` places up (negative) or down, within the list. */
+  move(id, delta) {
+    const from = this.indexOf(id);
+    if (from < 0) return;
+    const to = clamp(from + delta, 0, this.tracks.length - 1);
+    if (to === from) return;
+    const [track] = this.tracks.splice(from, 1);
+    this.tracks.splice(to, 0, track);
+    this.emit("change");
+  }
+
+  clear() {
+    this.tracks = [];
+    this._history = [];
+    this._cycle.clear();
+    this.emit("change");
+  }
+
+  indexOf(id) {
+    return this.tracks.findIndex((track) => track.id === id);
+  }
+
+  get(id) {
+    return this.tracks[this.indexOf(id)] || null;
+  }
+
+  /** Records that `track` started playing. */
+  played(track) {
+    if (this._history[this._history.length - 1] !== track.id) {
+      this._history.push(track.id);
+      if (this._history.length > 1000) this._history.shift();
+    }
+    // Coming back to a track means shuffle went around once.
+    if (this._cycle.has(track.id)) this._cycle.clear();
+    this._cycle.add(track.id);
+  }
+
+  /**
+   * Track to play after `current`, or null at the end of the queue. `skip`
+   * is a user's "next", which leaves a repeated track.
+   */
+  nextTrack(current, skip = false) {
+    const tracks = this.tracks;
+    if (!tracks.length) return null;
+    const index = current ? this.indexOf(current.id) : -1;
+    if (this.repeat === "one" && index >= 0 && !skip) return current;
+    if (this.shuffle) {
+      let candidates = tracks.filter((track) => !this._cycle.has(track.id));
+      if (!candidates.length) {
+        if (this.repeat === "off" && !skip) return null;
+        candidates = tracks.filter((track) => track !== current);
+        if (!candidates.length) candidates = tracks;
+      }
+      return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+    if (index + 1 < tracks.length) return tracks[index + 1];
+    return this.repeat === "off" && !skip ? null : tracks[0];
+  }
+
+  /** Track before `current`: the play history under shuffle, else the list order. */
+  previousTrack(current) {
+    const tracks = this.tracks;
+    if (!tracks.length) return null;
+    if (this.shuffle) {
+      const at = current ? this._history.lastIndexOf(current.id) : -1;
+      for (let i = at - 1; i >= 0; i--) {
+        const track = this.get(this._history[i]);
+        if (track) return track;
+      }
+      return current;
+    }
+    const index = current ? this.indexOf(current.id) : -1;
+    if (index > 0) return tracks[index - 1];
+    return this.repeat === "off" ? tracks[0] : tracks[tracks.length - 1];
+  }
+}
+
+/**
+ * Plays a Playlist through two media-element decks feeding one pipeline, so
+ * the analysers (and RhythmTracker/StyleEngine with them) keep running from
+ * track to track. The next track is buffered on the idle deck; "gapless"
+ * starts it as the current one ends, "crossfade" overlaps the two for
+ * `crossfadeSec` with equal-power gain curves. Emits "track" { track } when a
+ * track starts, plus "status".
+ */
+class PlaylistSource extends AudioSource {
+  constructor({ playlist, track = null, transition, crossfadeSec }) {
+    super("playlist", "Playlist");
+    this.playlist = playlist;
+    this.transition = transition || PLAYLIST_DEFAULTS.transition;
+    this.crossfadeSec = crossfadeSec || PLAYLIST_DEFAULTS.crossfadeSec;
+    this.decks = [];
+    this.current = null; // deck of the track being heard
+    this._firstTrack = track;
+    this._context = null;
+    this._next = null; // track buffered on the idle deck
+    this._fading = null; // outgoing deck during a crossfade
+    this._transitionTimer = null;
+    this._fadeTimer = null;
+    this._failures = 0; // consecutive tracks that would not play
+    this._fadeIn = new Float32Array(64);
+    this._fadeOut = new Float32Array(64);
+    for (let i = 0; i < 64; i++) {
+      const t = (i / 63) * Math.PI * 0.5;
+      this._fadeIn[i] = Math.sin(t);
+      this._fadeOut[i] = Math.cos(t);
+    }
+  }
+
+  /** Media element of the current track (the file transport drives it). */
+  get audio() {
+    return this.current ? this.current.audio : null;
+  }
+
+  get track() {
+    return this.current ? this.current.track : null;
+  }
+
+  describe() {
+    return { ...super.describe(), audible: true };
+  }
+
+  async start(pipeline) {
+    this._context = pipeline.context;
+    for (let i = 0; i < 2; i++) {
+      const audio = new Audio();
+      audio.preload = "auto";
+      const node = pipeline.context.createMediaElementSource(audio);
+      const gain = pipeline.context.createGain();
+      gain.gain.value = 0;
+      node.connect(gain);
+      gain.connect(pipeline.input);
+      const deck = { audio, node, gain, track: null, url: null };
+      audio.addEventListener("timeupdate", () => this._armTransition(deck));
+      audio.addEventListener("ended", () => this._onEnded(deck));
+      audio.addEventListener("error", () => this._onError(deck));
+      audio.addEventListener("seeking", () => {
+        if (deck === this.current) this._cancelTransition();
+      });
+      this.decks.push(deck);
+    }
+    const first = this._firstTrack || this.playlist.nextTrack(null, true);
+    if (!first) throw new Error("The playlist is empty");
+    await this.playTrack(first);
+  }
+
+  /** Cuts straight to `track` (a click, next or previous). */
+  async playTrack(track) {
+    this._cancelTransition();
+    this._finishFade();
+    const idle = this.current ? this._other(this.current) : this.decks[1];
+    const deck = idle.track === track ? idle : this.current || this.decks[0];
+    this._other(deck).audio.pause();
+    this._setGain(this._other(deck), 0);
+    if (deck.track !== track) this._load(deck, track);
+    else deck.audio.currentTime = 0;
+    this._setGain(deck, 1);
+    this.current = deck;
+    await deck.audio.play();
+    this._started(track);
+  }
+
+  next() {
+    const track = this.playlist.nextTrack(this.track, true);
+    if (track) return this.playTrack(track);
+    this.emit("status", { message: "End of the playlist", type: "info" });
+    return Promise.resolve();
+  }
+
+  /** Restarts the track when it is past 3 s, otherwise goes to the previous one. */
+  previous() {
+    const audio = this.audio;
+    if (audio && audio.currentTime > 3) {
+      audio.currentTime = 0;
+      return Promise.resolve();
+    }
+    const track = this.playlist.previousTrack(this.track);
+    return track ? this.playTrack(track) : Promise.resolve();
+  }
+
+  togglePlayback() {
+    const audio = this.audio;
+    if (!audio) return;
+    if (audio.paused) {
+      if (audio.ended) audio.currentTime = 0;
+      audio.play().catch((error) => {
+        console.warn("Failed to resume the playlist:", error);
+      });
+    } else {
+      this._cancelTransition();
+      this._finishFade();
+      audio.pause();
+    }
+  }
+
+  setTransition({ transition, crossfadeSec }) {
+    this.transition = transition;
+    this.crossfadeSec = crossfadeSec;
+    // Re-armed with the new lead time on the next timeupdate.
+    this._cancelTransition();
+  }
+
+  /** Re-picks the buffered next track after the queue, shuffle or repeat changed. */
+  refreshNext() {
+    if (!this.current || this._fading) return;
+    this._cancelTransition();
+    this._preloadNext();
+  }
+
+  stop() {
+    this._cancelTransition();
+    clearTimeout(this._fadeTimer);
+    for (const deck of this.decks) {
+      deck.audio.pause();
+      deck.audio.removeAttribute("src");
+      deck.audio.load();
+      deck.node.disconnect();
+      deck.gain.disconnect();
+      if (deck.url) URL.revokeObjectURL(deck.url);
+    }
+    this.decks = [];
+    this.current = null;
+    this._next = null;
+    this._fading = null;
+    super.stop();
+  }
+
+  formatError(error) {
+    return `Error starting the playlist: ${error.message}`;
+  }
+
+  _other(deck) {
+    return this.decks[0] === deck ? this.decks[1] : this.decks[0];
+  }
+
+  _load(deck, track) {
+    if (deck.url) URL.revokeObjectURL(deck.url);
+    deck.url = URL.createObjectURL(track.file);
+    deck.track = track;
+    deck.audio.src = deck.url;
+    this._setGain(deck, 0);
+  }
+
+  _setGain(deck, value) {
+    const gain = deck.gain.gain;
+    gain.cancelScheduledValues(this._context.currentTime);
+    gain.value = value;
+  }
+
+  _started(track) {
+    this._failures = 0;
+    this.playlist.played(track);
+    this.emit("track", { track });
+    this.emit("status", { message: `Playing "${track.name}"`, type: "active" });
+    if (!this._fading) this._preloadNext();
+  }
+
+  _preloadNext() {
+    this._next = this.playlist.nextTrack(this.track);
+    const idle = this._other(this.current);
+    if (this._next && idle.track !== this._next) this._load(idle, this._next);
+  }
+
+  // Crossfade length for the current track (never more than half of it).
+  _leadSec(deck) {
+    if (this.transition !== "crossfade") return 0;
+    const duration = deck.audio.duration;
+    return Number.isFinite(duration)
+      ? Math.min(this.crossfadeSec, duration / 2)
+      : 0;
+  }
+
+  // Near the end of the current track, time the switch to the buffered one.
+  // timeupdate fires every ~250 ms, so the last stretch is timed with setTimeout.
+  _armTransition(deck) {
+    if (deck !== this.current || !this._next || this._fading) return;
+    if (this._transitionTimer !== null || deck.audio.paused) return;
+    const { duration, currentTime, playbackRate } = deck.audio;
+    if (!Number.isFinite(duration)) return;
+    const wait = duration - currentTime - this._leadSec(deck);
+    if (wait > 0.6) return;
+    this._transitionTimer = setTimeout(
+      () => {
+        this._transitionTimer = null;
+        this._transition();
+      },
+      (Math.max(0, wait) * 1000) / (playbackRate || 1),
+    );
+  }
+
+  _cancelTransition() {
+    clearTimeout(this._transitionTimer);
+    this._transitionTimer = null;
+  }
+
+  _transition() {
+    const from = this.current;
+    const track = this._next;
+    if (!from || !track) return;
+    const to = this._other(from);
+    if (to.track !== track) this._load(to, track);
+    const fadeSec = from.audio.ended ? 0 : this._leadSec(from);
+    if (fadeSec > 0) {
+      const now = this._context.currentTime;
+      to.gain.gain.cancelScheduledValues(now);
+      to.gain.gain.setValueCurveAtTime(this._fadeIn, now, fadeSec);
+      from.gain.gain.cancelScheduledValues(now);
+      from.gain.gain.setValueCurveAtTime(this._fadeOut, now, fadeSec);
+      this._fading = from;
+      this._fadeTimer = setTimeout(() => this._finishFade(), fadeSec * 1000);
+    } else {
+      this._setGain(to, 1);
+    }
+    this.current = to;
+    to.audio.currentTime = 0;
+    to.audio.play().then(
+      () => this._started(track),
+      (error) => this._onPlayFailed(track, error),
+    );
+  }
+
+  // Ends a crossfade now: the outgoing deck stops and buffers the next track.
+  _finishFade() {
+    const deck = this._fading;
+    if (!deck) return;
+    clearTimeout(this._fadeTimer);
+    this._fading = null;
+    deck.audio.pause();
+    this._setGain(deck, 0);
+    if (this.current) this._setGain(this.current, 1);
+    this._preloadNext();
+  }
+
+  _onEnded(deck) {
+    if (deck === this._fading) {
+      this._finishFade();
+      return;
+    }
+    if (deck !== this.current) return;
+    this._cancelTransition();
+    if (this._next) {
+      this._transition();
+    } else {
+      this.emit("status", { message: "Playlist finished", type: "info" });
+    }
+  }
+
+  // A track that won't load or play is skipped, until every track has failed.
+  _onError(deck) {
+    if (deck !== this.current) {
+      // A failed preload is loaded again (and skipped then) when its turn comes.
+      if (deck !== this._fading) deck.track = null;
+      return;
+    }
+    if (deck.track) this._skipFailed(deck);
+  }
+
+  // play() rejected. A media error also fires "error" (see _onError()), but an
+  // interrupted play() doesn't, so skip the track here. Autoplay blocking
+  // (NotAllowedError) would block every track alike: the track stays current,
+  // paused, until the play button resumes it. Ignored if the deck has moved on
+  // to another track meanwhile.
+  _onPlayFailed(track, error) {
+    const deck = this.current;
+    if (!deck || deck.track !== track) return;
+    if (deck.audio.error || error?.name === "NotSupportedError") return;
+    this._finishFade();
+    if (error?.name === "NotAllowedError") {
+      this._started(track);
+      this.emit("status", {
+        message: `Press play to continue with "${track.name}"`,
+        type: "info",
+      });
+      return;
+    }
+    console.warn(`Failed to start "${track.name}":`, error);
+    this._skipFailed(deck);
+  }
+
+  // Moves on from the current deck's track, until every track has failed.
+  _skipFailed(deck) {
+    const failed = deck.track;
+    this._failures++;
+    const next = this.playlist.nextTrack(failed, true);
+    if (
+      !next ||
+      next === failed ||
+      this._failures >= this.playlist.tracks.length
+    ) {
+      this.emit("status", {
+        message: `Could not play "${failed.name}"`,
+        type: "error",
+      });
+      return;
+    }
+    this.emit("status", {
+      message: `Skipping "${failed.name}" (could not play it)`,
+      type: "error",
+    });
+    this.playTrack(next).catch((error) => this._onPlayFailed(next, error));
+  }
+}
+
+/** Synthetic oscillator pattern from StreamingService (stands in for platform playback). */
+class DemoStreamSource extends AudioSource {
+  constructor({ streaming, platform, mediaId, title }) {
+    super("demoStream", title || "Demo stream");
+    this.streaming = streaming;
+    this.platform = platform;
+    this.mediaId = mediaId;
+    this.demo = null;
+  }
+
+  describe() {
+    return { ...super.describe(), audible: true, channelCount: 1 };
+  }
+
+  async start(pipeline) {
+    const demo = await this.streaming.createDemoStream(
+      this.platform,
+      this.mediaId,
+      { audioContext: pipeline.context, destination: pipeline.input },
+    );
+    this.demo = demo;
+    demo.oscillator.onended = () =>
+      this.emit("ended", { message: "Demo stream finished" });
+    this.emit("status", {
+      message: `Streaming demo audio for ${this.label} (synthetic preview — platform playback needs API access)`,
+      type: "active",
+    });
+  }
+
+  stop() {
+    if (this.demo) {
+      this.demo.oscillator.onended = null;
+      this.streaming.stopDemoStream(this.demo);
+      this.demo = null;
+    }
+    super.stop();
+  }
+
+  formatError(error) {
+    return "Error starting stream: " + error.message;
+  }
+}
+
+/** id -> factory(options) for every selectable audio input. */
+class AudioSourceRegistry {
+  constructor() {
+    this._factories = new Map();
+  }
+
+  register(id, factory) {
+    this._factories.set(id, factory);
+  }
+
+  has(id) {
+    return this._factories.has(id);
+  }
+
+  create(id, options = {}) {
+    const factory = this._factories.get(id);
+    if (!factory) throw new Error(`Unknown audio source: ${id}`);
+    return factory(options);
+  }
+}
+
+const audioSourceRegistry = new AudioSourceRegistry();
+audioSourceRegistry.register(
+  "microphone",
+  (options) => new MicrophoneSource(options),
+);
+audioSourceRegistry.register(
+  "displayCapture",
+  () => new DisplayCaptureSource(),
+);
+audioSourceRegistry.register("mobileCapture", () => new MobileCaptureSource());
+audioSourceRegistry.register("file", (options) => new FileSource(options));
+audioSourceRegistry.register(
+  "playlist",
+  (options) => new PlaylistSource(options),
+);
+audioSourceRegistry.register(
+  "demoStream",
+  (options) => new DemoStreamSource(options),
+);
+
+// MediaRecorder formats in order of preference; the first supported one is used.
+const RECORDING_MIME_TYPES = [
+  "video/webm;codecs=vp8,opus",
+  "video/webm",
+  "video/mp4;codecs=avc1,mp4a.40.2",
+  "video/mp4",
+];
+const RECORDING_DEFAULTS = { fps: 30, videoBitsPerSecond: 5000000 };
+const RECORDING_FPS_OPTIONS = [24, 30, 60];
+const RECORDING_BITRATE_LIMITS = { min: 500000, max: 50000000 };
+
+/**
+ * Canvas video plus audio tracks recorded to one file with MediaRecorder.
+ * Emits "state" ("recording" | "paused" | "inactive") and, once the file is
+ * complete, "stop" `{ blob, mimeType, durationMs }`.
+ */
+class CanvasRecorder extends Emitter {
+  static isSupported() {
+    return (
+      typeof MediaRecorder !== "undefined" &&
+      typeof HTMLCanvasElement !== "undefined" &&
+      "captureStream" in HTMLCanvasElement.prototype
+    );
+  }
+
+  static pickMimeType() {
+    return (
+      RECORDING_MIME_TYPES.find((type) =>
+        MediaRecorder.isTypeSupported(type),
+      ) || ""
+    );
+  }
+
+  constructor() {
+    super();
+    this.recorder = null;
+    this.mimeType = "";
+    this._stream = null;
+    this._chunks = [];
+    this._elapsedMs = 0; // recorded time before the current running stretch
+    this._resumedAt = 0;
+  }
+
+  get state() {
+    return this.recorder ? this.recorder.state : "inactive";
+  }
+
+  /** Recorded time so far, excluding pauses. */
+  get elapsedMs() {
+    return this.state === "recording"
+      ? this._elapsedMs + performance.now() - this._resumedAt
+      : this._elapsedMs;
+  }
+
+  start(canvas, audioTracks, { fps, videoBitsPerSecond }) {
+    if (this.recorder) throw new Error("Already recording");
+    const stream = canvas.captureStream(fps);
+    for (const track of audioTracks) stream.addTrack(track);
+    const mimeType = CanvasRecorder.pickMimeType();
+    const recorder = new MediaRecorder(stream, {
+      ...(mimeType ? { mimeType } : {}),
+      videoBitsPerSecond,
+      audioBitsPerSecond: 128000,
+    });
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) this._chunks.push(e.data);
+    };
+    recorder.onstop = () => this._finish();
+    recorder.onerror = (e) => {
+      console.warn("Recording failed:", e.error || e);
+      this.stop();
+    };
+    this.mimeType = recorder.mimeType || mimeType || "video/webm";
+    this._stream = stream;
+    this._chunks = [];
+    this._elapsedMs = 0;
+    // Timeslices hand over data every second instead of one blob at the end.
+    recorder.start(1000);
+    this._resumedAt = performance.now();
+    this.recorder = recorder;
+    this.emit("state", "recording");
+  }
+
+  pause() {
+    if (this.state !== "recording") return;
+    this._elapsedMs = this.elapsedMs;
+    this.recorder.pause();
+    this.emit("state", "paused");
+  }
+
+  resume() {
+    if (this.state !== "paused") return;
+    this.recorder.resume();
+    this._resumedAt = performance.now();
+    this.emit("state", "recording");
+  }
+
+  stop() {
+    if (this.state === "inactive") return;
+    this._elapsedMs = this.elapsedMs;
+    this.recorder.stop(); // "stop" fires from onstop after the last chunk
+  }
+
+  _finish() {
+    const blob = new Blob(this._chunks, { type: this.mimeType });
+    // Audio tracks belong to the caller; only the canvas track is ours.
+    for (const track of this._stream.getVideoTracks()) track.stop();
+    this.recorder = null;
+    this._stream = null;
+    this._chunks = [];
+    this.emit("state", "inactive");
+    this.emit("stop", {
+      blob,
+      mimeType: this.mimeType,
+      durationMs: this._elapsedMs,
+    });
+  }
+}
+
+// Schema entries for `params`: a slider over [min, max], a checkbox, or a
+// dropdown over `options` ({ value: label }).
+function rangeParam(path, label, min, max, step, value) {
+  return { path, label, type: "range", min, max, step, default: value };
+}
+
+function toggleParam(path, label, value) {
+  return { path, label, type: "toggle", default: value };
+}
+
+function choiceParam(path, label, options, value) {
+  return { path, label, type: "choice", options, default: value };
+}
+
+/**
+ * Tunables of each registered mode: mode -> { name: { path, label, type, min,
+ * max, step, options, default } }, filled in by VisualizationRegistry#register(). `path`
+ * is the AudioVisualizer field the value lives in; the defaults match the
+ * fields' initial values. Presets, the mode settings panel, share links and
+ * the render worker all go through this table.
+ */
+const MODE_PARAMS = {};
+
+// Query keys of share links (see buildShareHash()); mode params share the
+// namespace, so no mode may declare a param with one of these names.
+const SHARE_HASH_KEYS = ["mode", "sensitivity", "hue"];
+
+/**
+ * Visualization modes by id, in registration order (the order of the mode
+ * dropdown). Emits "register" with each normalized mode, so a running
+ * visualizer picks up modes from scripts that load after it started.
+ */
+class VisualizationRegistry extends Emitter {
+  constructor() {
+    super();
+    this._modes = new Map();
+  }
+
+  /**
+   * `definition` is { id, label, draw, init?, reset?, resize?, clear?,
+   * params?, style?, script? }. Every hook is called as hook(visualizer, state), where
+   * `state` is the mode's own object in visualizer.modeState:
+   * - draw: paints one frame on visualizer.ctx (scaled about the centre)
+   * - init: once per renderer (page, render worker, offline render)
+   * - reset: when the mode is switched to or away from, and on clear
+   * - resize: after the canvas size changes
+   * - clear: paints the frame's backdrop instead of the default clearRect()
+   * `params` entries are MODE_PARAMS specs; without a `path` the value lives in
+   * `state[name]`, seeded with the default. `style` ({ energy, variability },
+   * 0..1) is the kind of music the mode suits, for Auto mode's "Follow the
+   * music" (see StyleEngine#_nearestMode()).
+   */
+  register(definition) {
+    const { id, draw } = definition || {};
+    if (typeof id !== "string" || !/^[A-Za-z][\w-]*$/.test(id)) {
+      throw new TypeError(`Invalid visualization id: ${id}`);
+    }
+    if (typeof draw !== "function") {
+      throw new TypeError(`Visualization "${id}" needs a draw function`);
+    }
+    if (this._modes.has(id)) {
+      throw new Error(`Visualization "${id}" is already registered`);
+    }
+    const params = {};
+    for (const [name, spec] of Object.entries(definition.params || {})) {
+      if (SHARE_HASH_KEYS.includes(name)) {
+        throw new TypeError(
+          `Visualization "${id}" can't name a param "${name}" (reserved for share links)`,
+        );
+      }
+      params[name] = { ...spec, path: spec.path || `modeState.${id}.${name}` };
+    }
+    const mode = {
+      ...definition,
+      label: String(definition.label || id),
+      params,
+    };
+    this._modes.set(id, mode);
+    MODE_PARAMS[id] = params;
+    this.emit("register", mode);
+    return mode;
+  }
+
+  has(id) {
+    return this._modes.has(id);
+  }
+
+  get(id) {
+    return this._modes.get(id);
+  }
+
+  values() {
+    return this._modes.values();
+  }
+
+  /** URLs of the scripts third-party modes came from (loaded into the render worker). */
+  scripts() {
+    return [
+      ...new Set([...this._modes.values()].map((mode) => mode.script)),
+    ].filter(Boolean);
+  }
+}
+
+/**
+ * Adds a visualization mode (see VisualizationRegistry#register()). Call it
+ * from a classic <script src="..."> loaded after script.js: the file's URL is
+ * recorded so the render worker loads the same mode.
+ */
+function registerVisualization(definition) {
+  const script =
+    typeof document !== "undefined" ? document.currentScript?.src : undefined;
+  return visualizationRegistry.register({ script, ...definition });
+}
+
+// The built-in modes; also run inside the render worker.
+function registerBuiltInVisualizations() {
+  visualizationRegistry.register({
+    id: "waveform",
+    label: "Waveform",
+    draw: (visualizer) => visualizer.drawWaveform(),
+    style: { energy: 0.35, variability: 0.25 },
+  });
+  visualizationRegistry.register({
+    id: "circular",
+    label: "Circular",
+    draw: (visualizer) => visualizer.drawCircular(),
+    style: { energy: 0.5, variability: 0.45 },
+  });
+  visualizationRegistry.register({
+    id: "lissajous",
+    label: "Lissajous",
+    draw: (visualizer) => visualizer.drawLissajous(),
+    style: { energy: 0.25, variability: 0.3 },
+    // A subtle decay trail (higher alpha = shorter afterimage) instead of a full clear.
+    clear(visualizer) {
+      const { ctx, canvas } = visualizer;
+      ctx.fillStyle = "rgba(6, 7, 9, 0.70)";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    },
+  });
+  visualizationRegistry.register({
+    id: "particleFlow",
+    label: "Particle Flow",
+    draw: (visualizer) => visualizer.drawParticleFlow(),
+    style: { energy: 0.7, variability: 0.65 },
+    resize(visualizer) {
+      if (visualizer.particleFlowParticles?.length > 0) {
+        visualizer.initParticleFlowPool();
+      }
+    },
+    params: {
+      adjustCooldownMs: rangeParam(
+        "_particlePerf.adjustCooldownMs",
+        "Quality cooldown (ms)",
+        500,
+        10000,
+        100,
+        2200,
+      ),
+      slowFactor: rangeParam(
+        "_particlePerf.slowFactor",
+        "Slow-frame factor",
+        1,
+        3,
+        0.05,
+        1.35,
+      ),
+      fastFactor: rangeParam(
+        "_particlePerf.fastFactor",
+        "Fast-frame factor",
+        0.3,
+        1,
+        0.05,
+        0.85,
+      ),
+      stepDown: rangeParam("_particlePerf.stepDown", "Step down", 1, 40, 1, 10),
+      stepUp: rangeParam("_particlePerf.stepUp", "Step up", 1, 40, 1, 6),
+      minCount: rangeParam(
+        "_particlePerf.minCount",
+        "Min particles",
+        60,
+        140,
+        1,
+        70,
+      ),
+      maxCount: rangeParam(
+        "_particlePerf.maxCount",
+        "Max particles",
+        60,
+        140,
+        1,
+        140,
+      ),
+    },
+  });
+  visualizationRegistry.register({
+    id: "frequency2x",
+    label: "Frequency 2x",
+    draw: (visualizer) => visualizer.drawFrequencyBars2x(),
+    style: { energy: 0.65, variability: 0.5 },
+  });
+  visualizationRegistry.register({
+    id: "frequency3x",
+    label: "Rain Drops",
+    draw: (visualizer) => visualizer.drawFrequencyBars3x(),
+    style: { energy: 0.8, variability: 0.75 },
+    params: {
+      raindropInterval: rangeParam(
+        "raindropInterval",
+        "Raindrop interval (ms)",
+        50,
+        1000,
+        10,
+        200,
+      ),
+    },
+  });
+  visualizationRegistry.register({
+    id: "frequency4x",
+    label: "Frequency Bars",
+    draw: (visualizer) => visualizer.drawFrequencyBars4x(),
+    style: { energy: 0.5, variability: 0.4 },
+  });
+  visualizationRegistry.register({
+    id: "circles",
+    label: "Circles",
+    draw: (visualizer) => visualizer.drawCircles(),
+    style: { energy: 0.2, variability: 0.15 },
+  });
+  visualizationRegistry.register({
+    id: "audioGeometry",
+    label: "Audio Geometry",
+    draw: (visualizer) => visualizer.drawAudioGeometry(),
+    style: { energy: 0.45, variability: 0.35 },
+    reset: (visualizer) => visualizer._resetAudioGeometry(),
+    params: {
+      sequentialLines: toggleParam(
+        "_agSequentialLines",
+        "Sequential lines",
+        true,
+      ),
+      neighborDistSq: rangeParam(
+        "_agNeighborDistSq",
+        "Link distance² (px²)",
+        400,
+        40000,
+        100,
+        72 * 72,
+      ),
+      neighborLookahead: rangeParam(
+        "_agNeighborLookahead",
+        "Link lookahead",
+        1,
+        60,
+        1,
+        26,
+      ),
+      maxAgeMs: rangeParam(
+        "_agMaxAgeMs",
+        "Particle lifetime (ms)",
+        1000,
+        15000,
+        100,
+        5000,
+      ),
+      focal: rangeParam("_agFocal", "Focal length", 100, 1000, 5, 420),
+      marginPct: rangeParam("_agMarginPct", "Edge margin", 0, 0.2, 0.002, 0.06),
+      radialKappa: rangeParam(
+        "_agRadialKappa",
+        "Radial softness",
+        0.3,
+        2,
+        0.01,
+        0.88,
+      ),
+      innerScale: rangeParam("_agInnerScale", "Inner scale", 0.3, 2, 0.01, 0.9),
+      edgePressureAlpha: rangeParam(
+        "_agEdgePressureAlpha",
+        "Edge pressure rate",
+        0.01,
+        0.5,
+        0.01,
+        0.13,
+      ),
+      edgePressureStart: rangeParam(
+        "_agEdgePressureStart",
+        "Edge pressure start",
+        0.3,
+        1,
+        0.01,
+        0.72,
+      ),
+      spawnInwardMax: rangeParam(
+        "_agSpawnInwardMax",
+        "Inward spawn bias",
+        0,
+        0.5,
+        0.01,
+        0.1,
+      ),
+    },
+  });
+  visualizationRegistry.register({
+    id: "painter",
+    label: "Painter (3D graph)",
+    draw: (visualizer) => visualizer.drawPainter(),
+    style: { energy: 0.4, variability: 0.5 },
+    // Full clear + solid backdrop each frame (no stacked semi-transparent fills — those grey out the canvas).
+    clear(visualizer) {
+      const { ctx, canvas } = visualizer;
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.fillStyle = "#0f1014";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    },
+    reset: (visualizer) => visualizer._resetPainter(),
+    params: {
+      nodeCount: rangeParam(
+        "painterConfig.nodeCount",
+        "Nodes",
+        100,
+        2000,
+        50,
+        900,
+      ),
+      spawnPerFrame: rangeParam(
+        "painterConfig.spawnPerFrame",
+        "Spawn per frame",
+        1,
+        40,
+        1,
+        14,
+      ),
+      spawnOnsetBurst: rangeParam(
+        "painterConfig.spawnOnsetBurst",
+        "Onset burst",
+        0,
+        30,
+        1,
+        9,
+      ),
+      connectionDensity: rangeParam(
+        "painterConfig.connectionDensity",
+        "Connection density",
+        0,
+        1,
+        0.01,
+        0.92,
+      ),
+      neighborLookahead: rangeParam(
+        "painterConfig.neighborLookahead",
+        "Link lookahead",
+        1,
+        40,
+        1,
+        12,
+      ),
+      neighborDistBase: rangeParam(
+        "painterConfig.neighborDistBase",
+        "Link distance",
+        10,
+        150,
+        1,
+        48,
+      ),
+      projectionScale: rangeParam(
+        "painterConfig.projectionScale",
+        "Projection scale",
+        1,
+        15,
+        0.01,
+        7.66,
+      ),
+      nodeSizeScale: rangeParam(
+        "painterConfig.nodeSizeScale",
+        "Node size",
+        0.3,
+        3,
+        0.05,
+        1.15,
+      ),
+      lineWidth: rangeParam(
+        "painterConfig.lineWidth",
+        "Line width",
+        0.25,
+        5,
+        0.05,
+        1.85,
+      ),
+      maxAgeMs: rangeParam(
+        "painterConfig.maxAgeMs",
+        "Node lifetime (ms)",
+        1000,
+        15000,
+        100,
+        5200,
+      ),
+      cameraDriftSpeed: rangeParam(
+        "painterConfig.cameraDriftSpeed",
+        "Camera drift",
+        0,
+        2,
+        0.05,
+        0,
+      ),
+      depthIntensity: rangeParam(
+        "painterConfig.depthIntensity",
+        "Depth intensity",
+        0,
+        2,
+        0.01,
+        1.06,
+      ),
+      focal: rangeParam(
+        "painterConfig.focal",
+        "Focal length",
+        100,
+        1000,
+        5,
+        415,
+      ),
+      sensitivityMultiplier: rangeParam(
+        "painterConfig.sensitivityMultiplier",
+        "Sensitivity multiplier",
+        0.1,
+        3,
+        0.05,
+        1,
+      ),
+      marginPct: rangeParam(
+        "painterConfig.marginPct",
+        "Edge margin",
+        0,
+        0.2,
+        0.002,
+        0.054,
+      ),
+      radialKappa: rangeParam(
+        "painterConfig.radialKappa",
+        "Radial softness",
+        0.3,
+        2,
+        0.01,
+        0.9,
+      ),
+      innerScale: rangeParam(
+        "painterConfig.innerScale",
+        "Inner scale",
+        0.5,
+        3,
+        0.05,
+        1.9,
+      ),
+      edgePressureAlpha: rangeParam(
+        "painterConfig.edgePressureAlpha",
+        "Edge pressure rate",
+        0.01,
+        0.5,
+        0.01,
+        0.12,
+      ),
+      edgePressureStart: rangeParam(
+        "painterConfig.edgePressureStart",
+        "Edge pressure start",
+        0.3,
+        1,
+        0.01,
+        0.72,
+      ),
+      spawnInwardMax: rangeParam(
+        "painterConfig.spawnInwardMax",
+        "Inward spawn bias",
+        0,
+        0.5,
+        0.01,
+        0.2,
+      ),
+      maxLineSegments: rangeParam(
+        "painterConfig.maxLineSegments",
+        "Max line segments",
+        0,
+        6000,
+        100,
+        2200,
+      ),
+    },
+  });
+  visualizationRegistry.register({
+    id: "spectrogram",
+    label: "Spectrogram",
+    draw: (visualizer, state) => visualizer.drawSpectrogram(state),
+    style: { energy: 0.45, variability: 0.35 },
+    // Forget the history; the buffer itself is reused.
+    reset(visualizer, state) {
+      if (state.bufferCtx) {
+        state.bufferCtx.clearRect(
+          0,
+          0,
+          state.buffer.width,
+          state.buffer.height,
+        );
+      }
+      state.head = 0;
+    },
+    init(visualizer, state) {
+      Object.assign(state, {
+        head: 0,
+        lastMs: 0,
+        pxPerSec: 90,
+        timeLabels: [],
+        gridLines: [],
+      });
+    },
+    params: {
+      logScale: toggleParam(null, "Log frequency axis", true),
+      vertical: toggleParam(null, "Scroll vertically", false),
+      colormap: choiceParam(
+        null,
+        "Colormap",
+        { viridis: "Viridis", magma: "Magma", hue: "Hue" },
+        "viridis",
+      ),
+      grid: toggleParam(null, "Grid and labels", true),
+      speed: rangeParam(null, "Scroll speed (px/frame)", 1, 8, 1, 2),
+    },
+  });
+}
+
+// Render worker: third-party mode scripts register their modes there too.
+function loadVisualizationScripts(urls) {
+  for (const url of urls) {
+    try {
+      importScripts(url);
+    } catch (error) {
+      console.warn(`Render worker could not load ${url}:`, error);
+    }
+  }
+}
+
+const visualizationRegistry = new VisualizationRegistry();
+registerBuiltInVisualizations();
+
+// { mode: { name: default } } for every MODE_PARAMS entry (getModeParams() shape).
+function defaultModeParams() {
+  return Object.fromEntries(
+    Object.entries(MODE_PARAMS).map(([mode, specs]) => [
+      mode,
+      Object.fromEntries(
+        Object.entries(specs).map(([name, spec]) => [name, spec.default]),
+      ),
+    ]),
+  );
+}
+
+/**
+ * `value` checked against a MODE_PARAMS entry: a boolean for toggles, one of
+ * the option keys for choices, a finite number clamped to [min, max] (rounded
+ * for whole-number steps) for ranges. Anything else gives undefined.
+ */
+function coerceModeParam(spec, value) {
+  if (spec.type === "toggle") {
+    return typeof value === "boolean" ? value : undefined;
+  }
+  if (spec.type === "choice") {
+    return typeof value === "string" && Object.hasOwn(spec.options, value)
+      ? value
+      : undefined;
+  }
+  if (typeof value !== "number" || !Number.isFinite(value)) return undefined;
+  const clamped = clamp(value, spec.min, spec.max);
+  return Number.isInteger(spec.step) ? Math.round(clamped) : clamped;
+}
+
+/**
+ * Share links carry a look in the URL hash:
+ * "#mode=painter&sensitivity=1.2&hue=180&nodeCount=1200&...", where the rest
+ * are the mode's MODE_PARAMS names (toggles as 1/0).
+ */
+function buildShareHash({ visualType, sensitivity, hueOffset, params }) {
+  const query = new URLSearchParams({
+    mode: visualType,
+    sensitivity: String(sensitivity),
+    hue: String(hueOffset),
+  });
+  for (const [name, value] of Object.entries(params || {})) {
+    query.set(name, typeof value === "boolean" ? (value ? "1" : "0") : value);
+  }
+  return `#${query}`;
+}
+
+/**
+ * Reads a share hash into { visualType, sensitivity?, hueOffset?, params }.
+ * Numbers are clamped to their ranges and malformed values dropped; null when
+ * there is no mode. Whether the mode exists is checked by applyShareState().
+ */
+function parseShareHash(hash) {
+  const query = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const visualType = query.get("mode");
+  if (!visualType) return null;
+  const number = (key) => {
+    const raw = query.get(key);
+    const value = raw === null || raw.trim() === "" ? NaN : Number(raw);
+    return Number.isFinite(value) ? value : undefined;
+  };
+  const state = { visualType, params: {} };
+  const sensitivity = number("sensitivity");
+  if (sensitivity !== undefined) {
+    state.sensitivity = clamp(
+      sensitivity,
+      SENSITIVITY_LIMITS.min,
+      SENSITIVITY_LIMITS.max,
+    );
+  }
+  const hue = number("hue");
+  if (hue !== undefined) state.hueOffset = clamp(Math.round(hue), 0, 360);
+  const specs = Object.hasOwn(MODE_PARAMS, visualType)
+    ? MODE_PARAMS[visualType]
+    : {};
+  for (const [name, spec] of Object.entries(specs)) {
+    const raw = query.get(name);
+    const value =
+      spec.type === "toggle"
+        ? { 1: true, true: true, 0: false, false: false }[raw]
+        : spec.type === "choice"
+          ? (raw ?? undefined)
+          : number(name);
+    const checked =
+      value === undefined ? undefined : coerceModeParam(spec, value);
+    if (checked !== undefined) state.params[name] = checked;
+  }
+  return state;
+}
+
+// Slider readout with as many decimals as the step has.
+function formatModeParam(spec, value) {
+  const decimals = (String(spec.step).split(".")[1] || "").length;
+  return Number(value).toFixed(decimals);
+}
+
+// "a.b.c" field paths (MODE_PARAMS); reading a missing parent gives undefined.
+function readPath(target, path) {
+  return path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), target);
+}
+
+function writePath(target, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  keys.reduce((parent, key) => parent[key], target)[last] = value;
+}
+
+// Version of the exportPreferences() JSON; "1.0" files (no presets) still import.
+const PREFERENCES_SCHEMA_VERSION = "2.0";
+const PRESET_NAME_MAX_LENGTH = 60;
+
+/**
+ * Named presets in IndexedDB (database "audVis", store "presets", keyed by
+ * name). A preset is { name, visualType, sensitivity, hueOffset, params,
+ * updatedAt } with `params` shaped like getModeParams().
+ */
+class PresetStore {
+  static isSupported() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  constructor(dbName = "audVis") {
+    this.dbName = dbName;
+    this._db = null;
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () =>
+          request.result.createObjectStore("presets", { keyPath: "name" });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let a later call retry after a failed open (e.g. private mode).
+      this._db.catch(() => {
+        this._db = null;
+      });
+    }
+    return this._db;
+  }
+
+  // Runs `body(store)` in one transaction; resolves with its request's result.
+  async _transaction(mode, body) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction("presets", mode);
+      const request = body(tx.objectStore("presets"), tx);
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("Preset update aborted"));
+    });
+  }
+
+  async list() {
+    const presets = await this._transaction("readonly", (store) =>
+      store.getAll(),
+    );
+    return presets.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(name) {
+    return this._transaction("readonly", (store) => store.get(name));
+  }
+
+  put(preset) {
+    return this._transaction("readwrite", (store) => store.put(preset));
+  }
+
+  delete(name) {
+    return this._transaction("readwrite", (store) => store.delete(name));
+  }
+
+  /** Renames in one transaction; replaces an existing preset called `to`. */
+  rename(from, to) {
+    return this._transaction("readwrite", (store, tx) => {
+      const request = store.get(from);
+      request.onsuccess = () => {
+        if (!request.result) {
+          tx.abort();
+          return;
+        }
+        store.put({
+          ...request.result,
+          name: to,
+          updatedAt: new Date().toISOString(),
+        });
+        store.delete(from);
+      };
+      return null;
+    });
+  }
+}
+
+/** Analyser settings shared by every source (one pipeline, one look). */
+const ANALYSER_DEFAULTS = {
+  fftSize: 256,
+  smoothingTimeConstant: 0.9,
+  minDecibels: -100,
+  maxDecibels: -30,
+};
+
+/**
+ * FFT size of the tonal branch feeding PitchDetector (time domain) and
+ * ChromaAnalyzer (spectrum); independent of the Resolution setting.
+ */
+const TONAL_FFT_SIZE = 4096;
+
+/** Bar modes / Circular band mapping (see BandMapper). */
+const BAND_DEFAULTS = { scale: "log", bandCount: 96 };
+const BAND_COUNT_LIMITS = { min: 16, max: 256 };
+/** Sensitivity slider range. */
+const SENSITIVITY_LIMITS = { min: 0.1, max: 2 };
+// Circular draws a fixed number of rings regardless of bar count.
+const CIRCULAR_RING_COUNT = 32;
+
+/** Bounds for user-tunable analyser settings (see setAnalyserSettings()). */
+const ANALYSER_LIMITS = {
+  fftSizes: [256, 512, 1024, 2048, 4096, 8192],
+  smoothingMax: 0.99,
+  minDecibels: -160,
+  maxDecibels: 0,
+  minRangeDb: 10, // AnalyserNode throws if minDecibels >= maxDecibels
+};
+
+/**
+ * Feature frame posted by the analysis worklet once per hop (a Float64Array in
+ * this order). Entries are property paths, read on the processor and written to
+ * the same objects on AudioVisualizer; `timeMs` and `onsetEvents.*` (onset
+ * strength this hop, 0 = none) are handled by _consumeAnalysisFrames().
+ */
+const ANALYSIS_FEATURES = [
+  "timeMs",
+  "energyNorm.lowEnergy",
+  "energyNorm.midEnergy",
+  "energyNorm.highEnergy",
+  "energyNorm.lowNorm",
+  "energyNorm.midNorm",
+  "energyNorm.highNorm",
+  "energyNorm.combinedNorm",
+  "energyNorm.dominantBand",
+  "rhythm.currentEnergy",
+  "rhythm.smoothedEnergy",
+  "rhythm.longTermEnergy",
+  "rhythm.beatDetected",
+  "rhythm.bpmEstimate",
+  "rhythm.tempoConfidence",
+  "rhythm.onsetStrength",
+  "rhythm.beatPhase",
+  "rhythm.beatPredicted",
+  "rhythm.beatInBar",
+  "rhythm.barPosition",
+  "rhythm.downbeat",
+  "rhythm.barLocked",
+  "onsets.envelope.kick",
+  "onsets.envelope.snare",
+  "onsets.envelope.hat",
+  "onsetEvents.kick",
+  "onsetEvents.snare",
+  "onsetEvents.hat",
+];
+const ANALYSIS_FEATURE_PATHS = ANALYSIS_FEATURES.map((path) => path.split("."));
+// Per-frame flags: latched (OR) across the frames drained by one render frame.
+const ANALYSIS_FLAGS = [
+  "rhythm.beatDetected",
+  "rhythm.beatPredicted",
+  "rhythm.downbeat",
+];
+const ANALYSIS_PROCESSOR_NAME = "audvis-analysis";
+// Time between feature frames. The trackers' per-update constants were tuned
+// at the ~45 FPS render rate, so the worklet runs them at a similar fixed rate.
+const ANALYSIS_HOP_MS = 20;
+
+/**
+ * AnalyserNode's frequency analysis in plain JS: Blackman window, radix-2 FFT,
+ * 1/N magnitude, exponential smoothing across calls and the dB range mapped to
+ * bytes. The analysis worklet and offline renders use it so their spectra match
+ * the live graph.
+ */
+class SpectrumAnalyzer {
+  constructor(fftSize = 2048) {
+    this.minDecibels = -100;
+    this.maxDecibels = -30;
+    this.smoothing = 0.8; // weight of the previous magnitude, per analyze()
+    this.fftSize = 0;
+    this.configure(fftSize);
+  }
+
+  // Reallocates (and so resets smoothing) only when the size changes.
+  configure(fftSize) {
+    if (fftSize === this.fftSize) return;
+    const n = fftSize;
+    this.fftSize = n;
+    this.window = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      const x = (2 * Math.PI * i) / n;
+      this.window[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+    }
+    this.re = new Float32Array(n);
+    this.im = new Float32Array(n);
+    this.cos = new Float32Array(n / 2);
+    this.sin = new Float32Array(n / 2);
+    for (let i = 0; i < n / 2; i++) {
+      this.cos[i] = Math.cos((2 * Math.PI * i) / n);
+      this.sin[i] = -Math.sin((2 * Math.PI * i) / n);
+    }
+    this.bitrev = new Uint32Array(n);
+    const bits = Math.log2(n);
+    for (let i = 0; i < n; i++) {
+      let r = 0;
+      for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+      this.bitrev[i] = r;
+    }
+    this.magnitude = new Float32Array(n / 2);
+    this.bytes = new Uint8Array(n / 2);
+  }
+
+  reset() {
+    this.magnitude.fill(0);
+    this.bytes.fill(0);
+  }
+
+  /** One analysis step over `block` (fftSize samples, oldest first). */
+  analyze(block) {
+    const n = this.fftSize;
+    const re = this.re;
+    const im = this.im;
+    for (let i = 0; i < n; i++) {
+      re[this.bitrev[i]] = block[i] * this.window[i];
+      im[i] = 0;
+    }
+    // Iterative radix-2 FFT (bit-reversed input, in place).
+    for (let size = 2; size <= n; size <<= 1) {
+      const half = size >> 1;
+      const step = n / size;
+      for (let i = 0; i < n; i += size) {
+        for (let j = 0; j < half; j++) {
+          const wr = this.cos[j * step];
+          const wi = this.sin[j * step];
+          const a = i + j;
+          const b = a + half;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+
+    const { minDecibels, maxDecibels } = this;
+    const range = maxDecibels - minDecibels;
+    const s = this.smoothing;
+    for (let k = 0; k < n / 2; k++) {
+      const mag = Math.sqrt(re[k] * re[k] + im[k] * im[k]) / n;
+      const smoothed = s * this.magnitude[k] + (1 - s) * mag;
+      this.magnitude[k] = smoothed;
+      const db = smoothed > 0 ? 20 * Math.log10(smoothed) : -Infinity;
+      const scaled = (255 * (db - minDecibels)) / range;
+      this.bytes[k] = scaled <= 0 ? 0 : scaled >= 255 ? 255 : scaled;
+    }
+  }
+
+  /** Smoothed magnitudes in dB, as AnalyserNode.getFloatFrequencyData(). */
+  getFloatFrequencyData(out) {
+    const n = Math.min(out.length, this.magnitude.length);
+    for (let k = 0; k < n; k++) {
+      const mag = this.magnitude[k];
+      out[k] = mag > 0 ? 20 * Math.log10(mag) : -Infinity;
+    }
+  }
+}
+
+/**
+ * Body of the analysis AudioWorklet module (see createAnalysisWorkletUrl()).
+ * Runs in AudioWorkletGlobalScope, where `sampleRate`, `currentTime`,
+ * `registerProcessor` and the classes serialized ahead of it are globals.
+ * SpectrumAnalyzer reproduces AnalyserNode's byte spectrum so the trackers
+ * behave as they do on the main thread.
+ */
+function analysisWorkletScope() {
+  const MAX_FFT_SIZE = 8192;
+
+  class AudVisAnalysisProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+      super();
+      const opts = (options && options.processorOptions) || {};
+      this.hop = Math.round((sampleRate * (opts.hopMs || 20)) / 1000);
+      this.rhythm = new RhythmTracker();
+      this.energyNorm = new AdaptiveEnergyNormalizer();
+      this.onsets = new OnsetDetector(this.energyNorm);
+      this.onsetEvents = { kick: 0, snare: 0, hat: 0 };
+      this.onsets.on("onset", ({ band, strength }) => {
+        this.onsetEvents[band] = Math.max(this.onsetEvents[band], strength);
+      });
+
+      this.paths = ANALYSIS_FEATURES.map((path) => path.split("."));
+      this.frame = new Float64Array(ANALYSIS_FEATURES.length);
+      this.ring = new Float32Array(MAX_FFT_SIZE);
+      this.ringWrite = 0;
+      this.spectrum = new SpectrumAnalyzer(256);
+      this.block = new Float32Array(256);
+      this.sinceHop = 0;
+      this.settings = {
+        fftSize: 256,
+        smoothingTimeConstant: 0.9,
+        minDecibels: -100,
+        maxDecibels: -30,
+        frameMs: 1000 / 45,
+      };
+      this.configure(opts.settings);
+      this.port.onmessage = (e) => {
+        if (e.data && e.data.type === "settings")
+          this.configure(e.data.settings);
+      };
+    }
+
+    configure(settings) {
+      Object.assign(this.settings, settings || {});
+      const n = this.settings.fftSize;
+      // AnalyserNode smoothing is applied per read (one per rendered frame);
+      // rescale it so a hop-rate read gives the same time constant.
+      const hopMs = (this.hop / sampleRate) * 1000;
+      const spectrum = this.spectrum;
+      spectrum.smoothing = Math.pow(
+        this.settings.smoothingTimeConstant,
+        hopMs / this.settings.frameMs,
+      );
+      spectrum.minDecibels = this.settings.minDecibels;
+      spectrum.maxDecibels = this.settings.maxDecibels;
+      spectrum.configure(n);
+      if (this.block.length !== n) this.block = new Float32Array(n);
+    }
+
+    process(inputs) {
+      const input = inputs[0] || [];
+      const channels = input.length;
+      const length = channels ? input[0].length : 128;
+      const ring = this.ring;
+      for (let i = 0; i < length; i++) {
+        let v = 0;
+        for (let c = 0; c < channels; c++) v += input[c][i];
+        ring[this.ringWrite] = channels ? v / channels : 0; // mono downmix
+        this.ringWrite = (this.ringWrite + 1) % MAX_FFT_SIZE;
+      }
+      this.sinceHop += length;
+      if (this.sinceHop >= this.hop) {
+        this.sinceHop -= this.hop;
+        this.analyze((currentTime + length / sampleRate) * 1000);
+      }
+      return true;
+    }
+
+    analyze(timeMs) {
+      this.computeSpectrum();
+      const bytes = this.spectrum.bytes;
+      this.rhythm.update(bytes, sampleRate, timeMs);
+      this.energyNorm.update(bytes, sampleRate);
+      this.onsets.update(bytes, sampleRate, timeMs);
+
+      const frame = this.frame;
+      frame[0] = timeMs;
+      for (let i = 1; i < this.paths.length; i++) {
+        let value = this;
+        for (const key of this.paths[i]) value = value[key];
+        frame[i] = +value;
+      }
+      this.port.postMessage(frame);
+      for (const band of ONSET_BANDS) this.onsetEvents[band] = 0;
+    }
+
+    computeSpectrum() {
+      const block = this.block;
+      const n = block.length;
+      const start = (this.ringWrite - n + MAX_FFT_SIZE) % MAX_FFT_SIZE;
+      for (let i = 0; i < n; i++) {
+        block[i] = this.ring[(start + i) % MAX_FFT_SIZE];
+      }
+      this.spectrum.analyze(block);
+    }
+  }
+
+  registerProcessor(ANALYSIS_PROCESSOR_NAME, AudVisAnalysisProcessor);
+}
+
+/**
+ * Blob URL for the analysis worklet module: the trackers' own source plus
+ * analysisWorkletScope(), so both threads run the same code and no extra file
+ * has to be fetched (addModule() with a file:// path fails in most browsers).
+ */
+function createAnalysisWorkletUrl() {
+  const constants = {
+    ONSET_BANDS,
+    ANALYSIS_FEATURES,
+    ANALYSIS_PROCESSOR_NAME,
+  };
+  const source = [
+    ...Object.entries(constants).map(
+      ([name, value]) => `const ${name} = ${JSON.stringify(value)};`,
+    ),
+    ...[
+      clamp,
+      clamp01,
+      lerp,
+      Emitter,
+      SpectrumAnalyzer,
+      RhythmTracker,
+      AdaptiveEnergyNormalizer,
+      OnsetDetector,
+    ].map((fn) => fn.toString()),
+    `(${analysisWorkletScope.toString()})();`,
+  ].join("\n\n");
+  return URL.createObjectURL(
+    new Blob([source], { type: "application/javascript" }),
+  );
+}
+
+// Render worker: AudioVisualizer fields copied into every frame message (typed
+// arrays are cloned), plus the few fields draw() reads from analysis objects.
+const RENDER_FRAME_FIELDS = [
+  "frequencyData",
+  "dataArray",
+  "boostedFrequencyData",
+  "smoothedFrequencyData",
+  "_stereoL",
+  "_stereoR",
+  "visualType",
+  "sensitivity",
+  "hueOffset",
+  "visualEnergy",
+  "visualScale",
+  "visualIntensity",
+  "keyColor",
+  "pitchColor",
+  "_pitchHueShift",
+  "loudnessOverlay",
+  "modeTransition",
+  "lastFrameTime",
+  "analyserSettings",
+  "behavior",
+];
+const RENDER_FRAME_STATE = {
+  rhythm: ["beatDetected"],
+  energyNorm: [
+    "lowNorm",
+    "midNorm",
+    "highNorm",
+    "lowHzMin",
+    "midHzMin",
+    "highHzMin",
+    "highHzMax",
+  ],
+  stereo: ["active", "correlation"],
+  loudness: ["momentary", "shortTerm", "integrated", "truePeak", "rms"],
+};
+
+/**
+ * Runs in a DedicatedWorkerGlobalScope with AudioVisualizer and the helpers its
+ * draw methods use serialized ahead of it. A prototype-only renderer (no DOM,
+ * no audio) owns the transferred OffscreenCanvas and all per-mode state.
+ *
+ * Messages in: `init` {canvas, width, height}, `resize` {width, height},
+ * `frame` (RENDER_FRAME_FIELDS, RENDER_FRAME_STATE, bandScale, bandCount,
+ * particleFlowCount, sampleRate, onsets), `params` (see applyModeParams()),
+ * `clear` and `snapshot` {options}.
+ * Each frame is answered with `drawn` {renderMs}, a snapshot with `snapshot`
+ * {blob} or {error}.
+ */
+function renderWorkerScope() {
+  const renderer = Object.create(AudioVisualizer.prototype);
+  renderer._initRenderState();
+  renderer.bandScale = BAND_DEFAULTS.scale;
+  renderer.bandCount = BAND_DEFAULTS.bandCount;
+  renderer.bandMapper = new BandMapper(BAND_DEFAULTS);
+  renderer._circularBands = new BandMapper({
+    scale: BAND_DEFAULTS.scale,
+    bandCount: CIRCULAR_RING_COUNT,
+  });
+  for (const name of Object.keys(RENDER_FRAME_STATE)) renderer[name] = {};
+  // The draw methods only read `sampleRate` from the context.
+  renderer.audioContext = { sampleRate: 0 };
+  renderer.canvas = null;
+  renderer.ctx = null;
+
+  const resize = (width, height) => {
+    renderer.canvas.width = width;
+    renderer.canvas.height = height;
+    renderer._resizeModes();
+  };
+
+  const applyFrame = (frame) => {
+    const binCount = frame.frequencyData.length;
+    if (renderer.frequencyData.length !== binCount) {
+      renderer.syncAnalyserBuffers(binCount);
+    }
+    for (const name of RENDER_FRAME_FIELDS) renderer[name] = frame[name];
+    for (const name of Object.keys(RENDER_FRAME_STATE)) {
+      Object.assign(renderer[name], frame[name]);
+    }
+    renderer.audioContext.sampleRate = frame.sampleRate;
+    if (
+      frame.bandScale !== renderer.bandScale ||
+      frame.bandCount !== renderer.bandCount
+    ) {
+      renderer.bandScale = frame.bandScale;
+      renderer.bandCount = frame.bandCount;
+      renderer._applyBandMapping();
+    }
+    if (frame.particleFlowCount !== renderer.particleFlowCount) {
+      renderer.particleFlowCount = frame.particleFlowCount;
+      renderer.initParticleFlowPool();
+    }
+    for (const event of frame.onsets) renderer._applyOnset(event);
+  };
+
+  self.onmessage = ({ data }) => {
+    switch (data.type) {
+      case "init":
+        renderer.canvas = data.canvas;
+        renderer.ctx = data.canvas.getContext("2d");
+        resize(data.width, data.height);
+        renderer.initParticleFlowPool();
+        break;
+      case "resize":
+        resize(data.width, data.height);
+        break;
+      case "frame": {
+        const t0 = performance.now();
+        applyFrame(data);
+        renderer.draw();
+        self.postMessage({ type: "drawn", renderMs: performance.now() - t0 });
+        break;
+      }
+      case "params":
+        renderer.applyModeParams(data.params);
+        break;
+      case "clear":
+        renderer._clearRenderState();
+        break;
+      case "snapshot":
+        renderer._snapshotBlob(data.options).then(
+          (blob) => self.postMessage({ type: "snapshot", blob }),
+          (error) =>
+            self.postMessage({ type: "snapshot", error: String(error) }),
+        );
+        break;
+    }
+  };
+}
+
+/**
+ * Blob URL for the render worker: AudioVisualizer's own source (so both
+ * threads draw with the same code) plus the helpers and constants the draw
+ * methods reference, then renderWorkerScope().
+ */
+function createRenderWorkerUrl() {
+  const constants = {
+    ANALYSER_DEFAULTS,
+    BAND_SCALES,
+    BAND_DEFAULTS,
+    CANVAS_BACKGROUND,
+    CIRCULAR_RING_COUNT,
+    DISSOLVE_GRID,
+    LOUDNESS_FLOOR,
+    LOUDNESS_METER_ROWS,
+    MODE_TRANSITION_DEFAULTS,
+    SPECTROGRAM_COLORMAPS,
+    SPECTROGRAM_GRID_HZ,
+    SPECTROGRAM_MIN_HZ,
+    ONSET_BANDS,
+    RENDER_FRAME_FIELDS,
+    RENDER_FRAME_STATE,
+    SHARE_HASH_KEYS,
+  };
+  const source = [
+    ...Object.entries(constants).map(
+      ([name, value]) => `const ${name} = ${JSON.stringify(value)};`,
+    ),
+    ...[
+      clamp,
+      clamp01,
+      lerp,
+      formatLevel,
+      hslToRgbBytes,
+      readPath,
+      writePath,
+      coerceModeParam,
+      createExportCanvas,
+      canvasToBlob,
+      rangeParam,
+      toggleParam,
+      choiceParam,
+      Emitter,
+      VisualizationRegistry,
+      registerVisualization,
+      registerBuiltInVisualizations,
+      loadVisualizationScripts,
+      BandMapper,
+      AudioVisualizer,
+    ].map((fn) => fn.toString()),
+    "const MODE_PARAMS = {};",
+    "const visualizationRegistry = new VisualizationRegistry();",
+    "registerBuiltInVisualizations();",
+    `loadVisualizationScripts(${JSON.stringify(visualizationRegistry.scripts())});`,
+    `(${renderWorkerScope.toString()})();`,
+  ].join("\n\n");
+  return URL.createObjectURL(
+    new Blob([source], { type: "application/javascript" }),
+  );
+}
+
+// Worker rendering needs a transferable canvas; otherwise draw() stays on the main thread.
+function canRenderInWorker() {
+  return (
+    typeof Worker !== "undefined" &&
+    typeof HTMLCanvasElement !== "undefined" &&
+    "transferControlToOffscreen" in HTMLCanvasElement.prototype
+  );
+}
+
+// Offline render (see renderFileOffline()): decode rate and output choices.
+const OFFLINE_SAMPLE_RATE = 48000;
+const OFFLINE_SIZES = ["1280x720", "1920x1080", "2560x1440", "3840x2160"];
+const OFFLINE_FPS_OPTIONS = [30, 60];
+const OFFLINE_FORMATS = ["png", "webm"];
+const OFFLINE_DEFAULTS = { size: "1920x1080", fps: 60, format: "png" };
+
+// Snapshot export (see takeSnapshot()): multiples of the canvas size.
+const SNAPSHOT_SCALES = [1, 2, 4];
+const SNAPSHOT_DEFAULTS = { scale: 1, rerender: true, transparent: false };
+
+/**
+ * AnalyserNode stand-in over one decoded channel. `position` is the sample the
+ * analysis window ends at (the offline playhead). Frequency data is analysed
+ * once per position, so smoothing advances one step per rendered frame;
+ * `smoothingExponent` rescales it when frames are not at the live frame rate.
+ */
+class BufferAnalyser {
+  constructor(samples) {
+    this.samples = samples;
+    this.position = 0;
+    this.fftSize = 2048;
+    this.smoothingTimeConstant = 0.8;
+    this.minDecibels = -100;
+    this.maxDecibels = -30;
+    this.smoothingExponent = 1;
+    this._spectrum = null;
+    this._block = null;
+    this._analyzedAt = -1;
+  }
+
+  get frequencyBinCount() {
+    return this.fftSize / 2;
+  }
+
+  // The fftSize samples ending at `position`, oldest first (zeros before 0).
+  _window() {
+    const n = this.fftSize;
+    if (!this._block || this._block.length !== n) {
+      this._block = new Float32Array(n);
+    }
+    const block = this._block;
+    const start = this.position - n;
+    const samples = this.samples;
+    for (let i = 0; i < n; i++) {
+      const j = start + i;
+      block[i] = j >= 0 && j < samples.length ? samples[j] : 0;
+    }
+    return block;
+  }
+
+  // Like AnalyserNode, shorter arrays get the oldest part of the window.
+  getFloatTimeDomainData(out) {
+    const block = this._window();
+    out.set(block.subarray(0, Math.min(out.length, block.length)));
+  }
+
+  getByteTimeDomainData(out) {
+    const block = this._window();
+    const n = Math.min(out.length, block.length);
+    for (let i = 0; i < n; i++) {
+      out[i] = clamp(Math.floor(128 * (1 + block[i])), 0, 255);
+    }
+  }
+
+  getByteFrequencyData(out) {
+    const bytes = this._analyze().bytes;
+    out.set(bytes.subarray(0, Math.min(out.length, bytes.length)));
+  }
+
+  getFloatFrequencyData(out) {
+    this._analyze().getFloatFrequencyData(out);
+  }
+
+  _analyze() {
+    if (!this._spectrum) this._spectrum = new SpectrumAnalyzer(this.fftSize);
+    const spectrum = this._spectrum;
+    if (spectrum.fftSize !== this.fftSize) {
+      spectrum.configure(this.fftSize);
+      this._analyzedAt = -1;
+    }
+    if (this._analyzedAt === this.position) return spectrum;
+    spectrum.minDecibels = this.minDecibels;
+    spectrum.maxDecibels = this.maxDecibels;
+    spectrum.smoothing = Math.pow(
+      this.smoothingTimeConstant,
+      this.smoothingExponent,
+    );
+    spectrum.analyze(this._window());
+    this._analyzedAt = this.position;
+    return spectrum;
+  }
+}
+
+// Direct-form IIR filter over a whole channel, as IIRFilterNode applies
+// [feedforward, feedback] (feedback[0] normalizes).
+function filterIIR(samples, feedforward, feedback) {
+  const out = new Float32Array(samples.length);
+  const a0 = feedback[0];
+  for (let i = 0; i < samples.length; i++) {
+    let y = 0;
+    for (let k = 0; k < feedforward.length && k <= i; k++) {
+      y += feedforward[k] * samples[i - k];
+    }
+    for (let k = 1; k < feedback.length && k <= i; k++) {
+      y -= feedback[k] * out[i - k];
+    }
+    out[i] = y / a0;
+  }
+  return out;
+}
+
+/** Decodes a File/Blob to an AudioBuffer at OFFLINE_SAMPLE_RATE (no playback). */
+async function decodeAudioFile(file) {
+  const Context =
+    window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!Context) throw new Error("OfflineAudioContext is not supported");
+  const data = await file.arrayBuffer();
+  const context = new Context(2, 1, OFFLINE_SAMPLE_RATE);
+  return context.decodeAudioData(data);
+}
+
+// #visualizer's CSS background. draw() leaves cleared areas transparent, so
+// exported frames are composited onto it unless transparency is asked for.
+const CANVAS_BACKGROUND = "#060709";
+
+// Detached drawing surface for exports; OffscreenCanvas where available.
+function createExportCanvas(width, height) {
+  if (typeof OffscreenCanvas !== "undefined") {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+function canvasToBlob(canvas, type = "image/png") {
+  if (typeof canvas.convertToBlob === "function") {
+    return canvas.convertToBlob({ type });
+  }
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Canvas export failed")),
+      type,
+    ),
+  );
+}
+
+// Mode transitions: how draw() blends the outgoing mode into the incoming one.
+const MODE_TRANSITION_DEFAULTS = { style: "crossfade", durationMs: 800 };
+const MODE_TRANSITION_STYLES = ["cut", "crossfade", "wipe", "zoom", "dissolve"];
+const MODE_TRANSITION_LIMITS = { min: 100, max: 5000 };
+// Dissolve reveals the incoming mode one cell of this grid at a time.
+const DISSOLVE_GRID = { cols: 96, rows: 54 };
+
+// Spectrogram colormaps as evenly spaced [r, g, b] stops (matplotlib's
+// viridis and magma); "hue" is built from the current hue instead.
+const SPECTROGRAM_COLORMAPS = {
+  viridis: [
+    [68, 1, 84],
+    [72, 40, 120],
+    [62, 73, 137],
+    [49, 104, 142],
+    [38, 130, 142],
+    [31, 158, 137],
+    [53, 183, 121],
+    [110, 206, 88],
+    [181, 222, 43],
+    [253, 231, 37],
+  ],
+  magma: [
+    [0, 0, 4],
+    [20, 14, 54],
+    [59, 15, 112],
+    [100, 26, 128],
+    [140, 41, 129],
+    [183, 55, 121],
+    [222, 73, 104],
+    [247, 112, 92],
+    [254, 159, 109],
+    [254, 207, 146],
+    [252, 253, 191],
+  ],
+};
+// The log axis starts here; below it the bins are a handful of rows at most.
+const SPECTROGRAM_MIN_HZ = 20;
+// Grid line frequencies per axis.
+const SPECTROGRAM_GRID_HZ = {
+  log: [50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000],
+  linear: [
+    2000, 4000, 6000, 8000, 10000, 12000, 14000, 16000, 18000, 20000, 22000,
+  ],
+};
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC32_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Largest value of a classic ZIP size/offset field; beyond it ZIP64 records
+// carry the real value.
+const ZIP32_MAX = 0xffffffff;
+
+// 64-bit little-endian integer (exact up to 2^53) as two 32-bit halves.
+function setUint64(view, offset, value) {
+  view.setUint32(offset, value % 2 ** 32, true);
+  view.setUint32(offset + 4, Math.floor(value / 2 ** 32), true);
+}
+
+/**
+ * Store-only ZIP archive (no compression: PNGs are already deflated). File
+ * data stays in Blob parts so long renders need not sit in the JS heap.
+ * Archives past 65535 entries or 4 GiB get ZIP64 records; a single file must
+ * stay under 4 GiB.
+ */
+class ZipWriter {
+  constructor() {
+    this.parts = [];
+    this.entries = [];
+    this.offset = 0;
+    this._encoder = new TextEncoder();
+  }
+
+  async add(name, blob, date = new Date()) {
+    const nameBytes = this._encoder.encode(name);
+    const size = blob.size;
+    if (size >= ZIP32_MAX) throw new Error(`"${name}" is too large to zip`);
+    const end = this.offset + 30 + nameBytes.length + size;
+    const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+    // MS-DOS time/date fields (local time, 2 s resolution).
+    const time =
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      (date.getSeconds() >> 1);
+    const day =
+      ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate();
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true); // local file header
+    header.setUint16(4, 20, true); // version needed: 2.0
+    header.setUint16(6, 0x0800, true); // UTF-8 names
+    header.setUint16(8, 0, true); // stored
+    header.setUint16(10, time, true);
+    header.setUint16(12, day, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, size, true);
+    header.setUint32(22, size, true);
+    header.setUint16(26, nameBytes.length, true);
+    this.parts.push(header, nameBytes, blob);
+    this.entries.push({ nameBytes, crc, size, time, day, offset: this.offset });
+    this.offset = end;
+  }
+
+  finish() {
+    const central = [];
+    let centralSize = 0;
+    for (const entry of this.entries) {
+      // Files starting past 4 GiB keep their offset in a ZIP64 extra field.
+      const zip64 = entry.offset >= ZIP32_MAX;
+      const record = new DataView(new ArrayBuffer(zip64 ? 58 : 46));
+      record.setUint32(0, 0x02014b50, true); // central directory header
+      record.setUint16(4, zip64 ? 45 : 20, true); // version made by
+      record.setUint16(6, zip64 ? 45 : 20, true); // version needed (4.5: ZIP64)
+      record.setUint16(8, 0x0800, true);
+      record.setUint16(10, 0, true);
+      record.setUint16(12, entry.time, true);
+      record.setUint16(14, entry.day, true);
+      record.setUint32(16, entry.crc, true);
+      record.setUint32(20, entry.size, true);
+      record.setUint32(24, entry.size, true);
+      record.setUint16(28, entry.nameBytes.length, true);
+      record.setUint32(42, zip64 ? ZIP32_MAX : entry.offset, true);
+      if (zip64) {
+        record.setUint16(30, 12, true); // extra field length
+        record.setUint16(46, 0x0001, true); // ZIP64 extended information
+        record.setUint16(48, 8, true);
+        setUint64(record, 50, entry.offset);
+      }
+      const extra = zip64 ? 12 : 0;
+      central.push(
+        new DataView(record.buffer, 0, 46),
+        entry.nameBytes,
+        new DataView(record.buffer, 46, extra),
+      );
+      centralSize += 46 + entry.nameBytes.length + extra;
+    }
+
+    const count = this.entries.length;
+    const centralOffset = this.offset;
+    const tail = [];
+    if (
+      count >= 0xffff ||
+      centralOffset >= ZIP32_MAX ||
+      centralSize >= ZIP32_MAX
+    ) {
+      const record = new DataView(new ArrayBuffer(56));
+      record.setUint32(0, 0x06064b50, true); // ZIP64 end of central directory
+      setUint64(record, 4, 44); // size of the rest of this record
+      record.setUint16(12, 45, true);
+      record.setUint16(14, 45, true);
+      setUint64(record, 24, count);
+      setUint64(record, 32, count);
+      setUint64(record, 40, centralSize);
+      setUint64(record, 48, centralOffset);
+      const locator = new DataView(new ArrayBuffer(20));
+      locator.setUint32(0, 0x07064b50, true); // ZIP64 end of central directory locator
+      setUint64(locator, 8, centralOffset + centralSize);
+      locator.setUint32(16, 1, true); // total number of disks
+      tail.push(record, locator);
+    }
+    // Fields that overflow are saturated; readers then use the ZIP64 record.
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // end of central directory
+    end.setUint16(8, Math.min(count, 0xffff), true);
+    end.setUint16(10, Math.min(count, 0xffff), true);
+    end.setUint32(12, Math.min(centralSize, ZIP32_MAX), true);
+    end.setUint32(16, Math.min(centralOffset, ZIP32_MAX), true);
+    tail.push(end);
+    return new Blob([...this.parts, ...central, ...tail], {
+      type: "application/zip",
+    });
+  }
+}
+
+/** Offline frame sink: numbered PNGs in a ZIP (frame-00000.png, ...). */
+class PngSequenceSink {
+  constructor() {
+    this.zip = new ZipWriter();
+    this.frameCount = 0;
+    this.extension = "zip";
+  }
+
+  async addFrame(canvas) {
+    const blob = await canvasToBlob(canvas, "image/png");
+    const name = `frame-${String(this.frameCount).padStart(5, "0")}.png`;
+    await this.zip.add(name, blob);
+    this.frameCount++;
+  }
+
+  async finish() {
+    return this.zip.finish();
+  }
+
+  close() {}
+}
+
+// EBML (Matroska/WebM) encoding: element IDs carry their own length marker;
+// sizes and integers are big-endian.
+function ebmlVarInt(value) {
+  let length = 1;
+  while (length < 8 && value >= 2 ** (7 * length) - 1) length++;
+  const bytes = new Uint8Array(length);
+  let v = value;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = v % 256;
+    v = Math.floor(v / 256);
+  }
+  bytes[0] |= 1 << (8 - length);
+  return bytes;
+}
+
+function ebmlUint(value) {
+  const bytes = [];
+  let v = value;
+  do {
+    bytes.unshift(v % 256);
+    v = Math.floor(v / 256);
+  } while (v > 0);
+  return Uint8Array.from(bytes);
+}
+
+function ebmlFloat(value) {
+  const view = new DataView(new ArrayBuffer(8));
+  view.setFloat64(0, value);
+  return new Uint8Array(view.buffer);
+}
+
+function ebmlPartSize(part) {
+  return part instanceof Blob ? part.size : part.byteLength;
+}
+
+/** Element from an ID and payload parts (Uint8Arrays, Blobs or nested elements). */
+function ebmlElement(id, payload) {
+  const parts = Array.isArray(payload) ? payload : [payload];
+  const size = parts.reduce((sum, part) => sum + ebmlPartSize(part), 0);
+  const idBytes = ebmlUint(id);
+  const sizeBytes = ebmlVarInt(size);
+  const header = new Uint8Array(idBytes.length + sizeBytes.length);
+  header.set(idBytes);
+  header.set(sizeBytes, idBytes.length);
+  return new Blob([header, ...parts]);
+}
+
+const WEBM_TIMESCALE_NS = 1000000; // block timestamps in milliseconds
+const WEBM_CLUSTER_MAX_MS = 32767; // SimpleBlock times are int16 offsets
+
+/**
+ * Minimal WebM writer for one video track plus optional Opus audio: EBML
+ * header, a Segment of known size with Info (incl. Duration), Tracks and
+ * Clusters of SimpleBlocks. No Cues, so players seek by scanning.
+ * Blocks must arrive in timestamp order; finish() returns the file.
+ */
+class WebmMuxer {
+  constructor({ width, height, codecId, audio = null }) {
+    this.video = { width, height, codecId };
+    this.audio = audio; // { sampleRate, channels, codecPrivate } | null
+    this.clusters = [];
+    this._cluster = null;
+    this._encoder = new TextEncoder();
+  }
+
+  addVideoChunk(data, timestampMs, keyframe) {
+    this._addBlock(1, data, timestampMs, keyframe);
+  }
+
+  addAudioChunk(data, timestampMs) {
+    this._addBlock(2, data, timestampMs, true);
+  }
+
+  _addBlock(track, data, timestampMs, keyframe) {
+    const time = Math.round(timestampMs);
+    // New clusters start at video keyframes so each one is independently decodable.
+    if (
+      !this._cluster ||
+      (track === 1 && keyframe) ||
+      time - this._cluster.time > WEBM_CLUSTER_MAX_MS
+    ) {
+      this._closeCluster();
+      this._cluster = {
+        time,
+        parts: [ebmlElement(0xe7, ebmlUint(time))], // Timecode
+      };
+    }
+    const header = new Uint8Array(4);
+    header[0] = 0x80 | track; // track number (1-byte varint)
+    new DataView(header.buffer).setInt16(1, time - this._cluster.time);
+    header[3] = keyframe ? 0x80 : 0;
+    this._cluster.parts.push(ebmlElement(0xa3, [header, data])); // SimpleBlock
+  }
+
+  _closeCluster() {
+    if (!this._cluster) return;
+    this.clusters.push(ebmlElement(0x1f43b675, this._cluster.parts));
+    this._cluster = null;
+  }
+
+  _string(id, value) {
+    return ebmlElement(id, this._encoder.encode(value));
+  }
+
+  finish(durationMs) {
+    this._closeCluster();
+    const header = ebmlElement(0x1a45dfa3, [
+      ebmlElement(0x4286, ebmlUint(1)), // EBMLVersion
+      ebmlElement(0x42f7, ebmlUint(1)), // EBMLReadVersion
+      ebmlElement(0x42f2, ebmlUint(4)), // EBMLMaxIDLength
+      ebmlElement(0x42f3, ebmlUint(8)), // EBMLMaxSizeLength
+      this._string(0x4282, "webm"), // DocType
+      ebmlElement(0x4287, ebmlUint(2)), // DocTypeVersion
+      ebmlElement(0x4285, ebmlUint(2)), // DocTypeReadVersion
+    ]);
+    const info = ebmlElement(0x1549a966, [
+      ebmlElement(0x2ad7b1, ebmlUint(WEBM_TIMESCALE_NS)),
+      this._string(0x4d80, "Audio Visualizer"), // MuxingApp
+      this._string(0x5741, "Audio Visualizer"), // WritingApp
+      ebmlElement(0x4489, ebmlFloat(durationMs)), // Duration
+    ]);
+    const tracks = [
+      ebmlElement(0xae, [
+        ebmlElement(0xd7, ebmlUint(1)), // TrackNumber
+        ebmlElement(0x73c5, ebmlUint(1)), // TrackUID
+        ebmlElement(0x83, ebmlUint(1)), // TrackType: video
+        this._string(0x86, this.video.codecId),
+        ebmlElement(0xe0, [
+          ebmlElement(0xb0, ebmlUint(this.video.width)),
+          ebmlElement(0xba, ebmlUint(this.video.height)),
+        ]),
+      ]),
+    ];
+    if (this.audio) {
+      tracks.push(
+        ebmlElement(0xae, [
+          ebmlElement(0xd7, ebmlUint(2)),
+          ebmlElement(0x73c5, ebmlUint(2)),
+          ebmlElement(0x83, ebmlUint(2)), // TrackType: audio
+          this._string(0x86, "A_OPUS"),
+          ebmlElement(0x63a2, this.audio.codecPrivate), // CodecPrivate
+          ebmlElement(0xe1, [
+            ebmlElement(0xb5, ebmlFloat(this.audio.sampleRate)),
+            ebmlElement(0x9f, ebmlUint(this.audio.channels)),
+          ]),
+        ]),
+      );
+    }
+    const segment = ebmlElement(0x18538067, [
+      info,
+      ebmlElement(0x1654ae6b, tracks),
+      ...this.clusters,
+    ]);
+    return new Blob([header, segment], { type: "video/webm" });
+  }
+}
+
+// WebCodecs encoders for WebM, tried in order.
+const WEBM_VIDEO_CODECS = [
+  { codec: "vp09.00.51.08", codecId: "V_VP9" },
+  { codec: "vp8", codecId: "V_VP8" },
+];
+const WEBM_BITS_PER_PIXEL = 0.1; // per frame; ~12 Mbit/s at 1080p60
+const WEBM_KEYFRAME_INTERVAL_S = 2;
+
+// Opus identification header (RFC 7845), for encoders that do not supply one.
+function opusHead(channels, sampleRate) {
+  const head = new DataView(new ArrayBuffer(19));
+  [..."OpusHead"].forEach((ch, i) => head.setUint8(i, ch.charCodeAt(0)));
+  head.setUint8(8, 1); // version
+  head.setUint8(9, channels);
+  head.setUint16(10, 312, true); // pre-skip
+  head.setUint32(12, sampleRate, true);
+  return new Uint8Array(head.buffer);
+}
+
+/**
+ * Offline frame sink: WebCodecs VP9/VP8 video plus the source audio as Opus,
+ * muxed to WebM. Audio is encoded up front (it does not depend on rendering),
+ * then interleaved with the video blocks as they come out of the encoder.
+ */
+class WebmVideoSink {
+  static isSupported() {
+    return (
+      typeof VideoEncoder !== "undefined" && typeof VideoFrame !== "undefined"
+    );
+  }
+
+  static async create({ width, height, fps, buffer }) {
+    const bitrate = Math.round(width * height * fps * WEBM_BITS_PER_PIXEL);
+    let picked = null;
+    for (const { codec, codecId } of WEBM_VIDEO_CODECS) {
+      const config = { codec, width, height, bitrate, framerate: fps };
+      const { supported } = await VideoEncoder.isConfigSupported(config);
+      if (supported) {
+        picked = { config, codecId };
+        break;
+      }
+    }
+    if (!picked) throw new Error("No WebM video encoder available");
+    const audio = await WebmVideoSink.encodeAudio(buffer);
+    return new WebmVideoSink({ width, height, fps, ...picked, audio });
+  }
+
+  /** Whole buffer -> Opus chunks, or null when AudioEncoder/Opus is unavailable. */
+  static async encodeAudio(buffer) {
+    if (typeof AudioEncoder === "undefined" || !buffer) return null;
+    const channels = Math.min(2, buffer.numberOfChannels);
+    const sampleRate = buffer.sampleRate;
+    const config = {
+      codec: "opus",
+      sampleRate,
+      numberOfChannels: channels,
+      bitrate: 128000,
+    };
+    try {
+      const { supported } = await AudioEncoder.isConfigSupported(config);
+      if (!supported) return null;
+    } catch {
+      return null;
+    }
+    const chunks = [];
+    let codecPrivate = null;
+    let failure = null;
+    const encoder = new AudioEncoder({
+      output: (chunk, metadata) => {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        chunks.push({ data, timestampMs: chunk.timestamp / 1000 });
+        const description = metadata?.decoderConfig?.description;
+        if (description && !codecPrivate) {
+          codecPrivate = new Uint8Array(
+            description.buffer ? description.buffer : description,
+          );
+        }
+      },
+      error: (error) => {
+        failure = error;
+      },
+    });
+    encoder.configure(config);
+    for (let start = 0; start < buffer.length; start += sampleRate) {
+      const frames = Math.min(sampleRate, buffer.length - start);
+      const data = new Float32Array(frames * channels);
+      for (let c = 0; c < channels; c++) {
+        data.set(
+          buffer.getChannelData(c).subarray(start, start + frames),
+          c * frames,
+        );
+      }
+      const audioData = new AudioData({
+        format: "f32-planar",
+        sampleRate,
+        numberOfFrames: frames,
+        numberOfChannels: channels,
+        timestamp: Math.round((start / sampleRate) * 1e6),
+        data,
+      });
+      encoder.encode(audioData);
+      audioData.close();
+    }
+    await encoder.flush();
+    encoder.close();
+    if (failure) {
+      console.warn("Audio encoding failed; exporting video only:", failure);
+      return null;
+    }
+    return {
+      chunks,
+      sampleRate,
+      channels,
+      codecPrivate: codecPrivate || opusHead(channels, sampleRate),
+    };
+  }
+
+  constructor({ width, height, fps, config, codecId, audio }) {
+    this.fps = fps;
+    this.frameCount = 0;
+    this.extension = "webm";
+    this._audioChunks = audio ? audio.chunks : [];
+    this._audioIndex = 0;
+    this._error = null;
+    this.muxer = new WebmMuxer({
+      width,
+      height,
+      codecId,
+      audio: audio && {
+        sampleRate: audio.sampleRate,
+        channels: audio.channels,
+        codecPrivate: audio.codecPrivate,
+      },
+    });
+    this.encoder = new VideoEncoder({
+      output: (chunk) => {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        const timestampMs = chunk.timestamp / 1000;
+        this._writeAudioUntil(timestampMs);
+        this.muxer.addVideoChunk(data, timestampMs, chunk.type === "key");
+      },
+      error: (error) => {
+        this._error = error;
+      },
+    });
+    this.encoder.configure(config);
+  }
+
+  // Audio blocks earlier than the next video block keep the file interleaved.
+  _writeAudioUntil(timestampMs) {
+    const chunks = this._audioChunks;
+    while (
+      this._audioIndex < chunks.length &&
+      chunks[this._audioIndex].timestampMs < timestampMs
+    ) {
+      const { data, timestampMs: time } = chunks[this._audioIndex++];
+      this.muxer.addAudioChunk(data, time);
+    }
+  }
+
+  async addFrame(canvas) {
+    if (this._error) throw this._error;
+    // Backpressure: rendering is faster than encoding at high resolutions.
+    while (this.encoder.encodeQueueSize > 4) {
+      await new Promise((resolve) => setTimeout(resolve, 1));
+    }
+    const frameUs = 1e6 / this.fps;
+    const frame = new VideoFrame(canvas, {
+      timestamp: Math.round(this.frameCount * frameUs),
+      duration: Math.round(frameUs),
+    });
+    const keyFrame =
+      this.frameCount % Math.round(this.fps * WEBM_KEYFRAME_INTERVAL_S) === 0;
+    this.encoder.encode(frame, { keyFrame });
+    frame.close();
+    this.frameCount++;
+  }
+
+  async finish() {
+    await this.encoder.flush();
+    if (this._error) throw this._error;
+    this._writeAudioUntil(Infinity);
+    return this.muxer.finish((this.frameCount * 1000) / this.fps);
+  }
+
+  close() {
+    if (this.encoder.state !== "closed") this.encoder.close();
+  }
+}
+
+class AudioVisualizer {
+  constructor() {
+    // Shared analysis pipeline (see _createAudioPipeline()); one per active source.
+    this.audioContext = null;
+    this.analyser = null;
+    this.analyserL = null;
+    this.analyserR = null;
+    this.tonalAnalyser = null;
+    this.gainNode = null;
+    this._inputNode = null;
+    this.isPlaying = false;
+    this.animationId = null;
+    // Live analyser tuning (Resolution / Smoothing / dB range controls).
+    this.analyserSettings = { ...ANALYSER_DEFAULTS };
+    // Perceptual band mapping for bar modes + Circular ("linear" = raw bins).
+    this.bandScale = BAND_DEFAULTS.scale;
+    this.bandCount = BAND_DEFAULTS.bandCount;
+    this.bandMapper = new BandMapper(BAND_DEFAULTS);
+    this._circularBands = new BandMapper({
+      scale: BAND_DEFAULTS.scale,
+      bandCount: CIRCULAR_RING_COUNT,
+    });
+
+    // Active AudioSource (see audioSourceRegistry); bumped id cancels pending starts.
+    this.activeSource = null;
+    this._sourceRequestId = 0;
+    this._fileSeeking = false;
+    // Preferred microphone (MediaDeviceInfo.deviceId); "" = browser default.
+    this.inputDeviceId = "";
+
+    // Streaming URL source (streaming-service.js; synthetic demo stream for now)
+    this.streaming = window.StreamingService ? new StreamingService() : null;
+
+    // Optional OffscreenCanvas renderer (see setWorkerRender()); while it runs
+    // `ctx` is null and frames go to the worker instead of draw().
+    this._renderWorker = null;
+    this._renderWorkerUrl = null;
+    this._renderWorkerBusy = false;
+    this._renderWorkerMs = 0;
+    this._renderOnsets = [];
+    this.workerRender = false;
+
+    // Recording: canvas + source audio through MediaRecorder (see startRecording()).
+    this.recorder = new CanvasRecorder();
+    this.recordingSettings = { ...RECORDING_DEFAULTS };
+    this._recordDestination = null; // MediaStreamAudioDestinationNode on the input
+    this._recordTimer = null;
+    this._recordPrevFPS = null;
+
+    // Named presets (IndexedDB); null where IndexedDB is unavailable.
+    this.presets = PresetStore.isSupported() ? new PresetStore() : null;
+    // Generated sliders/toggles for the current mode (see renderModeParamsPanel()).
+    this._modeParamsPanel = null;
+
+    // Offline render of a file to PNGs/WebM (see renderFileOffline()).
+    this.offlineSettings = { ...OFFLINE_DEFAULTS };
+
+    // File playlist (see PlaylistSource); transition, shuffle and repeat persist.
+    this.playlist = new Playlist();
+    this.playlistSettings = { ...PLAYLIST_DEFAULTS };
+    this._userLook = null; // set aside while a track's pinned look shows
+    this._offlineRender = null; // { cancelled, progress } while a render runs
+    // Still PNG of the current frame (see takeSnapshot()).
+    this.snapshotSettings = { ...SNAPSHOT_DEFAULTS };
+    this._snapshotBusy = false;
+    this._workerSnapshot = null; // { resolve, reject } while the worker renders one
+
+    this.canvas = document.getElementById("visualizer");
+    this.ctx = this.canvas.getContext("2d");
+    this._resizeCanvas(1400, 800);
+
+    // Buffers and per-mode state read by draw(); the render worker builds its own copy.
+    this._initRenderState();
+
+    // Stereo image, pitch/chroma, loudness, rhythm/energy/onsets and StyleEngine
+    // (see _initAnalysisState()); _analyzeFrame() updates them once per frame.
+    this._initAnalysisState();
+    this._sourceChannelCount = null; // from AudioSource.describe(); null = unknown
+    this.keyColor = false;
+    this.pitchOverlay = false;
+    this.pitchColor = false;
+    this._pitchOverlayTs = 0;
+    this._loudnessTaps = null; // { raw: [L, R], weighted: [L, R] } analysers
+    this.loudnessOverlay = false;
+    // When the analysis worklet runs, rhythm/energyNorm/onsets are filled from
+    // its feature frames instead of being updated in the render loop.
+    this._analysisNode = null;
+    this._analysisFrames = [];
+    this._analysisModuleUrl = null;
+
+    this.sensitivity = 1.0;
+    // Hue offset (0..360) to rotate the global rainbow palette
+    this.hueOffset = 200;
+    this.visualType = "frequency3x";
+    this._lastVisualType = this.visualType;
+    // The mode the user picked; preferences keep it while Auto mode switches.
+    this.manualVisualType = this.visualType;
+    this._modeParamsStale = false; // panel left on an earlier mode while hidden
+
+    // Adaptive quality: dynamically adjusts particle count when the renderer is under load.
+    // Key design choice: only touches Particle Flow (other modes remain visually identical).
+    this._perf = {
+      avgFrameMs: 0,
+      lastFrameTs: 0,
+      lastAdjustTs: 0,
+    };
+    this._particlePerf = {
+      // Conservative thresholds: aim for smoothness over maximum particle density.
+      adjustCooldownMs: 2200,
+      slowFactor: 1.35, // avgFrameMs > budget * slowFactor => reduce particles
+      fastFactor: 0.85, // avgFrameMs < budget * fastFactor => increase particles
+      stepDown: 10,
+      stepUp: 6,
+      minCount: 70,
+      maxCount: 140,
+    };
+
+    // Fullscreen mode properties
+    this.isFullscreen = false;
+    this.uiTimeout = null;
+    this.uiHideDelay = 2000; // Hide UI after 2 seconds of no mouse movement
+
+    // Performance controls
+    this.targetFPS = 45; // reduce FPS for lower resource usage
+    this.lastFrameTime = 0;
+    // Debounced preference writes (sliders can fire dozens of events per second).
+    this._prefsSaveTimer = null;
+
+    // Auto mode (off by default): switches modes from _analyzeFrame(), see
+    // AutoModeScheduler. `_autoModePool` is the modes in rotation.
+    this.autoModeSettings = { ...AUTO_MODE_DEFAULTS };
+    this.autoMode = new AutoModeScheduler();
+    this._autoModePool = [];
+
+    this._debugMenuVisible = false;
+
+    // Modes from scripts that load after this one (see registerVisualization()).
+    visualizationRegistry.on("register", (mode) =>
+      this._onVisualizationRegistered(mode),
+    );
+
+    this.init();
+    this.initParticleFlowPool();
+    // A share link's look is read first and wins over saved preferences.
+    const shared = parseShareHash(window.location.hash);
+    this.loadUserPreferences(); // Load saved preferences
+    if (shared && this.applyShareState(shared)) {
+      this.showPreferenceFeedback("Shared look loaded from the link", "info");
+    }
+    this.updateButtonStates(); // Initialize button states
+  }
+
+  init() {
+    this.setupEventListeners();
+    this.setupCanvas();
+  }
+
+  // Everything _analyzeFrame() derives from the analysers, kept between frames.
+  _initAnalysisState() {
+    // True stereo (ChannelSplitter -> analyserL/R). `stereo` holds smoothed
+    // correlation/width/balance for any mode; `stereo.active` is false for mono sources.
+    this.stereo = new StereoImage();
+
+    // Tonal analysis on a dedicated 4096-point analyser. `pitch` (YIN) and
+    // `chroma` (chromagram, key, chord changes) are readable by any mode;
+    // "Color by pitch" rotates getHue() toward the detected pitch class.
+    this.pitch = new PitchDetector();
+    this.chroma = new ChromaAnalyzer();
+    this._tonalTimeData = new Float32Array(TONAL_FFT_SIZE);
+    this._tonalSpectrum = new Float32Array(TONAL_FFT_SIZE / 2);
+    this._pitchHueShift = 0; // smoothed degrees added by getHue()
+
+    // Level monitoring (BS.1770 loudness, RMS, sample/true peak) from dedicated
+    // fixed-size taps; independent of Resolution and of Sensitivity.
+    this.loudness = new LoudnessMeter();
+    this._loudnessRaw = [0, 1].map(() => new Float32Array(LOUDNESS_FFT_SIZE));
+    this._loudnessWeighted = [0, 1].map(
+      () => new Float32Array(LOUDNESS_FFT_SIZE),
+    );
+
+    // Rhythm / beat tracking (kept lightweight, no per-frame allocations)
+    this.rhythm = new RhythmTracker();
+    this.energyNorm = new AdaptiveEnergyNormalizer();
+    // Kick / snare / hat onset events on the normalizer's bands; modes subscribe
+    // in setupOnsetSubscriptions().
+    this.onsets = new OnsetDetector(this.energyNorm);
+    this.style = new StyleEngine();
+    this.behavior = this.style.out;
+    // Continuous (non-beat) energy signal for visuals (smoothed; no spikes)
+    this.visualEnergy = 0; // 0..1-ish
+    this.visualScale = 1; // smoothed scale derived from visualEnergy
+    this.visualIntensity = 0; // 0..1 subtle global intensity (no flashing)
+    // Adaptive smoothing state (fast tracks vs slow tracks)
+    this._prevTargetEnergy = 0;
+    this._deltaEnv = 0.02; // rolling “typical delta” envelope to normalize change rate
+  }
+
+  // Everything draw() and the drawX() methods keep between frames.
+  _initRenderState() {
+    this.dataArray = new Uint8Array(128);
+    this.frequencyData = new Uint8Array(128);
+    this.smoothedFrequencyData = new Float32Array(128);
+    this.boostedFrequencyData = new Float32Array(128);
+
+    // Lissajous mode buffers (time-domain smoothing; no per-frame allocations)
+    // Stored as normalized floats in [-1..1]
+    this._lissX = new Float32Array(this.dataArray.length);
+    this._lissY = new Float32Array(this.dataArray.length);
+    this._lissOffset = (this.dataArray.length * 0.25) | 0; // phase offset fallback (pseudo-stereo)
+    this._lissT = 0; // running phase for infinity motion
+    // Per-channel time-domain copies from analyserL/R (true stereo Lissajous)
+    this._stereoL = new Float32Array(this.dataArray.length);
+    this._stereoR = new Float32Array(this.dataArray.length);
+
+    // Raindrop effect properties for Frequency 3x
+    this.raindrops = [];
+    this.lastRaindropTime = 0;
+    this.raindropInterval = 200; // Create raindrop every 200ms when bars are active (increased from 100ms)
+    this.barRaindropTimers = []; // Individual timers for each bar position
+    this._rainOnsets = { kick: 0, snare: 0, hat: 0 }; // pending onset strengths
+
+    // Particle flow effect properties
+    // Keep a relatively small, fixed pool for performance.
+    this.particleFlowParticles = [];
+    // Hard-cap to a low, safe range (will be clamped again in init).
+    this.particleFlowCount = 120;
+    this._particleFlowFrame = 0;
+    this._particleFlowOnsets = { kick: 0, snare: 0, hat: 0 }; // decaying impulses
+
+    // Tiny cache to reduce per-particle HSLA string churn in Particle Flow.
+    // Cleared opportunistically when it grows too large.
+    this._hslaCache = new Map();
+    this._hslaCacheMax = 2048;
+
+    // Audio Geometry (3D particle graph, FFT-driven)
+    this._agCap = 1500;
+    this._agRing = null;
+    this._agHead = 0;
+    this._agCount = 0;
+    this._agCentroidSm = 0.5;
+    this._agAmpSm = 0;
+    this._agProjSX = new Float32Array(this._agCap);
+    this._agProjSY = new Float32Array(this._agCap);
+    this._agProjZ = new Float32Array(this._agCap);
+    this._agProjA = new Float32Array(this._agCap);
+    this._agProjSize = new Float32Array(this._agCap);
+    this._agProjR = new Uint8Array(this._agCap);
+    this._agProjG = new Uint8Array(this._agCap);
+    this._agProjB = new Uint8Array(this._agCap);
+    this._agSortIdx = new Array(this._agCap);
+    /** When true, draws lines between consecutive temporal particles */
+    this._agSequentialLines = true;
+    this._agNeighborDistSq = 72 * 72;
+    this._agNeighborLookahead = 26;
+    this._agMaxAgeMs = 5000;
+    this._agFocal = 420;
+    /** Fraction of canvas width/height used as padding from each edge (e.g. 0.06 ≈ 6%). */
+    this._agMarginPct = 0.06;
+    /**
+     * Radial softness for screen-space confinement (higher = tighter pull toward center
+     * before asymptote; ~0.75–1.05 feels expansive but contained).
+     */
+    this._agRadialKappa = 0.88;
+    /** Multiplier on remapped radius so the cloud sits slightly inside the padded ellipse. */
+    this._agInnerScale = 0.9;
+    /** Smoothed 0..1 “near boundary” signal used to gently bias new spawns inward. */
+    this._agEdgePressure = 0;
+    this._agEdgePressureAlpha = 0.13;
+    /** Normalized screen radius beyond which we start accumulating edge pressure. */
+    this._agEdgePressureStart = 0.72;
+    /** Max inward scale applied to new particle x3d/y3d when edge pressure is 1. */
+    this._agSpawnInwardMax = 0.1;
+
+    /**
+     * Painter mode: FFT-driven 3D point-cloud graph (reference-style embedding).
+     * Tune here; global Sensitivity + Hue still apply on top.
+     */
+    this.painterConfig = {
+      nodeCount: 900,
+      spawnPerFrame: 14,
+      spawnOnsetBurst: 9,
+      connectionDensity: 0.92,
+      neighborLookahead: 12,
+      neighborDistBase: 48,
+      /** Multiplier on 3D→screen spread (larger = more open layout). */
+      projectionScale: 7.66,
+      /** Applied to spawned node size and drawn radius. */
+      nodeSizeScale: 1.15,
+      /** Canvas stroke width for graph edges (neighbor + sequential). */
+      lineWidth: 1.85,
+      maxAgeMs: 5200,
+      /** 0 = fixed viewpoint (no slow orbit). Try 0.35–1 for gentle drift. */
+      cameraDriftSpeed: 0,
+      depthIntensity: 1.06,
+      focal: 415,
+      sensitivityMultiplier: 1,
+      marginPct: 0.054,
+      radialKappa: 0.9,
+      innerScale: 1.9,
+      edgePressureAlpha: 0.12,
+      edgePressureStart: 0.72,
+      spawnInwardMax: 0.2,
+      maxLineSegments: 2200,
+    };
+    this._painterHead = 0;
+    this._painterCount = 0;
+    this._painterPrevSpec = null;
+    this._painterCentroidSm = 0.35;
+    this._painterFluxSm = 0;
+    this._painterAmpSm = 0;
+    this._painterPathPhase = 0;
+    this._painterAttract = { x: 0, y: 0, z: 0 };
+    this._painterEdgePressure = 0;
+    this._painterOnsets = { kick: 0, snare: 0, hat: 0 }; // decaying impulses
+    this._setPainterCapacity(this.painterConfig.nodeCount);
+    // Pinned by offline renders so time-based animation follows the frame clock.
+    this._frameClockMs = null;
+    // Mode switches (see _beginTransition()): the settings, the running
+    // transition and its canvases, made on first use and reused after that.
+    this.modeTransition = { ...MODE_TRANSITION_DEFAULTS };
+    this._transition = { from: null, to: null, startMs: 0, revealed: 0 };
+    this._transitionLayers = null;
+    this._initModeStates();
+  }
+
+  // One state object per registered mode (the hooks' `state`), then each init hook.
+  _initModeStates() {
+    this.modeState = {};
+    this._modeErrors = new Set();
+    for (const mode of visualizationRegistry.values())
+      this._initModeState(mode);
+  }
+
+  _initModeState(mode) {
+    const state = {};
+    for (const [name, spec] of Object.entries(mode.params)) {
+      if (spec.path === `modeState.${mode.id}.${name}`) {
+        state[name] = spec.default;
+      }
+    }
+    this.modeState[mode.id] = state;
+    this._runModeHook(mode.id, "init");
+  }
+
+  /**
+   * Calls a registered mode's hook; false when the mode or hook doesn't exist.
+   * A throwing hook is logged once per mode instead of stopping the render loop.
+   */
+  _runModeHook(id, hook) {
+    const mode = visualizationRegistry.get(id);
+    if (!mode || typeof mode[hook] !== "function") return false;
+    try {
+      mode[hook](this, this.modeState[id]);
+    } catch (error) {
+      if (!this._modeErrors.has(id)) {
+        this._modeErrors.add(id);
+        console.error(`Visualization "${id}" failed in ${hook}():`, error);
+      }
+    }
+    return true;
+  }
+
+  _resizeModes() {
+    for (const mode of visualizationRegistry.values()) {
+      this._runModeHook(mode.id, "resize");
+    }
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById("startBtn")
+      .addEventListener("click", () => this.startMicrophone());
+    document
+      .getElementById("screenShareBtn")
+      .addEventListener("click", () => this.startScreenShare());
+    document
+      .getElementById("stopBtn")
+      .addEventListener("click", () => this.stopVisualizer());
+    this.setupInputDeviceControls();
+    this.setupAnalyserControls();
+    const pitchOverlayToggle = document.getElementById("pitchOverlayToggle");
+    if (pitchOverlayToggle) {
+      pitchOverlayToggle.addEventListener("change", () => {
+        this.setPitchOverlayVisible(pitchOverlayToggle.checked);
+        this.saveUserPreferences();
+      });
+    }
+    const keyColorToggle = document.getElementById("keyColorToggle");
+    if (keyColorToggle) {
+      keyColorToggle.addEventListener("change", () => {
+        this.setKeyColor(keyColorToggle.checked);
+        this.saveUserPreferences();
+      });
+    }
+    const pitchColorToggle = document.getElementById("pitchColorToggle");
+    if (pitchColorToggle) {
+      pitchColorToggle.addEventListener("change", () => {
+        this.setPitchColor(pitchColorToggle.checked);
+        this.saveUserPreferences();
+      });
+    }
+    const loudnessOverlayToggle = document.getElementById(
+      "loudnessOverlayToggle",
+    );
+    if (loudnessOverlayToggle) {
+      loudnessOverlayToggle.addEventListener("change", () => {
+        this.setLoudnessOverlayVisible(loudnessOverlayToggle.checked);
+        this.saveUserPreferences();
+      });
+    }
+    document
+      .getElementById("loudnessResetBtn")
+      ?.addEventListener("click", () => this.resetLoudness());
+    const workerRenderToggle = document.getElementById("workerRenderToggle");
+    if (workerRenderToggle) {
+      if (!canRenderInWorker()) {
+        workerRenderToggle.disabled = true;
+        workerRenderToggle.parentElement.title =
+          "OffscreenCanvas is not supported in this browser";
+      }
+      workerRenderToggle.addEventListener("change", () => {
+        this.setWorkerRender(workerRenderToggle.checked);
+        this.saveUserPreferences();
+      });
+    }
+    this.setupOnsetSubscriptions();
+    this.setupRecordingControls();
+    this.setupModeParamsControls();
+    this.setupPresetControls();
+    this.setupSnapshotControls();
+    this.setupOfflineRenderControls();
+    this.setupFileSourceControls();
+    this.setupPlaylistControls();
+    this.setupStreamUrlControls();
+    document
+      .getElementById("fullscreenBtn")
+      .addEventListener("click", () => this.toggleFullscreen());
+    document
+      .getElementById("resetPreferencesBtn")
+      .addEventListener("click", () => this.clearUserPreferences());
+    this.renderVisualTypeOptions();
+    document.getElementById("visualType").addEventListener("change", (e) => {
+      this.setVisualType(e.target.value);
+      this.saveUserPreferences(); // Save preference
+    });
+    document.getElementById("sensitivity").addEventListener("input", (e) => {
+      this.sensitivity = parseFloat(e.target.value);
+      const sensitivityValue = document.getElementById("sensitivityValue");
+      if (sensitivityValue) {
+        sensitivityValue.textContent = this.sensitivity.toFixed(1);
+      }
+      // Debounce saves to keep UI responsive while dragging.
+      this.scheduleSaveUserPreferences();
+    });
+    this.setupAutoModeControls();
+    this.setupModeTransitionControls();
+    const hueSlider = document.getElementById("hueOffset");
+    if (hueSlider) {
+      hueSlider.addEventListener("input", (e) => {
+        const v = parseInt(e.target.value, 10);
+        this.hueOffset = Number.isFinite(v) ? v : 200;
+        const hueValue = document.getElementById("hueOffsetValue");
+        if (hueValue) hueValue.textContent = String(this.hueOffset);
+        // Debounce saves to keep UI responsive while dragging.
+        this.scheduleSaveUserPreferences();
+      });
+    }
+
+    // A share link pasted into an open tab only changes the hash.
+    window.addEventListener("hashchange", () => {
+      const shared = parseShareHash(window.location.hash);
+      if (shared && this.applyShareState(shared)) this.saveUserPreferences();
+    });
+
+    // Handle window resize
+    window.addEventListener("resize", () => this.handleResize());
+
+    // Handle fullscreen resize
+    window.addEventListener("resize", () => {
+      if (this.isFullscreen) {
+        this._resizeCanvas(window.innerWidth, window.innerHeight);
+      }
+    });
+
+    const debugMenuEl = document.getElementById("debugMenu");
+    const debugCloseBtn = debugMenuEl?.querySelector(".debug-menu-close");
     if (debugCloseBtn) {
       debugCloseBtn.addEventListener("click", () =>
         this.setDebugMenuVisible(false),
       );
     }
-    document.addEventListener(
-      "keydown",
-      (e) => this.onDebugMenuKeydown(e),
-      true,
+    document.addEventListener(
+      "keydown",
+      (e) => this.onDebugMenuKeydown(e),
+      true,
+    );
+  }
+
+  _isTextEntryTarget(el) {
+    if (!el || el.nodeType !== Node.ELEMENT_NODE) return false;
+    if (el.isContentEditable) return true;
+    const tag = el.tagName;
+    if (tag === "TEXTAREA" || tag === "SELECT") return true;
+    if (tag === "INPUT") {
+      const type = (el.getAttribute("type") || "text").toLowerCase();
+      const textTypes = new Set([
+        "text",
+        "search",
+        "email",
+        "url",
+        "tel",
+        "password",
+        "number",
+      ]);
+      return textTypes.has(type);
+    }
+    return false;
+  }
+
+  setDebugMenuVisible(visible) {
+    this._debugMenuVisible = !!visible;
+    const el = document.getElementById("debugMenu");
+    const readout = document.getElementById("debugMenuReadout");
+    if (!el) return;
+    el.hidden = !this._debugMenuVisible;
+    el.setAttribute("aria-hidden", this._debugMenuVisible ? "false" : "true");
+    if (this._debugMenuVisible) this.updateDebugMenuReadout();
+    else if (readout) readout.textContent = "";
+  }
+
+  toggleDebugMenu() {
+    this.setDebugMenuVisible(!this._debugMenuVisible);
+  }
+
+  onDebugMenuKeydown(e) {
+    if (this._debugMenuVisible && e.key === "Escape") {
+      this.setDebugMenuVisible(false);
+      e.preventDefault();
+      e.stopPropagation();
+      return;
+    }
+    const key = e.key.toLowerCase();
+    if (!["d", "p", "l", "r", "s"].includes(key)) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (this._isTextEntryTarget(e.target)) return;
+    e.preventDefault();
+    if (key === "d") {
+      this.toggleDebugMenu();
+    } else if (key === "l") {
+      this.setLoudnessOverlayVisible(!this.loudnessOverlay);
+      this.saveUserPreferences();
+    } else if (key === "r") {
+      this.toggleRecording();
+    } else if (key === "s") {
+      this.takeSnapshot();
+    } else {
+      this.setPitchOverlayVisible(!this.pitchOverlay);
+      this.saveUserPreferences();
+    }
+  }
+
+  // Pitch-class hue (30° per semitone); eases along the shortest arc and holds when unvoiced.
+  _updatePitchHue() {
+    const pitch = this.pitch;
+    if (pitch.pitchClass < 0 || pitch.confidence < 0.5) return;
+    const target = pitch.pitchClass * 30;
+    let delta = (target - this._pitchHueShift) % 360;
+    if (delta > 180) delta -= 360;
+    else if (delta < -180) delta += 360;
+    this._pitchHueShift = (this._pitchHueShift + delta * 0.15 + 360) % 360;
+  }
+
+  setPitchOverlayVisible(visible) {
+    this.pitchOverlay = !!visible;
+    const el = document.getElementById("pitchOverlay");
+    if (el) el.hidden = !this.pitchOverlay;
+    const toggle = document.getElementById("pitchOverlayToggle");
+    if (toggle) toggle.checked = this.pitchOverlay;
+    if (this.pitchOverlay) this.updatePitchOverlay(true);
+  }
+
+  setKeyColor(enabled) {
+    this.keyColor = !!enabled;
+    const toggle = document.getElementById("keyColorToggle");
+    if (toggle) toggle.checked = this.keyColor;
+  }
+
+  setPitchColor(enabled) {
+    this.pitchColor = !!enabled;
+    const toggle = document.getElementById("pitchColorToggle");
+    if (toggle) toggle.checked = this.pitchColor;
+  }
+
+  setLoudnessOverlayVisible(visible) {
+    this.loudnessOverlay = !!visible;
+    const toggle = document.getElementById("loudnessOverlayToggle");
+    if (toggle) toggle.checked = this.loudnessOverlay;
+  }
+
+  // Restart integrated loudness and max true peak (e.g. at the start of a show).
+  resetLoudness() {
+    this.loudness.resetIntegrated();
+    this.updateStatus("Integrated loudness reset", "info");
+  }
+
+  // DOM writes are throttled (~10 Hz) so the readout is legible and cheap.
+  updatePitchOverlay(force = false) {
+    if (!this.pitchOverlay) return;
+    const now = performance.now();
+    if (!force && now - this._pitchOverlayTs < 100) return;
+    this._pitchOverlayTs = now;
+
+    const noteEl = document.getElementById("pitchNote");
+    const centsEl = document.getElementById("pitchCents");
+    const hzEl = document.getElementById("pitchHz");
+    const confEl = document.getElementById("pitchConfidence");
+    const pitch = this.pitch;
+    const voiced = pitch.pitchClass >= 0;
+
+    if (noteEl)
+      noteEl.textContent = voiced ? `${pitch.note}${pitch.octave}` : "—";
+    if (centsEl) {
+      centsEl.textContent = voiced
+        ? `${pitch.cents >= 0 ? "+" : ""}${pitch.cents}¢`
+        : "";
+    }
+    if (hzEl) hzEl.textContent = voiced ? `${pitch.hz.toFixed(1)} Hz` : "-- Hz";
+    if (confEl) {
+      confEl.style.width = `${Math.round(pitch.confidence * 100)}%`;
+    }
+  }
+
+  // 12 block characters, one per pitch class (debug readout).
+  _chromaBars() {
+    const blocks = "▁▂▃▄▅▆▇█";
+    let out = "";
+    for (let pc = 0; pc < 12; pc++) {
+      const v = clamp01(this.chroma.chroma[pc]);
+      out += blocks[Math.min(blocks.length - 1, (v * blocks.length) | 0)];
+    }
+    return out;
+  }
+
+  updateDebugMenuReadout() {
+    if (!this._debugMenuVisible) return;
+    const readout = document.getElementById("debugMenuReadout");
+    if (!readout) return;
+
+    const avgMs = this._perf?.avgFrameMs;
+    const fpsFromAvg = avgMs && avgMs > 0 ? (1000 / avgMs).toFixed(1) : null;
+    const sr = this.audioContext?.sampleRate;
+    const fft = this.analyser?.fftSize;
+    const bpm = this.rhythm?.bpmEstimate;
+    const bpmLine =
+      bpm > 0
+        ? `${bpm.toFixed(1)}  conf ${this.rhythm.tempoConfidence.toFixed(2)}  beat ${
+            this.rhythm.beatInBar + 1
+          }/${this.rhythm.beatsPerBar}  phase ${this.rhythm.beatPhase.toFixed(2)}`
+        : "—";
+
+    const lines = [
+      `visual: ${this.visualType}`,
+      `canvas: ${this.lastCanvasSize?.width ?? 0}×${this.lastCanvasSize?.height ?? 0}`,
+      `render: ${
+        this._renderWorker
+          ? `worker  draw ${this._renderWorkerMs.toFixed(2)} ms`
+          : "main thread"
+      }`,
+      `audio: ${this.isPlaying ? "active" : "idle"}${
+        sr ? `  ${sr} Hz` : ""
+      }${fft ? `  fft ${fft}` : ""}`,
+      `bands: ${this.bandScale}${
+        this.bandScale === "linear" ? "" : ` (${this.bandMapper.out.length})`
+      }`,
+      `analyser: smoothing ${this.analyserSettings.smoothingTimeConstant.toFixed(2)}  dB ${this.analyserSettings.minDecibels}..${this.analyserSettings.maxDecibels}`,
+      `target FPS: ${this.targetFPS}  frame: ${
+        avgMs != null ? avgMs.toFixed(2) + " ms" : "—"
+      }${fpsFromAvg ? `  (~${fpsFromAvg} fps)` : ""}`,
+      `style profile: ${this.style?.profile ?? "—"}  suggests ${this.behavior.recommendedVisualType}`,
+      `auto mode: ${this.autoModeSettings.mode}${
+        this.autoModeSettings.mode === "off"
+          ? ""
+          : `  every ${this.autoModeSettings.bars} bars on ${this.autoModeSettings.align}`
+      }`,
+      `particles: ${this.particleFlowCount ?? "—"} (particle flow pool)`,
+      `analysis: ${
+        this._analysisNode
+          ? `audio thread (${Math.round(1000 / ANALYSIS_HOP_MS)} Hz)`
+          : "render loop"
+      }`,
+      `beat BPM est.: ${bpmLine}`,
+      `onsets: ${ONSET_BANDS.map(
+        (band) => `${band} ${this.onsets.envelope[band].toFixed(2)}`,
+      ).join("  ")}`,
+      `pitch: ${
+        this.pitch.pitchClass >= 0
+          ? `${this.pitch.hz.toFixed(1)} Hz  ${this.pitch.note}${this.pitch.octave} ${this.pitch.cents >= 0 ? "+" : ""}${this.pitch.cents}¢  conf ${this.pitch.confidence.toFixed(2)}`
+          : "—"
+      }`,
+      `chroma: ${this._chromaBars()}  (C→B)`,
+      `key: ${
+        this.chroma.keyName
+          ? `${this.chroma.keyName} ${this.chroma.keyMode}  conf ${this.chroma.keyConfidence.toFixed(2)}`
+          : "—"
+      }  chord: ${this.chroma.chord || "—"}${
+        this.chroma.chordChangeEnv > 0.5 ? " *" : ""
+      }`,
+      `stereo: ${
+        this.stereo?.active
+          ? `corr ${this.stereo.correlation.toFixed(2)}  width ${this.stereo.width.toFixed(2)}  bal ${this.stereo.balance.toFixed(2)}`
+          : "mono (pseudo-stereo)"
+      }`,
+      `loudness: M ${formatLevel(this.loudness.momentary)}  S ${formatLevel(this.loudness.shortTerm)}  I ${formatLevel(this.loudness.integrated)} LUFS`,
+      `level: RMS ${formatLevel(this.loudness.rms)} dBFS  peak ${formatLevel(this.loudness.peak)}  TP ${formatLevel(this.loudness.truePeak)} dBTP (max ${formatLevel(this.loudness.maxTruePeak)})`,
+      `fullscreen: ${this.isFullscreen ? "yes" : "no"}`,
+    ];
+    readout.textContent = lines.join("\n");
+  }
+
+  // Debounced wrapper for preference persistence.
+  // Rationale: localStorage writes can cause jank on some devices when called per slider tick.
+  scheduleSaveUserPreferences(delayMs = 160) {
+    if (this._prefsSaveTimer) clearTimeout(this._prefsSaveTimer);
+    this._prefsSaveTimer = setTimeout(() => {
+      this._prefsSaveTimer = null;
+      this.saveUserPreferences();
+    }, delayMs);
+  }
+
+  setupCanvas() {
+    // Set canvas size based on container and device
+    const container = this.canvas.parentElement;
+    if (!container) return;
+
+    const rect = container.getBoundingClientRect();
+    const isMobile = window.innerWidth <= 768;
+
+    if (isMobile) {
+      // Mobile-first sizing
+      let width = Math.floor(rect.width - 20); // Full width minus padding
+      let height = Math.floor(Math.min(window.innerHeight * 0.5, 400)); // 50% of viewport height, max 400px
+
+      // Ensure canvas is properly initialized for mobile
+      if (width <= 0 || height <= 0) {
+        width = 320; // Fallback width for mobile
+        height = 240; // Fallback height for mobile
+      }
+      this._resizeCanvas(width, height);
+    } else {
+      // Desktop sizing
+      this._resizeCanvas(
+        Math.min(1200, rect.width - 40),
+        Math.min(800, rect.width * 0.6),
+      );
+    }
+
+    // Ensure context is available (the render worker owns it otherwise)
+    if (!this.ctx && !this._renderWorker) {
+      this.ctx = this.canvas.getContext("2d");
+    }
+
+    this._resizeModes();
+  }
+
+  handleResize() {
+    this.setupCanvas();
+  }
+
+  // Sizes the drawing buffer and records it in `lastCanvasSize`. A transferred
+  // <canvas> can't be resized, so with the render worker the size is posted instead.
+  _resizeCanvas(width, height) {
+    if (this._renderWorker) {
+      width = Math.max(0, Math.floor(width));
+      height = Math.max(0, Math.floor(height));
+      this._renderWorker.postMessage({ type: "resize", width, height });
+    } else {
+      this.canvas.width = width;
+      this.canvas.height = height;
+      ({ width, height } = this.canvas);
+    }
+    this.lastCanvasSize = { width, height };
+  }
+
+  // A canvas with a 2D context can't be transferred and a transferred one can't
+  // draw on the main thread again, so each switch swaps in a fresh element.
+  _replaceCanvas() {
+    const fresh = this.canvas.cloneNode(false);
+    this.canvas.replaceWith(fresh);
+    this.canvas = fresh;
+    this.ctx = null;
+  }
+
+  /**
+   * Draw on an OffscreenCanvas in a Web Worker, leaving the main thread to audio
+   * analysis and UI. Falls back to main-thread drawing when OffscreenCanvas or
+   * the worker is unavailable.
+   */
+  setWorkerRender(enabled) {
+    // Swapping the canvas would end the recording's video track.
+    if (
+      this.recorder.state !== "inactive" &&
+      !!enabled !== !!this._renderWorker
+    ) {
+      this.updateStatus("Stop recording before switching the renderer", "info");
+      enabled = !!this._renderWorker;
+    }
+    if (enabled && !this._renderWorker) {
+      if (!this._startRenderWorker()) {
+        this.updateStatus(
+          "Worker rendering unavailable - drawing on the main thread",
+          "info",
+        );
+      }
+    } else if (!enabled && this._renderWorker) {
+      this._stopRenderWorker();
+    }
+    this.workerRender = !!this._renderWorker;
+    const toggle = document.getElementById("workerRenderToggle");
+    if (toggle) toggle.checked = this.workerRender;
+  }
+
+  _startRenderWorker() {
+    if (!canRenderInWorker()) return false;
+    let worker;
+    try {
+      if (!this._renderWorkerUrl) {
+        this._renderWorkerUrl = createRenderWorkerUrl();
+      }
+      worker = new Worker(this._renderWorkerUrl);
+    } catch (error) {
+      console.warn(
+        "Render worker unavailable, drawing on the main thread:",
+        error,
+      );
+      return false;
+    }
+    const { width, height } = this.lastCanvasSize;
+    this._replaceCanvas();
+    const canvas = this.canvas.transferControlToOffscreen();
+    worker.onmessage = ({ data }) => {
+      if (data.type === "snapshot") {
+        const pending = this._workerSnapshot;
+        this._workerSnapshot = null;
+        if (data.error) pending?.reject(new Error(data.error));
+        else pending?.resolve(data.blob);
+        return;
+      }
+      if (data.type !== "drawn") return;
+      this._renderWorkerBusy = false;
+      this._renderWorkerMs = data.renderMs;
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      console.warn("Render worker failed, drawing on the main thread:", event);
+      this.setWorkerRender(false);
+      this.updateStatus(
+        "Worker rendering failed - drawing on the main thread",
+        "error",
+      );
+    };
+    worker.postMessage({ type: "init", canvas, width, height }, [canvas]);
+    worker.postMessage({ type: "params", params: this.getModeParams() });
+    this._renderWorker = worker;
+    this._renderWorkerBusy = false;
+    this._renderOnsets = [];
+    return true;
+  }
+
+  _stopRenderWorker() {
+    this._renderWorker.terminate();
+    this._renderWorker = null;
+    this._workerSnapshot?.reject(new Error("Render worker stopped"));
+    this._workerSnapshot = null;
+    this._renderWorkerBusy = false;
+    this._renderOnsets = [];
+    const { width, height } = this.lastCanvasSize;
+    this._replaceCanvas();
+    this.ctx = this.canvas.getContext("2d");
+    this._resizeCanvas(width, height);
+    // Main-thread mode state is stale after running in the worker.
+    this._clearRenderState();
+    this.initParticleFlowPool();
+  }
+
+  // Posts one frame of analysis state to the render worker. Skipped while the
+  // previous frame is still drawing; onsets queue up until the next one goes out.
+  _postRenderFrame() {
+    if (this._renderWorkerBusy) return;
+    const frame = {
+      type: "frame",
+      bandScale: this.bandScale,
+      bandCount: this.bandCount,
+      particleFlowCount: this.particleFlowCount,
+      sampleRate: this.audioContext ? this.audioContext.sampleRate : 0,
+      onsets: this._renderOnsets,
+    };
+    for (const name of RENDER_FRAME_FIELDS) frame[name] = this[name];
+    for (const [name, keys] of Object.entries(RENDER_FRAME_STATE)) {
+      const state = (frame[name] = {});
+      for (const key of keys) state[key] = this[name][key];
+    }
+    this._renderWorker.postMessage(frame);
+    this._renderOnsets = [];
+    this._renderWorkerBusy = true;
+  }
+
+  setupRecordingControls() {
+    const recordBtn = document.getElementById("recordBtn");
+    if (recordBtn && !CanvasRecorder.isSupported()) {
+      recordBtn.disabled = true;
+      recordBtn.title = "Recording is not supported in this browser";
+    }
+    recordBtn?.addEventListener("click", () => this.toggleRecording());
+    document
+      .getElementById("recordPauseBtn")
+      ?.addEventListener("click", () => this.toggleRecordingPause());
+    const fpsSelect = document.getElementById("recordFps");
+    fpsSelect?.addEventListener("change", () => {
+      this.setRecordingSettings({ fps: fpsSelect.value });
+      this.saveUserPreferences();
+    });
+    const bitrateSelect = document.getElementById("recordBitrate");
+    bitrateSelect?.addEventListener("change", () => {
+      this.setRecordingSettings({ videoBitsPerSecond: bitrateSelect.value });
+      this.saveUserPreferences();
+    });
+
+    this.recorder.on("state", () => this.updateRecordingControls());
+    this.recorder.on("stop", (result) => this._onRecordingStopped(result));
+  }
+
+  /** Frame rate (one of RECORDING_FPS_OPTIONS) and video bitrate; used by the next recording. */
+  setRecordingSettings({ fps, videoBitsPerSecond } = {}) {
+    const nextFps = parseInt(fps, 10);
+    if (RECORDING_FPS_OPTIONS.includes(nextFps)) {
+      this.recordingSettings.fps = nextFps;
+    }
+    const bitrate = parseInt(videoBitsPerSecond, 10);
+    if (Number.isFinite(bitrate)) {
+      this.recordingSettings.videoBitsPerSecond = clamp(
+        bitrate,
+        RECORDING_BITRATE_LIMITS.min,
+        RECORDING_BITRATE_LIMITS.max,
+      );
+    }
+    const fpsSelect = document.getElementById("recordFps");
+    if (fpsSelect) fpsSelect.value = String(this.recordingSettings.fps);
+    const bitrateSelect = document.getElementById("recordBitrate");
+    if (bitrateSelect) {
+      bitrateSelect.value = String(this.recordingSettings.videoBitsPerSecond);
+    }
+  }
+
+  toggleRecording() {
+    if (this.recorder.state === "inactive") this.startRecording();
+    else this.stopRecording();
+  }
+
+  toggleRecordingPause() {
+    if (this.recorder.state === "recording") this.recorder.pause();
+    else this.recorder.resume();
+  }
+
+  /**
+   * Record the canvas together with the active source's audio, tapped from the
+   * pipeline input (so muted capture sources are recorded too).
+   */
+  startRecording() {
+    if (this.recorder.state !== "inactive") return;
+    if (!CanvasRecorder.isSupported()) {
+      this.updateStatus("Recording is not supported in this browser", "error");
+      return;
+    }
+    if (!this.audioContext || !this._inputNode) {
+      this.updateStatus("Start a source before recording", "info");
+      return;
+    }
+    const { fps, videoBitsPerSecond } = this.recordingSettings;
+    const destination = this.audioContext.createMediaStreamDestination();
+    this._inputNode.connect(destination);
+    try {
+      this.recorder.start(this.canvas, destination.stream.getAudioTracks(), {
+        fps,
+        videoBitsPerSecond,
+      });
+    } catch (error) {
+      console.warn("Failed to start recording:", error);
+      this._inputNode.disconnect(destination);
+      this.updateStatus("Could not start recording", "error");
+      return;
+    }
+    this._recordDestination = destination;
+    // The render loop is throttled below 60 fps; lift it so frames aren't repeated.
+    this._recordPrevFPS = this.targetFPS;
+    this.targetFPS = Math.max(this.targetFPS, fps);
+    this._recordTimer = setInterval(() => this.updateRecordingControls(), 250);
+    const format = this.recorder.mimeType.startsWith("video/mp4")
+      ? "MP4"
+      : "WebM";
+    this.updateStatus(`Recording (${format}, ${fps} fps)...`, "active");
+  }
+
+  stopRecording() {
+    if (this.recorder.state === "inactive") return;
+    this.recorder.stop();
+    this._releaseRecordingTap();
+    this.updateRecordingControls();
+  }
+
+  // Undo startRecording()'s audio tap, FPS lift and timer (also after a recorder error).
+  _releaseRecordingTap() {
+    if (this._recordDestination) {
+      this._inputNode?.disconnect(this._recordDestination);
+      this._recordDestination = null;
+    }
+    if (this._recordPrevFPS != null) {
+      this.targetFPS = this._recordPrevFPS;
+      this._recordPrevFPS = null;
+    }
+    clearInterval(this._recordTimer);
+    this._recordTimer = null;
+  }
+
+  _onRecordingStopped({ blob, mimeType, durationMs }) {
+    if (this.recorder.state === "inactive") this._releaseRecordingTap();
+    const ext = mimeType.startsWith("video/mp4") ? "mp4" : "webm";
+    this._downloadBlob(blob, `audvis-${this._fileTimestamp()}.${ext}`);
+    this.updateStatus(
+      `Recording saved (${formatTime(durationMs / 1000)}, ${(
+        blob.size /
+        (1024 * 1024)
+      ).toFixed(1)} MB)`,
+      "active",
+    );
+  }
+
+  updateRecordingControls() {
+    const state = this.recorder.state;
+    const recordBtn = document.getElementById("recordBtn");
+    if (recordBtn) {
+      recordBtn.textContent = state === "inactive" ? "● Record" : "■ Stop";
+      recordBtn.classList.toggle("recording", state !== "inactive");
+    }
+    const pauseBtn = document.getElementById("recordPauseBtn");
+    if (pauseBtn) {
+      pauseBtn.hidden = state === "inactive";
+      pauseBtn.textContent = state === "paused" ? "Resume" : "Pause";
+    }
+    const timeEl = document.getElementById("recordTime");
+    if (timeEl) timeEl.textContent = formatTime(this.recorder.elapsedMs / 1000);
+  }
+
+  /** Current tunables of every mode: { mode: { name: value } } (see MODE_PARAMS). */
+  getModeParams() {
+    const params = {};
+    for (const [mode, specs] of Object.entries(MODE_PARAMS)) {
+      params[mode] = {};
+      for (const [name, spec] of Object.entries(specs)) {
+        params[mode][name] = readPath(this, spec.path);
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Applies any subset of getModeParams()'s shape. Unknown names and values
+   * of the wrong type are ignored; numbers are clamped to the schema range.
+   * The render worker and the mode settings panel get the same update.
+   */
+  applyModeParams(params) {
+    if (!params || typeof params !== "object") return;
+    for (const [mode, specs] of Object.entries(MODE_PARAMS)) {
+      const values = params[mode];
+      if (!values || typeof values !== "object") continue;
+      for (const [name, spec] of Object.entries(specs)) {
+        const value = coerceModeParam(spec, values[name]);
+        // Prototype-only renderers (worker, offline) lack some fields, e.g. _particlePerf.
+        if (value === undefined || readPath(this, spec.path) === undefined) {
+          continue;
+        }
+        writePath(this, spec.path, value);
+      }
+    }
+    if (this.painterConfig.nodeCount !== this._painterCap) {
+      this._setPainterCapacity(this.painterConfig.nodeCount);
+    }
+    this._renderWorker?.postMessage({ type: "params", params });
+    if (this._modeParamsPanel) this.renderModeParamsPanel();
+  }
+
+  setupModeParamsControls() {
+    this._modeParamsPanel = document.getElementById("modeParams");
+    if (!this._modeParamsPanel) return;
+    document
+      .getElementById("modeParamsResetBtn")
+      ?.addEventListener("click", () => this.resetModeParams());
+    this.renderModeParamsPanel();
+  }
+
+  /**
+   * Builds the mode settings panel from MODE_PARAMS for the current mode:
+   * a slider per range, a checkbox per toggle, a dropdown per choice. Rebuilt only when the mode
+   * changes; otherwise the existing inputs are synced to the current values.
+   */
+  renderModeParamsPanel() {
+    const panel = this._modeParamsPanel;
+    if (!panel) return;
+    const mode = this.visualType;
+    const specs = MODE_PARAMS[mode] || {};
+    if (panel.dataset.mode !== mode) {
+      panel.dataset.mode = mode;
+      panel.replaceChildren(
+        ...Object.entries(specs).map(([name, spec]) =>
+          this._createModeParamInput(mode, name, spec),
+        ),
+      );
+      if (!panel.childElementCount) {
+        const empty = document.createElement("p");
+        empty.className = "mode-params-empty";
+        empty.textContent = "This mode has no extra settings.";
+        panel.append(empty);
+      }
+      const resetBtn = document.getElementById("modeParamsResetBtn");
+      if (resetBtn) resetBtn.disabled = !Object.keys(specs).length;
+    }
+    for (const [name, spec] of Object.entries(specs)) {
+      const input = panel.querySelector(`[data-param="${name}"]`);
+      if (!input) continue;
+      const value = readPath(this, spec.path);
+      if (spec.type === "toggle") {
+        input.checked = value;
+      } else if (spec.type === "choice") {
+        input.value = value;
+      } else {
+        input.value = String(value);
+        const label = input.nextElementSibling;
+        if (label) label.textContent = formatModeParam(spec, value);
+      }
+    }
+  }
+
+  _createModeParamInput(mode, name, spec) {
+    const id = `modeParam-${name}`;
+    const input = document.createElement(
+      spec.type === "choice" ? "select" : "input",
+    );
+    input.id = id;
+    input.dataset.param = name;
+    const apply = (value) => {
+      this.applyModeParams({ [mode]: { [name]: value } });
+      // Debounce saves to keep UI responsive while dragging.
+      this.scheduleSaveUserPreferences();
+    };
+    if (spec.type === "choice") {
+      input.append(
+        ...Object.entries(spec.options).map(
+          ([value, text]) => new Option(text, value),
+        ),
+      );
+      input.addEventListener("change", () => apply(input.value));
+      const row = document.createElement("div");
+      row.className = "mode-param";
+      const label = document.createElement("label");
+      label.htmlFor = id;
+      label.textContent = spec.label;
+      row.append(label, input);
+      return row;
+    }
+    if (spec.type === "toggle") {
+      input.type = "checkbox";
+      input.addEventListener("change", () => apply(input.checked));
+      const label = document.createElement("label");
+      label.className = "toggle";
+      label.append(input, ` ${spec.label}`);
+      return label;
+    }
+    input.type = "range";
+    input.min = String(spec.min);
+    input.max = String(spec.max);
+    input.step = String(spec.step);
+    input.addEventListener("input", () => apply(parseFloat(input.value)));
+    const row = document.createElement("div");
+    row.className = "mode-param";
+    const label = document.createElement("label");
+    label.htmlFor = id;
+    label.textContent = spec.label;
+    const value = document.createElement("span");
+    value.className = "mode-param-value";
+    row.append(label, input, value);
+    return row;
+  }
+
+  /** Restores the current mode's MODE_PARAMS defaults. */
+  resetModeParams() {
+    const defaults = defaultModeParams()[this.visualType];
+    if (!defaults) return;
+    this.applyModeParams({ [this.visualType]: defaults });
+    this.saveUserPreferences();
+  }
+
+  // The mode dropdown lists the registry: built-ins first, then modes from other scripts.
+  renderVisualTypeOptions() {
+    const select = document.getElementById("visualType");
+    if (!select) return;
+    select.replaceChildren(
+      ...[...visualizationRegistry.values()].map(
+        (mode) => new Option(mode.label, mode.id),
+      ),
+    );
+    select.value = this.visualType;
+  }
+
+  // A mode registered after startup: give it state, list it and rebuild the worker with its script.
+  _onVisualizationRegistered(mode) {
+    this._initModeState(mode);
+    this.renderVisualTypeOptions();
+    this.renderAutoModeList();
+    this._refreshAutoModePool();
+    if (this._renderWorkerUrl) {
+      URL.revokeObjectURL(this._renderWorkerUrl);
+      this._renderWorkerUrl = null;
+    }
+    if (this._renderWorker) {
+      this.setWorkerRender(false);
+      this.setWorkerRender(true);
+    }
+  }
+
+  /**
+   * Switches mode if `mode` is registered; returns whether it is. `auto`
+   * switches (Auto mode, from the render loop) don't become the saved mode and
+   * leave the settings panel alone while it can't be seen.
+   */
+  setVisualType(mode, { auto = false } = {}) {
+    if (!visualizationRegistry.has(mode)) return false;
+    const select = document.getElementById("visualType");
+    if (select) select.value = mode;
+    this.visualType = mode;
+    if (!auto) this.manualVisualType = mode;
+    this.autoMode?.restart();
+    if (auto && !this._modeParamsPanelVisible()) this._modeParamsStale = true;
+    else this.renderModeParamsPanel();
+    return true;
+  }
+
+  // Hidden tab, or fullscreen with the controls tucked away.
+  _modeParamsPanelVisible() {
+    if (document.hidden) return false;
+    return (
+      !this.isFullscreen ||
+      !!document.querySelector(".container")?.classList.contains("show-ui")
+    );
+  }
+
+  // Catches the panel up with Auto mode's switches once it shows again.
+  _syncStaleModeParams() {
+    if (!this._modeParamsStale) return;
+    this._modeParamsStale = false;
+    this.renderModeParamsPanel();
+  }
+
+  setupModeTransitionControls() {
+    const style = document.getElementById("modeTransition");
+    style?.addEventListener("change", () => {
+      this.setModeTransition({ style: style.value });
+      this.saveUserPreferences();
+    });
+    const duration = document.getElementById("modeTransitionMs");
+    duration?.addEventListener("input", () => {
+      this.setModeTransition({ durationMs: duration.value });
+      this.scheduleSaveUserPreferences();
+    });
+    this.setModeTransition(this.modeTransition);
+  }
+
+  /** style: one of MODE_TRANSITION_STYLES ("cut" switches instantly); durationMs: blend length. */
+  setModeTransition({ style, durationMs } = {}) {
+    const settings = this.modeTransition;
+    if (MODE_TRANSITION_STYLES.includes(style)) settings.style = style;
+    const ms = parseInt(durationMs, 10);
+    if (Number.isFinite(ms)) {
+      settings.durationMs = clamp(
+        ms,
+        MODE_TRANSITION_LIMITS.min,
+        MODE_TRANSITION_LIMITS.max,
+      );
+    }
+    const select = document.getElementById("modeTransition");
+    if (select) select.value = settings.style;
+    const slider = document.getElementById("modeTransitionMs");
+    if (slider) {
+      slider.value = String(settings.durationMs);
+      slider.disabled = settings.style === "cut";
+    }
+    const label = document.getElementById("modeTransitionMsValue");
+    if (label)
+      label.textContent = `${(settings.durationMs / 1000).toFixed(1)} s`;
+  }
+
+  setupAutoModeControls() {
+    const bind = (id, key, event = "change") => {
+      const el = document.getElementById(id);
+      el?.addEventListener(event, () => {
+        this.setAutoModeSettings({ [key]: el.value });
+        this.scheduleSaveUserPreferences();
+      });
+    };
+    bind("autoMode", "mode");
+    bind("autoModeBars", "bars", "input");
+    bind("autoModeAlign", "align");
+    document.getElementById("autoModeList")?.addEventListener("change", () => {
+      const inputs = [...document.querySelectorAll("#autoModeList input")];
+      const checked = inputs.filter((input) => input.checked);
+      // Everything checked is stored as "all", so modes added later join in.
+      this.setAutoModeSettings({
+        modes:
+          checked.length === inputs.length
+            ? []
+            : checked.map((input) => input.value),
+      });
+      this.saveUserPreferences();
+    });
+    // Auto switches made in a hidden tab left the settings panel behind.
+    document.addEventListener("visibilitychange", () => {
+      if (!document.hidden) this._syncStaleModeParams();
+    });
+    this.renderAutoModeList();
+    this.setAutoModeSettings(this.autoModeSettings);
+  }
+
+  /** One checkbox per registered mode: the modes Auto mode rotates through. */
+  renderAutoModeList() {
+    const list = document.getElementById("autoModeList");
+    if (!list) return;
+    list.replaceChildren(
+      ...[...visualizationRegistry.values()].map((mode) => {
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.value = mode.id;
+        const label = document.createElement("label");
+        label.className = "toggle";
+        label.append(input, ` ${mode.label}`);
+        return label;
+      }),
+    );
+    this._syncAutoModeList();
+  }
+
+  _syncAutoModeList() {
+    const { modes } = this.autoModeSettings;
+    for (const input of document.querySelectorAll("#autoModeList input")) {
+      input.checked = !modes.length || modes.includes(input.value);
+    }
+  }
+
+  /**
+   * mode: "off" | "style" (follow StyleEngine) | "sequence" (step through the
+   * list); bars: minimum hold / step length; align: "none" | "beat" | "bar" |
+   * "phrase"; modes: ids in rotation ([] = every registered mode).
+   */
+  setAutoModeSettings({ mode, bars, align, modes } = {}) {
+    const settings = this.autoModeSettings;
+    if (AUTO_MODE_TYPES.includes(mode)) settings.mode = mode;
+    const barCount = parseInt(bars, 10);
+    if (Number.isFinite(barCount)) {
+      settings.bars = clamp(
+        barCount,
+        AUTO_MODE_BAR_LIMITS.min,
+        AUTO_MODE_BAR_LIMITS.max,
+      );
+    }
+    if (AUTO_MODE_ALIGNS.includes(align)) settings.align = align;
+    if (Array.isArray(modes)) {
+      // Unknown ids are kept: their script may register them later.
+      settings.modes = modes.filter(
+        (id) => typeof id === "string" && /^[A-Za-z][\w-]*$/.test(id),
+      );
+    }
+    this._refreshAutoModePool();
+    this.autoMode.restart();
+
+    const off = settings.mode === "off";
+    const modeSelect = document.getElementById("autoMode");
+    if (modeSelect) modeSelect.value = settings.mode;
+    const barsSlider = document.getElementById("autoModeBars");
+    if (barsSlider) {
+      barsSlider.value = String(settings.bars);
+      barsSlider.disabled = off;
+    }
+    const barsValue = document.getElementById("autoModeBarsValue");
+    if (barsValue) {
+      barsValue.textContent = `${settings.bars} bar${settings.bars === 1 ? "" : "s"}`;
+    }
+    const alignSelect = document.getElementById("autoModeAlign");
+    if (alignSelect) {
+      alignSelect.value = settings.align;
+      alignSelect.disabled = off;
+    }
+    this._syncAutoModeList();
+  }
+
+  // Rotation in registry order; StyleEngine recommends from the same modes.
+  _refreshAutoModePool() {
+    const { modes } = this.autoModeSettings;
+    const all = [...visualizationRegistry.values()];
+    const pool = modes.length ? all.filter((m) => modes.includes(m.id)) : all;
+    this._autoModePool = pool.length ? pool : all;
+    this.style.modePool = this._autoModePool;
+  }
+
+  _updateAutoMode(timestamp) {
+    const next = this.autoMode.update(
+      timestamp,
+      this.autoModeSettings,
+      this.visualType,
+      this.behavior.recommendedVisualType,
+      this._autoModePool,
+      this.rhythm,
+    );
+    if (next) this.setVisualType(next, { auto: true });
+  }
+
+  setSensitivity(value) {
+    const sensitivity = parseFloat(value);
+    if (!Number.isFinite(sensitivity)) return;
+    this.sensitivity = clamp(
+      sensitivity,
+      SENSITIVITY_LIMITS.min,
+      SENSITIVITY_LIMITS.max,
+    );
+    const slider = document.getElementById("sensitivity");
+    if (slider) slider.value = String(this.sensitivity);
+    const label = document.getElementById("sensitivityValue");
+    if (label) label.textContent = this.sensitivity.toFixed(1);
+  }
+
+  setHueOffset(value) {
+    const hue = parseInt(value, 10);
+    if (!Number.isFinite(hue)) return;
+    this.hueOffset = clamp(hue, 0, 360);
+    const slider = document.getElementById("hueOffset");
+    if (slider) slider.value = String(this.hueOffset);
+    const label = document.getElementById("hueOffsetValue");
+    if (label) label.textContent = String(this.hueOffset);
+  }
+
+  /** Link to this page that reproduces the current look (see buildShareHash()). */
+  getShareLink() {
+    const url = new URL(window.location.href);
+    url.hash = buildShareHash({
+      visualType: this.visualType,
+      sensitivity: this.sensitivity,
+      hueOffset: this.hueOffset,
+      params: this.getModeParams()[this.visualType],
+    });
+    return url.href;
+  }
+
+  async copyShareLink() {
+    const link = this.getShareLink();
+    try {
+      await navigator.clipboard.writeText(link);
+      this.updateStatus("Link to this look copied", "active");
+    } catch (error) {
+      // No clipboard access (permissions, insecure context): let the user copy it.
+      console.warn("Clipboard write failed:", error);
+      window.prompt("Copy this link:", link);
+    }
+  }
+
+  /** Applies parseShareHash() output; false (and nothing changed) for an unknown mode. */
+  applyShareState(state) {
+    if (!this.setVisualType(state.visualType)) {
+      this.updateStatus("The link names an unknown mode", "error");
+      return false;
+    }
+    if (state.sensitivity !== undefined) this.setSensitivity(state.sensitivity);
+    if (state.hueOffset !== undefined) this.setHueOffset(state.hueOffset);
+    this.applyModeParams({ [state.visualType]: state.params });
+    return true;
+  }
+
+  setupPresetControls() {
+    const select = document.getElementById("presetSelect");
+    const nameInput = document.getElementById("presetName");
+    const presetName = () => (nameInput ? nameInput.value.trim() : "");
+    if (!this.presets) {
+      document
+        .querySelectorAll(".preset-group select, .preset-group input")
+        .forEach((el) => (el.disabled = true));
+      document
+        .querySelectorAll(".preset-group .btn:not(#shareLinkBtn)")
+        .forEach((el) => (el.disabled = true));
+      if (select) select.title = "Presets need IndexedDB";
+    }
+    select?.addEventListener("change", () => {
+      if (nameInput && select.value) nameInput.value = select.value;
+    });
+    document
+      .getElementById("presetSaveBtn")
+      ?.addEventListener("click", () => this.savePreset(presetName()));
+    document
+      .getElementById("presetLoadBtn")
+      ?.addEventListener("click", () => this.loadPreset(select?.value));
+    document
+      .getElementById("presetRenameBtn")
+      ?.addEventListener("click", () =>
+        this.renamePreset(select?.value, presetName()),
+      );
+    document
+      .getElementById("presetDeleteBtn")
+      ?.addEventListener("click", () => this.deletePreset(select?.value));
+    document
+      .getElementById("prefsExportBtn")
+      ?.addEventListener("click", () => this.exportPreferences());
+    document
+      .getElementById("shareLinkBtn")
+      ?.addEventListener("click", () => this.copyShareLink());
+    const importInput = document.getElementById("prefsImportInput");
+    document
+      .getElementById("prefsImportBtn")
+      ?.addEventListener("click", () => importInput?.click());
+    importInput?.addEventListener("change", () => {
+      const file = importInput.files && importInput.files[0];
+      importInput.value = "";
+      if (file) this.importPreferences(file);
+    });
+    this.refreshPresetList();
+  }
+
+  async refreshPresetList(selected) {
+    const select = document.getElementById("presetSelect");
+    if (!select || !this.presets) return;
+    let presets = [];
+    try {
+      presets = await this.presets.list();
+    } catch (error) {
+      console.warn("Failed to list presets:", error);
+    }
+    const current = selected ?? select.value;
+    select.replaceChildren(new Option("Presets…", ""));
+    for (const { name } of presets) select.add(new Option(name, name));
+    select.value = presets.some((p) => p.name === current) ? current : "";
+  }
+
+  // Preset record for the current look (see PresetStore).
+  _capturePreset(name) {
+    return {
+      name,
+      visualType: this.visualType,
+      sensitivity: this.sensitivity,
+      hueOffset: this.hueOffset,
+      params: this.getModeParams(),
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  // Imported records keep only the known fields; values are checked on load.
+  _normalizePreset(preset) {
+    if (!preset || typeof preset.name !== "string") return null;
+    const name = preset.name.trim().slice(0, PRESET_NAME_MAX_LENGTH);
+    if (!name) return null;
+    return {
+      name,
+      visualType: String(preset.visualType || ""),
+      sensitivity: Number(preset.sensitivity),
+      hueOffset: Number(preset.hueOffset),
+      params:
+        preset.params && typeof preset.params === "object" ? preset.params : {},
+      updatedAt: String(preset.updatedAt || new Date().toISOString()),
+    };
+  }
+
+  // A track's pinned look is only shown: the user's own look is set aside
+  // (and is what gets saved) until the playlist stops, see _restoreUserLook().
+  _applyPreset(preset, { track = false } = {}) {
+    if (track) this._userLook ??= this._preferredLook();
+    else this._userLook = null;
+    this.setVisualType(preset.visualType);
+    this.setSensitivity(preset.sensitivity);
+    this.setHueOffset(preset.hueOffset);
+    this.applyModeParams(preset.params);
+    if (!track) this.saveUserPreferences();
+  }
+
+  _restoreUserLook() {
+    const look = this._userLook;
+    if (look) this._applyPreset(look);
+  }
+
+  // The look preferences keep (see _applyPreset()).
+  _preferredLook() {
+    if (this._userLook) return this._userLook;
+    return {
+      visualType: this.manualVisualType,
+      sensitivity: document.getElementById("sensitivity").value,
+      hueOffset:
+        document.getElementById("hueOffset")?.value ??
+        String(this.hueOffset ?? 200),
+      params: this.getModeParams(),
+    };
+  }
+
+  async savePreset(name) {
+    if (!this.presets) return;
+    const presetName = (name || "").slice(0, PRESET_NAME_MAX_LENGTH);
+    if (!presetName) {
+      this.updateStatus("Enter a name for the preset", "info");
+      return;
+    }
+    try {
+      if (
+        (await this.presets.get(presetName)) &&
+        !window.confirm(`Replace the preset "${presetName}"?`)
+      ) {
+        return;
+      }
+      await this.presets.put(this._capturePreset(presetName));
+      await this.refreshPresetList(presetName);
+      this.updateStatus(`Preset "${presetName}" saved`, "active");
+    } catch (error) {
+      console.warn("Failed to save preset:", error);
+      this.updateStatus("Could not save the preset", "error");
+    }
+  }
+
+  async loadPreset(name) {
+    if (!this.presets || !name) return;
+    try {
+      const preset = await this.presets.get(name);
+      if (!preset) {
+        await this.refreshPresetList();
+        this.updateStatus(`No preset named "${name}"`, "error");
+        return;
+      }
+      this._applyPreset(preset);
+      this.updateStatus(`Preset "${name}" loaded`, "active");
+    } catch (error) {
+      console.warn("Failed to load preset:", error);
+      this.updateStatus("Could not load the preset", "error");
+    }
+  }
+
+  async renamePreset(from, to) {
+    if (!this.presets || !from) return;
+    const name = (to || "").slice(0, PRESET_NAME_MAX_LENGTH);
+    if (!name || name === from) {
+      this.updateStatus("Enter a new name for the preset", "info");
+      return;
+    }
+    try {
+      if (
+        (await this.presets.get(name)) &&
+        !window.confirm(`Replace the preset "${name}"?`)
+      ) {
+        return;
+      }
+      await this.presets.rename(from, name);
+      await this.refreshPresetList(name);
+      this.updateStatus(`Preset renamed to "${name}"`, "active");
+    } catch (error) {
+      console.warn("Failed to rename preset:", error);
+      this.updateStatus("Could not rename the preset", "error");
+    }
+  }
+
+  async deletePreset(name) {
+    if (!this.presets || !name) return;
+    if (!window.confirm(`Delete the preset "${name}"?`)) return;
+    try {
+      await this.presets.delete(name);
+      await this.refreshPresetList("");
+      this.updateStatus(`Preset "${name}" deleted`, "info");
+    } catch (error) {
+      console.warn("Failed to delete preset:", error);
+      this.updateStatus("Could not delete the preset", "error");
+    }
+  }
+
+  setupSnapshotControls() {
+    document
+      .getElementById("snapshotBtn")
+      ?.addEventListener("click", () => this.takeSnapshot());
+    const scaleSelect = document.getElementById("snapshotScale");
+    scaleSelect?.addEventListener("change", () => {
+      this.setSnapshotSettings({ scale: scaleSelect.value });
+      this.saveUserPreferences();
+    });
+    const rerenderToggle = document.getElementById("snapshotRerenderToggle");
+    rerenderToggle?.addEventListener("change", () => {
+      this.setSnapshotSettings({ rerender: rerenderToggle.checked });
+      this.saveUserPreferences();
+    });
+    const transparentToggle = document.getElementById(
+      "snapshotTransparentToggle",
+    );
+    transparentToggle?.addEventListener("change", () => {
+      this.setSnapshotSettings({ transparent: transparentToggle.checked });
+      this.saveUserPreferences();
+    });
+  }
+
+  /** Scale (one of SNAPSHOT_SCALES), re-render at that scale, transparent background. */
+  setSnapshotSettings({ scale, rerender, transparent } = {}) {
+    const nextScale = parseInt(scale, 10);
+    if (SNAPSHOT_SCALES.includes(nextScale)) {
+      this.snapshotSettings.scale = nextScale;
+    }
+    if (typeof rerender === "boolean")
+      this.snapshotSettings.rerender = rerender;
+    if (typeof transparent === "boolean") {
+      this.snapshotSettings.transparent = transparent;
+    }
+    const scaleSelect = document.getElementById("snapshotScale");
+    if (scaleSelect) scaleSelect.value = String(this.snapshotSettings.scale);
+    const rerenderToggle = document.getElementById("snapshotRerenderToggle");
+    if (rerenderToggle) {
+      rerenderToggle.checked = this.snapshotSettings.rerender;
+      // Re-rendering only differs from the bitmap at 2x and up.
+      rerenderToggle.disabled = this.snapshotSettings.scale === 1;
+    }
+    const transparentToggle = document.getElementById(
+      "snapshotTransparentToggle",
+    );
+    if (transparentToggle) {
+      transparentToggle.checked = this.snapshotSettings.transparent;
+    }
+  }
+
+  /** Saves the current frame as a PNG (see _snapshotBlob()); also the S key. */
+  async takeSnapshot() {
+    if (this._snapshotBusy) return;
+    this._snapshotBusy = true;
+    const options = { ...this.snapshotSettings };
+    const width = this.lastCanvasSize.width * options.scale;
+    const height = this.lastCanvasSize.height * options.scale;
+    try {
+      // With worker rendering the worker owns the frame and the mode state.
+      const blob = this._renderWorker
+        ? await new Promise((resolve, reject) => {
+            this._workerSnapshot = { resolve, reject };
+            this._renderWorker.postMessage({ type: "snapshot", options });
+          })
+        : await this._snapshotBlob(options);
+      this._downloadBlob(
+        blob,
+        `audvis-${this.visualType}-${this._fileTimestamp()}-${width}x${height}.png`,
+      );
+      this.updateStatus(`Snapshot saved (${width}x${height})`, "active");
+    } catch (error) {
+      console.warn("Snapshot failed:", error);
+      this.updateStatus("Could not save the snapshot", "error");
+    } finally {
+      this._snapshotBusy = false;
+    }
+  }
+
+  /**
+   * The current frame as a PNG Blob at `scale` times the canvas size. With
+   * `rerender` the frame is drawn again straight into the large canvas, so
+   * lines and text stay sharp instead of being upscaled (the mode state moves
+   * on by that one frame). `transparent` skips the page background, leaving
+   * cleared areas transparent in the modes that clear instead of filling.
+   * Runs wherever draw() runs, so in the render worker too.
+   */
+  async _snapshotBlob({ scale = 1, rerender = false, transparent = false }) {
+    const { width, height } = this.canvas;
+    const frame = createExportCanvas(width * scale, height * scale);
+    const frameCtx = frame.getContext("2d");
+    frameCtx.imageSmoothingQuality = "high";
+    // Also the base for modes that fade the previous frame (Lissajous trails).
+    frameCtx.drawImage(this.canvas, 0, 0, frame.width, frame.height);
+    if (rerender && scale > 1) {
+      const { canvas, ctx } = this;
+      frameCtx.setTransform(scale, 0, 0, scale, 0, 0);
+      // draw() lays out by canvas.width/height, so keep the logical size.
+      this.canvas = { width, height };
+      this.ctx = frameCtx;
+      try {
+        // Only the current mode: a pending or running mode transition reads
+        // the real canvas and its logical-size layers, so it stays with draw().
+        this._drawMode(this.visualType);
+        if (this.loudnessOverlay) this.drawLoudnessMeter();
+      } finally {
+        this.canvas = canvas;
+        this.ctx = ctx;
+      }
+    }
+    if (transparent) return canvasToBlob(frame);
+
+    const output = createExportCanvas(frame.width, frame.height);
+    const outputCtx = output.getContext("2d");
+    outputCtx.fillStyle = CANVAS_BACKGROUND;
+    outputCtx.fillRect(0, 0, output.width, output.height);
+    outputCtx.drawImage(frame, 0, 0);
+    return canvasToBlob(output);
+  }
+
+  setupOfflineRenderControls() {
+    const renderBtn = document.getElementById("offlineRenderBtn");
+    const fileInput = document.getElementById("offlineFileInput");
+    renderBtn?.addEventListener("click", () => {
+      if (this._offlineRender) this._offlineRender.cancelled = true;
+      else fileInput?.click();
+    });
+    fileInput?.addEventListener("change", () => {
+      const file = fileInput.files && fileInput.files[0];
+      fileInput.value = ""; // picking the same file again still fires "change"
+      if (file) this.renderFileOffline(file);
+    });
+    for (const [id, key] of [
+      ["offlineSize", "size"],
+      ["offlineFps", "fps"],
+      ["offlineFormat", "format"],
+    ]) {
+      const select = document.getElementById(id);
+      select?.addEventListener("change", () => {
+        this.setOfflineSettings({ [key]: select.value });
+        this.saveUserPreferences();
+      });
+    }
+    const webmOption = document.querySelector(
+      '#offlineFormat option[value="webm"]',
     );
+    if (webmOption && !WebmVideoSink.isSupported()) {
+      webmOption.disabled = true;
+      webmOption.title = "WebM export needs WebCodecs";
+    }
   }
 
-  _isTextEntryTarget(el) {
-    if (!el || el.nodeType !== Node.ELEMENT_NODE) return false;
-    if (el.isContentEditable) return true;
-    const tag = el.tagName;
-    if (tag === "TEXTAREA" || tag === "SELECT") return true;
-    if (tag === "INPUT") {
-      const type = (el.getAttribute("type") || "text").toLowerCase();
-      const textTypes = new Set([
-        "text",
-        "search",
-        "email",
-        "url",
-        "tel",
-        "password",
-        "number",
-      ]);
-      return textTypes.has(type);
+  /** Output size ("WxH" from OFFLINE_SIZES), frame rate and format ("png" | "webm"). */
+  setOfflineSettings({ size, fps, format } = {}) {
+    if (OFFLINE_SIZES.includes(size)) this.offlineSettings.size = size;
+    const nextFps = parseInt(fps, 10);
+    if (OFFLINE_FPS_OPTIONS.includes(nextFps)) {
+      this.offlineSettings.fps = nextFps;
     }
-    return false;
+    if (OFFLINE_FORMATS.includes(format)) this.offlineSettings.format = format;
+    const sizeSelect = document.getElementById("offlineSize");
+    if (sizeSelect) sizeSelect.value = this.offlineSettings.size;
+    const fpsSelect = document.getElementById("offlineFps");
+    if (fpsSelect) fpsSelect.value = String(this.offlineSettings.fps);
+    const formatSelect = document.getElementById("offlineFormat");
+    if (formatSelect) formatSelect.value = this.offlineSettings.format;
+  }
+
+  /**
+   * Frame-exact export of an audio file: decode it, then for every frame at
+   * `fps` move the analysers' playhead, run _analyzeFrame() and draw() with the
+   * clock pinned to the frame time, and hand the frame to a PNG/WebM sink.
+   * Runs as fast as the machine allows; the output does not depend on it.
+   */
+  async renderFileOffline(file, settings = this.offlineSettings) {
+    if (this._offlineRender) return;
+    const { fps, format } = settings;
+    const [width, height] = settings.size.split("x").map(Number);
+    if (format === "webm" && !WebmVideoSink.isSupported()) {
+      this.updateStatus("WebM export needs WebCodecs in this browser", "error");
+      return;
+    }
+    const job = { cancelled: false, progress: 0 };
+    this._offlineRender = job;
+    this.updateOfflineRenderControls();
+    let sink = null;
+    try {
+      this.updateStatus(`Decoding ${file.name}...`, "info");
+      const buffer = await decodeAudioFile(file);
+      const frameCount = Math.ceil(buffer.duration * fps);
+      const canvas = createExportCanvas(width, height);
+      const output = createExportCanvas(width, height);
+      const outputCtx = output.getContext("2d");
+      const renderer = this._createOfflineRenderer(buffer, canvas, fps);
+      sink =
+        format === "webm"
+          ? await WebmVideoSink.create({ width, height, fps, buffer })
+          : new PngSequenceSink();
+      this.updateStatus(
+        `Rendering ${frameCount} frames at ${width}x${height}, ${fps} fps...`,
+        "active",
+      );
+
+      let yieldedAt = performance.now();
+      for (let i = 0; i < frameCount && !job.cancelled; i++) {
+        const position = Math.round((i * buffer.sampleRate) / fps);
+        for (const tap of renderer._offlineTaps) tap.position = position;
+        // The trackers read a zero timestamp as "no previous frame".
+        const timestamp = ((i + 1) * 1000) / fps;
+        renderer.lastFrameTime = timestamp;
+        renderer._frameClockMs = timestamp;
+        renderer._analyzeFrame(timestamp);
+        renderer.draw();
+
+        outputCtx.fillStyle = CANVAS_BACKGROUND;
+        outputCtx.fillRect(0, 0, width, height);
+        outputCtx.drawImage(canvas, 0, 0);
+        await sink.addFrame(output);
+        job.progress = (i + 1) / frameCount;
+        // Keep the page responsive and the progress readout moving.
+        if (performance.now() - yieldedAt > 100) {
+          this.updateOfflineRenderControls();
+          await new Promise((resolve) => setTimeout(resolve, 0));
+          yieldedAt = performance.now();
+        }
+      }
+      if (job.cancelled) {
+        this.updateStatus("Offline render cancelled", "info");
+        return;
+      }
+
+      this.updateStatus("Finishing offline render...", "active");
+      const blob = await sink.finish();
+      this._downloadBlob(
+        blob,
+        `audvis-${this._fileTimestamp()}-${width}x${height}-${fps}fps.${
+          sink.extension
+        }`,
+      );
+      this.updateStatus(
+        `Offline render saved (${frameCount} frames, ${(
+          blob.size /
+          (1024 * 1024)
+        ).toFixed(1)} MB)`,
+        "active",
+      );
+    } catch (error) {
+      console.warn("Offline render failed:", error);
+      this.updateStatus(`Offline render failed: ${error.message}`, "error");
+    } finally {
+      sink?.close();
+      this._offlineRender = null;
+      this.updateOfflineRenderControls();
+    }
+  }
+
+  /**
+   * Prototype-only renderer (as in the render worker) that analyses `buffer`
+   * through BufferAnalysers laid out like _createAudioPipeline()'s taps and
+   * draws into `canvas`. It takes the current look (mode, colours, analyser
+   * and band settings) but starts with fresh analysis and mode state.
+   */
+  _createOfflineRenderer(buffer, canvas, fps) {
+    const renderer = Object.create(AudioVisualizer.prototype);
+    renderer._initRenderState();
+    renderer._initAnalysisState();
+    for (const name of [
+      "visualType",
+      "sensitivity",
+      "hueOffset",
+      "bandScale",
+      "bandCount",
+      "keyColor",
+      "pitchColor",
+      "loudnessOverlay",
+      "particleFlowCount",
+      "targetFPS",
+    ]) {
+      renderer[name] = this[name];
+    }
+    renderer.analyserSettings = { ...this.analyserSettings };
+    renderer.applyModeParams(this.getModeParams());
+    renderer.autoModeSettings = { ...AUTO_MODE_DEFAULTS };
+    renderer._analysisNode = null;
+    renderer.bandMapper = new BandMapper({
+      scale: this.bandScale,
+      bandCount: this.bandCount,
+    });
+    renderer._circularBands = new BandMapper({
+      scale: this.bandScale,
+      bandCount: CIRCULAR_RING_COUNT,
+    });
+    renderer.audioContext = { sampleRate: buffer.sampleRate };
+    renderer.canvas = canvas;
+    renderer.ctx = canvas.getContext("2d");
+
+    // Same taps as the live graph: the analysers down-mix to mono, the splitter
+    // leaves the right channel silent for mono sources.
+    const left = buffer.getChannelData(0);
+    const stereo = buffer.numberOfChannels > 1;
+    const right = stereo
+      ? buffer.getChannelData(1)
+      : new Float32Array(buffer.length);
+    const mono = stereo ? left.map((v, i) => (v + right[i]) * 0.5) : left;
+    const [shelf, highpass] = kWeightingCoefficients(buffer.sampleRate);
+    const kWeight = (samples) =>
+      filterIIR(filterIIR(samples, ...shelf), ...highpass);
+    const tap = (samples, fftSize) => {
+      const analyser = new BufferAnalyser(samples);
+      analyser.fftSize = fftSize;
+      return analyser;
+    };
+
+    renderer.analyser = new BufferAnalyser(mono);
+    renderer.analyserL = new BufferAnalyser(left);
+    renderer.analyserR = new BufferAnalyser(right);
+    [renderer.analyser, renderer.analyserL, renderer.analyserR].forEach(
+      (analyser) => renderer._applyAnalyserSettings(analyser),
+    );
+    renderer.tonalAnalyser = tap(mono, TONAL_FFT_SIZE);
+    renderer._loudnessTaps = {
+      raw: [left, right].map((samples) => tap(samples, LOUDNESS_FFT_SIZE)),
+      weighted: [left, right].map((samples) =>
+        tap(kWeight(samples), LOUDNESS_FFT_SIZE),
+      ),
+    };
+    renderer._sourceChannelCount = buffer.numberOfChannels;
+    renderer._offlineTaps = [
+      renderer.analyser,
+      renderer.analyserL,
+      renderer.analyserR,
+      renderer.tonalAnalyser,
+      ...renderer._loudnessTaps.raw,
+      ...renderer._loudnessTaps.weighted,
+    ];
+    // Analyser smoothing is per read; keep its time constant at the live frame rate.
+    for (const analyser of renderer._offlineTaps) {
+      analyser.smoothingExponent = renderer.targetFPS / fps;
+    }
+
+    renderer.setupOnsetSubscriptions();
+    renderer.syncAnalyserBuffers();
+    renderer.initParticleFlowPool();
+    return renderer;
+  }
+
+  updateOfflineRenderControls() {
+    const job = this._offlineRender;
+    const renderBtn = document.getElementById("offlineRenderBtn");
+    if (renderBtn) {
+      renderBtn.textContent = job ? "■ Cancel" : "Render file...";
+      renderBtn.classList.toggle("rendering", Boolean(job));
+    }
+    const progress = document.getElementById("offlineProgress");
+    if (progress) {
+      progress.textContent = job ? `${Math.floor(job.progress * 100)}%` : "";
+    }
+    for (const id of ["offlineSize", "offlineFps", "offlineFormat"]) {
+      const select = document.getElementById(id);
+      if (select) select.disabled = Boolean(job);
+    }
+  }
+
+  // "2026-03-14T09-26-53" (local time) for download file names.
+  _fileTimestamp() {
+    const d = new Date();
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(
+      d.getHours(),
+    )}-${pad(d.getMinutes())}-${pad(d.getSeconds())}`;
+  }
+
+  _downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Give the download a moment to start before releasing the blob.
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  }
+
+  /**
+   * Build the shared analysis graph: input -> analyser -> output gain -> speakers.
+   * Every source connects into `input`; the output gain is 0 for capture sources.
+   */
+  _createAudioPipeline() {
+    const context = new (window.AudioContext || window.webkitAudioContext)();
+    const input = context.createGain();
+    const analyser = context.createAnalyser();
+    const output = context.createGain();
+
+    // Stereo branch: per-channel analysers for Lissajous + width/correlation.
+    // Mono sources leave the right output of the splitter silent.
+    const splitter = context.createChannelSplitter(2);
+    const analyserL = context.createAnalyser();
+    const analyserR = context.createAnalyser();
+    // Tonal branch: fixed 4096-point window, fine enough for semitone-level
+    // chroma and long enough for ~60 Hz pitch at any Resolution setting.
+    const tonalAnalyser = context.createAnalyser();
+    tonalAnalyser.fftSize = TONAL_FFT_SIZE;
+    // Silent sink so the side-branch analysers are pulled by the graph.
+    const analysisSink = context.createGain();
+    analysisSink.gain.value = 0;
+
+    [analyser, analyserL, analyserR].forEach((node) =>
+      this._applyAnalyserSettings(node),
+    );
+
+    input.connect(analyser);
+    analyser.connect(output);
+    output.gain.value = 0;
+    output.connect(context.destination);
+
+    input.connect(splitter);
+    splitter.connect(analyserL, 0);
+    splitter.connect(analyserR, 1);
+    analyserL.connect(analysisSink);
+    analyserR.connect(analysisSink);
+    input.connect(tonalAnalyser);
+    tonalAnalyser.connect(analysisSink);
+    this._loudnessTaps = this._createLoudnessTaps(
+      context,
+      input,
+      splitter,
+      analysisSink,
+    );
+    analysisSink.connect(context.destination);
+    this._startAnalysisWorklet(context, input, analysisSink);
+
+    this.audioContext = context;
+    this.analyser = analyser;
+    this.analyserL = analyserL;
+    this.analyserR = analyserR;
+    this.tonalAnalyser = tonalAnalyser;
+    this.gainNode = output;
+    this._inputNode = input;
+    this.stereo.reset();
+    this.pitch.reset();
+    this.chroma.reset();
+    this.rhythm.reset();
+    this.onsets.reset();
+    this.loudness.reset();
+    this.syncAnalyserBuffers();
+
+    return { context, input, analyser, output };
+  }
+
+  // Moves rhythm/energy/onset extraction onto the audio thread. Until the module
+  // has loaded (or if AudioWorklet is unavailable) the render loop does the work.
+  async _startAnalysisWorklet(context, input, sink) {
+    if (!context.audioWorklet || typeof AudioWorkletNode === "undefined")
+      return;
+    try {
+      if (!this._analysisModuleUrl) {
+        this._analysisModuleUrl = createAnalysisWorkletUrl();
+      }
+      await context.audioWorklet.addModule(this._analysisModuleUrl);
+      if (this.audioContext !== context) return; // torn down while loading
+      const node = new AudioWorkletNode(context, ANALYSIS_PROCESSOR_NAME, {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [1],
+        processorOptions: {
+          hopMs: ANALYSIS_HOP_MS,
+          settings: this._analysisWorkletSettings(),
+        },
+      });
+      node.port.onmessage = (e) => {
+        const frames = this._analysisFrames;
+        frames.push(e.data);
+        // Hidden tabs stop rendering; keep only the recent past.
+        if (frames.length > 64) frames.shift();
+      };
+      input.connect(node);
+      node.connect(sink);
+      this.rhythm.reset();
+      this.onsets.reset();
+      this._analysisFrames.length = 0;
+      this._analysisNode = node;
+    } catch (error) {
+      console.warn(
+        "Analysis worklet unavailable, using the render loop:",
+        error,
+      );
+    }
+  }
+
+  _analysisWorkletSettings() {
+    return {
+      ...this.analyserSettings,
+      frameMs: 1000 / (this.targetFPS || 45),
+    };
+  }
+
+  // Applies queued worklet feature frames (oldest first): values take the latest
+  // frame, per-frame flags are OR'ed, onset strengths are re-emitted as events.
+  _consumeAnalysisFrames() {
+    const frames = this._analysisFrames;
+    for (let i = 1; i < ANALYSIS_FEATURES.length; i++) {
+      if (ANALYSIS_FLAGS.includes(ANALYSIS_FEATURES[i])) {
+        this._setFeature(ANALYSIS_FEATURE_PATHS[i], false);
+      }
+    }
+    for (const frame of frames) {
+      for (let i = 1; i < ANALYSIS_FEATURES.length; i++) {
+        const path = ANALYSIS_FEATURE_PATHS[i];
+        const value = frame[i];
+        if (path[0] === "onsetEvents") {
+          if (value > 0) {
+            this.onsets.emit("onset", {
+              band: path[1],
+              strength: value,
+              timestampMs: frame[0],
+            });
+          }
+        } else if (ANALYSIS_FLAGS.includes(ANALYSIS_FEATURES[i])) {
+          if (value > 0) this._setFeature(path, true);
+        } else {
+          this._setFeature(path, value);
+        }
+      }
+    }
+    frames.length = 0;
+  }
+
+  // Writes one ANALYSIS_FEATURE_PATHS entry (e.g. ["rhythm", "bpmEstimate"]).
+  _setFeature(path, value) {
+    let target = this;
+    for (let i = 0; i < path.length - 1; i++) target = target[path[i]];
+    target[path[path.length - 1]] = value;
+  }
+
+  // Loudness branch: raw L/R for peak/RMS, plus a K-weighted copy for LUFS.
+  // IIRFilterNode gives the exact BS.1770 pre-filter; without it the meter
+  // falls back to unweighted levels.
+  _createLoudnessTaps(context, input, splitter, sink) {
+    const makeAnalyser = () => {
+      const node = context.createAnalyser();
+      node.fftSize = LOUDNESS_FFT_SIZE;
+      node.connect(sink);
+      return node;
+    };
+    const raw = [makeAnalyser(), makeAnalyser()];
+    const weighted = [makeAnalyser(), makeAnalyser()];
+    splitter.connect(raw[0], 0);
+    splitter.connect(raw[1], 1);
+
+    let weightedInput = input;
+    if (typeof context.createIIRFilter === "function") {
+      weightedInput = kWeightingCoefficients(context.sampleRate).reduce(
+        (prev, [feedforward, feedback]) => {
+          const filter = context.createIIRFilter(feedforward, feedback);
+          prev.connect(filter);
+          return filter;
+        },
+        input,
+      );
+    } else {
+      console.warn("IIRFilterNode unavailable; loudness is unweighted");
+    }
+    const weightedSplitter = context.createChannelSplitter(2);
+    weightedInput.connect(weightedSplitter);
+    weightedSplitter.connect(weighted[0], 0);
+    weightedSplitter.connect(weighted[1], 1);
+    return { raw, weighted };
+  }
+
+  _applyAnalyserSettings(analyser) {
+    const settings = this.analyserSettings;
+    analyser.fftSize = settings.fftSize;
+    analyser.smoothingTimeConstant = settings.smoothingTimeConstant;
+    // Order matters: the node rejects any moment where min >= max.
+    if (settings.minDecibels >= analyser.maxDecibels) {
+      analyser.maxDecibels = settings.maxDecibels;
+      analyser.minDecibels = settings.minDecibels;
+    } else {
+      analyser.minDecibels = settings.minDecibels;
+      analyser.maxDecibels = settings.maxDecibels;
+    }
+  }
+
+  /**
+   * Validate and apply analyser settings (any subset of ANALYSER_DEFAULTS keys).
+   * Live analysers are updated in place and every per-bin buffer is resized by
+   * syncAnalyserBuffers(), so the active source keeps running.
+   */
+  setAnalyserSettings(partial = {}) {
+    const next = { ...this.analyserSettings };
+    const fft = parseInt(partial.fftSize, 10);
+    if (ANALYSER_LIMITS.fftSizes.includes(fft)) next.fftSize = fft;
+
+    const smoothing = parseFloat(partial.smoothingTimeConstant);
+    if (Number.isFinite(smoothing)) {
+      next.smoothingTimeConstant = clamp(
+        smoothing,
+        0,
+        ANALYSER_LIMITS.smoothingMax,
+      );
+    }
+
+    const {
+      minDecibels: dbFloor,
+      maxDecibels: dbCeil,
+      minRangeDb,
+    } = ANALYSER_LIMITS;
+    const minDb = parseFloat(partial.minDecibels);
+    const maxDb = parseFloat(partial.maxDecibels);
+    if (Number.isFinite(maxDb)) {
+      next.maxDecibels = clamp(maxDb, dbFloor + minRangeDb, dbCeil);
+    }
+    if (Number.isFinite(minDb)) {
+      next.minDecibels = clamp(minDb, dbFloor, dbCeil - minRangeDb);
+    }
+    // Keep a usable range; the value being edited wins.
+    if (next.maxDecibels - next.minDecibels < minRangeDb) {
+      if (Number.isFinite(minDb) && !Number.isFinite(maxDb)) {
+        next.maxDecibels = next.minDecibels + minRangeDb;
+      } else {
+        next.minDecibels = next.maxDecibels - minRangeDb;
+      }
+    }
+
+    this.analyserSettings = next;
+    [this.analyser, this.analyserL, this.analyserR].forEach((node) => {
+      if (node) this._applyAnalyserSettings(node);
+    });
+    this._analysisNode?.port.postMessage({
+      type: "settings",
+      settings: this._analysisWorkletSettings(),
+    });
+    this.syncAnalyserBuffers();
+    this.updateAnalyserControls();
+    return next;
+  }
+
+  /** Band scale (one of BAND_SCALES) and bar count for the bar modes and Circular. */
+  setBandMapping({ scale, bandCount } = {}) {
+    if (BAND_SCALES.includes(scale)) this.bandScale = scale;
+    const count = parseInt(bandCount, 10);
+    if (Number.isFinite(count)) {
+      this.bandCount = clamp(
+        count,
+        BAND_COUNT_LIMITS.min,
+        BAND_COUNT_LIMITS.max,
+      );
+    }
+    this._applyBandMapping();
+
+    const scaleSelect = document.getElementById("bandScale");
+    if (scaleSelect) scaleSelect.value = this.bandScale;
+    const countSlider = document.getElementById("bandCount");
+    if (countSlider) {
+      countSlider.value = String(this.bandCount);
+      // Octave scales have fixed spacing; linear uses one bar per bin.
+      countSlider.disabled = !["log", "mel", "bark"].includes(this.bandScale);
+    }
+    const countValue = document.getElementById("bandCountValue");
+    if (countValue) countValue.textContent = String(this.bandCount);
+  }
+
+  _applyBandMapping() {
+    this.bandMapper.configure({
+      scale: this.bandScale,
+      bandCount: this.bandCount,
+    });
+    this._circularBands.configure({ scale: this.bandScale });
+    // Raindrop timers are indexed per bar.
+    this.barRaindropTimers = [];
+  }
+
+  // Reflect analyserSettings in the Resolution / Smoothing / dB range controls.
+  updateAnalyserControls() {
+    const settings = this.analyserSettings;
+    const fftSelect = document.getElementById("fftSize");
+    if (fftSelect) fftSelect.value = String(settings.fftSize);
+    const smoothing = document.getElementById("smoothing");
+    if (smoothing) smoothing.value = String(settings.smoothingTimeConstant);
+    const smoothingValue = document.getElementById("smoothingValue");
+    if (smoothingValue) {
+      smoothingValue.textContent = settings.smoothingTimeConstant.toFixed(2);
+    }
+    const minDb = document.getElementById("minDecibels");
+    if (minDb) minDb.value = String(settings.minDecibels);
+    const maxDb = document.getElementById("maxDecibels");
+    if (maxDb) maxDb.value = String(settings.maxDecibels);
+    const rangeValue = document.getElementById("decibelRangeValue");
+    if (rangeValue) {
+      rangeValue.textContent = `${Math.round(settings.minDecibels)} / ${Math.round(settings.maxDecibels)} dB`;
+    }
+  }
+
+  _teardownAudioPipeline() {
+    // The recording's audio comes from this pipeline; finish the file with it.
+    this.stopRecording();
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+    this.analyser = null;
+    this.analyserL = null;
+    this.analyserR = null;
+    this.tonalAnalyser = null;
+    if (this._analysisNode) {
+      this._analysisNode.port.onmessage = null;
+      this._analysisNode.disconnect();
+      this._analysisNode = null;
+    }
+    this._analysisFrames.length = 0;
+    this.gainNode = null;
+    this._inputNode = null;
+    this._sourceChannelCount = null;
+    this.stereo.reset();
+    this.pitch.reset();
+    this.chroma.reset();
+    this.rhythm.reset();
+    this._loudnessTaps = null;
+    this._pitchHueShift = 0;
+    this.updatePitchOverlay(true);
+  }
+
+  /**
+   * Start a registered audio source on a fresh pipeline. Any running source is
+   * stopped first. Resolves to the started source, or null on failure/supersede.
+   */
+  async startSource(id, options = {}) {
+    if (this.isPlaying || this.activeSource || this.audioContext) {
+      this.stopVisualizer();
+    }
+
+    const requestId = ++this._sourceRequestId;
+    const source = audioSourceRegistry.create(id, options);
+    source.on("status", ({ message, type }) => {
+      if (requestId === this._sourceRequestId) this.updateStatus(message, type);
+    });
+    source.on("ended", ({ message }) => {
+      if (this.activeSource !== source) return;
+      this.stopVisualizer();
+      this.updateStatus(message, "info");
+    });
+
+    const pipeline = this._createAudioPipeline();
+    try {
+      if (pipeline.context.state === "suspended") {
+        await pipeline.context.resume();
+      }
+      await source.start(pipeline);
+
+      // Pause (or another source) won while we were waiting on permissions.
+      if (requestId !== this._sourceRequestId) {
+        source.stop();
+        return null;
+      }
+
+      this.activeSource = source;
+      const info = source.describe();
+      this.gainNode.gain.value = info.audible ? 1 : 0;
+      this._sourceChannelCount = info.channelCount;
+      this.isPlaying = true;
+      this.updateButtonStates();
+      this.startVisualization();
+      return source;
+    } catch (error) {
+      console.error(`Error starting ${source.label}:`, error);
+      source.stop();
+      if (requestId === this._sourceRequestId) {
+        this._teardownAudioPipeline();
+        this.updateStatus(source.formatError(error), "error");
+      }
+      return null;
+    }
+  }
+
+  async startMicrophone() {
+    const source = await this.startSource("microphone", {
+      deviceId: this.inputDeviceId,
+    });
+    // Device labels are only exposed once capture permission is granted.
+    if (source) this.populateInputDevices();
+    return source;
   }
 
-  setDebugMenuVisible(visible) {
-    this._debugMenuVisible = !!visible;
-    const el = document.getElementById("debugMenu");
-    const readout = document.getElementById("debugMenuReadout");
-    if (!el) return;
-    el.hidden = !this._debugMenuVisible;
-    el.setAttribute("aria-hidden", this._debugMenuVisible ? "false" : "true");
-    if (this._debugMenuVisible) this.updateDebugMenuReadout();
-    else if (readout) readout.textContent = "";
+  // Resolution (fftSize), Smoothing, dB range and band mapping; applied live to the running source.
+  // Each mode reacts to onset events only while it is on screen.
+  setupOnsetSubscriptions() {
+    this.onsets.on("onset", (event) => {
+      // The render worker owns the mode state; it applies the events itself.
+      if (this._renderWorker) this._renderOnsets.push(event);
+      else this._applyOnset(event);
+    });
   }
 
-  toggleDebugMenu() {
-    this.setDebugMenuVisible(!this._debugMenuVisible);
+  _applyOnset({ band, strength }) {
+    let target = null;
+    if (this.visualType === "particleFlow") target = this._particleFlowOnsets;
+    else if (this.visualType === "frequency3x") target = this._rainOnsets;
+    else if (this.visualType === "painter") target = this._painterOnsets;
+    if (target) target[band] = Math.max(target[band], strength);
   }
 
-  onDebugMenuKeydown(e) {
-    if (this._debugMenuVisible && e.key === "Escape") {
-      this.setDebugMenuVisible(false);
-      e.preventDefault();
-      e.stopPropagation();
+  // Which onset band (see ONSET_BANDS) a frequency falls in; null outside them.
+  _onsetBandForHz(hz) {
+    const norm = this.energyNorm;
+    if (hz < norm.lowHzMin || hz >= norm.highHzMax) return null;
+    if (hz < norm.midHzMin) return "kick";
+    return hz < norm.highHzMin ? "snare" : "hat";
+  }
+
+  setupAnalyserControls() {
+    const bind = (id, event, key) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      el.addEventListener(event, () => {
+        this.setAnalyserSettings({ [key]: el.value });
+        this.scheduleSaveUserPreferences();
+      });
+    };
+    bind("fftSize", "change", "fftSize");
+    bind("smoothing", "input", "smoothingTimeConstant");
+    bind("minDecibels", "input", "minDecibels");
+    bind("maxDecibels", "input", "maxDecibels");
+    this.updateAnalyserControls();
+
+    const bandScale = document.getElementById("bandScale");
+    if (bandScale) {
+      bandScale.addEventListener("change", () => {
+        this.setBandMapping({ scale: bandScale.value });
+        this.saveUserPreferences();
+      });
+    }
+    const bandCount = document.getElementById("bandCount");
+    if (bandCount) {
+      bandCount.addEventListener("input", () => {
+        this.setBandMapping({ bandCount: bandCount.value });
+        this.scheduleSaveUserPreferences();
+      });
+    }
+    this.setBandMapping();
+  }
+
+  // Input device picker: enumerateDevices() list, live switching, devicechange.
+  setupInputDeviceControls() {
+    const select = document.getElementById("inputDevice");
+    const media = navigator.mediaDevices;
+    if (!select) return;
+    if (!media || !media.enumerateDevices) {
+      select.disabled = true;
       return;
     }
-    if (e.key !== "d" && e.key !== "D") return;
-    if (e.ctrlKey || e.metaKey || e.altKey) return;
-    if (this._isTextEntryTarget(e.target)) return;
-    e.preventDefault();
-    this.toggleDebugMenu();
+    select.addEventListener("change", () =>
+      this.selectInputDevice(select.value),
+    );
+    if (media.addEventListener) {
+      media.addEventListener("devicechange", () =>
+        this.onInputDevicesChanged(),
+      );
+    }
+    this.populateInputDevices();
   }
 
-  updateDebugMenuReadout() {
-    if (!this._debugMenuVisible) return;
-    const readout = document.getElementById("debugMenuReadout");
-    if (!readout) return;
+  /** Rebuilds the picker; resolves to the available audio inputs. */
+  async populateInputDevices() {
+    const select = document.getElementById("inputDevice");
+    if (!select || !navigator.mediaDevices?.enumerateDevices) return [];
 
-    const avgMs = this._perf?.avgFrameMs;
-    const fpsFromAvg = avgMs && avgMs > 0 ? (1000 / avgMs).toFixed(1) : null;
-    const sr = this.audioContext?.sampleRate;
-    const fft = this.analyser?.fftSize;
-    const bpm = this.rhythm?.bpmEstimate;
-    const bpmLine = bpm && bpm >= 40 && bpm <= 220 ? `${Math.round(bpm)}` : "—";
+    let inputs;
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      // "default" duplicates our own "Default input" entry; empty ids mean no permission yet.
+      inputs = devices.filter(
+        (d) =>
+          d.kind === "audioinput" && d.deviceId && d.deviceId !== "default",
+      );
+    } catch (error) {
+      console.warn("Failed to enumerate input devices:", error);
+      return [];
+    }
 
-    const lines = [
-      `visual: ${this.visualType}`,
-      `canvas: ${this.canvas?.width ?? 0}×${this.canvas?.height ?? 0}`,
-      `audio: ${this.isPlaying ? "active" : "idle"}${
-        sr ? `  ${sr} Hz` : ""
-      }${fft ? `  fft ${fft}` : ""}`,
-      `target FPS: ${this.targetFPS}  frame: ${
-        avgMs != null ? avgMs.toFixed(2) + " ms" : "—"
-      }${fpsFromAvg ? `  (~${fpsFromAvg} fps)` : ""}`,
-      `style profile: ${this.style?.profile ?? "—"}`,
-      `particles: ${this.particleFlowCount ?? "—"} (particle flow pool)`,
-      `beat BPM est.: ${bpmLine}`,
-      `fullscreen: ${this.isFullscreen ? "yes" : "no"}`,
-    ];
-    readout.textContent = lines.join("\n");
-  }
+    const defaultOption = document.createElement("option");
+    defaultOption.value = "";
+    defaultOption.textContent = "Default input";
+    const options = [defaultOption];
+    inputs.forEach((device, i) => {
+      const option = document.createElement("option");
+      option.value = device.deviceId;
+      option.textContent = device.label || `Input ${i + 1}`;
+      options.push(option);
+    });
+    select.replaceChildren(...options);
 
-  // Debounced wrapper for preference persistence.
-  // Rationale: localStorage writes can cause jank on some devices when called per slider tick.
-  scheduleSaveUserPreferences(delayMs = 160) {
-    if (this._prefsSaveTimer) clearTimeout(this._prefsSaveTimer);
-    this._prefsSaveTimer = setTimeout(() => {
-      this._prefsSaveTimer = null;
-      this.saveUserPreferences();
-    }, delayMs);
+    const mic = this._activeMicrophone();
+    const wanted = mic ? mic.deviceId : this.inputDeviceId;
+    select.value = inputs.some((d) => d.deviceId === wanted) ? wanted : "";
+    return inputs;
   }
 
-  setupCanvas() {
-    // Set canvas size based on container and device
-    const container = this.canvas.parentElement;
-    if (!container) return;
+  _activeMicrophone() {
+    const source = this.activeSource;
+    return source && source.id === "microphone" ? source : null;
+  }
 
-    const rect = container.getBoundingClientRect();
-    const isMobile = window.innerWidth <= 768;
+  async selectInputDevice(deviceId) {
+    this.inputDeviceId = deviceId;
+    this.saveUserPreferences();
+
+    const mic = this._activeMicrophone();
+    if (!mic || mic.deviceId === deviceId) return;
+    const select = document.getElementById("inputDevice");
+    const label =
+      select && select.selectedIndex >= 0
+        ? select.options[select.selectedIndex].textContent
+        : "default input";
+    try {
+      await mic.switchDevice(deviceId);
+      this.updateStatus(`Microphone switched to ${label}`, "active");
+    } catch (error) {
+      console.error("Error switching input device:", error);
+      if (select && this._activeMicrophone() === mic) {
+        select.value = mic.deviceId;
+      }
+      this.updateStatus(
+        "Error: Could not switch to the selected input device.",
+        "error",
+      );
+    }
+  }
 
-    if (isMobile) {
-      // Mobile-first sizing
-      this.canvas.width = rect.width - 20; // Full width minus padding
-      this.canvas.height = Math.min(window.innerHeight * 0.5, 400); // 50% of viewport height, max 400px
+  // USB interfaces plugged/unplugged: refresh the list and keep the mic alive.
+  async onInputDevicesChanged() {
+    const inputs = await this.populateInputDevices();
+    const mic = this._activeMicrophone();
+    if (!mic) return;
+    const available = (id) => inputs.some((d) => d.deviceId === id);
+
+    let target = null;
+    let message = "";
+    if (mic.deviceId && !available(mic.deviceId)) {
+      target = "";
+      message = "Input device disconnected - switched to default input";
+    } else if (
+      !mic.deviceId &&
+      this.inputDeviceId &&
+      available(this.inputDeviceId)
+    ) {
+      // The preferred device came back after an unplug.
+      target = this.inputDeviceId;
+      message = "Preferred input device reconnected";
+    }
+    if (target === null) return;
 
-      // Ensure canvas is properly initialized for mobile
-      if (this.canvas.width <= 0 || this.canvas.height <= 0) {
-        this.canvas.width = 320; // Fallback width for mobile
-        this.canvas.height = 240; // Fallback height for mobile
-      }
-    } else {
-      // Desktop sizing
-      this.canvas.width = Math.min(1200, rect.width - 40);
-      this.canvas.height = Math.min(800, rect.width * 0.6);
+    try {
+      await mic.switchDevice(target);
+      this.populateInputDevices();
+      this.updateStatus(message, "active");
+    } catch (error) {
+      console.error("Error recovering input device:", error);
+      this.updateStatus(
+        "Error: Input device lost. Please restart the microphone.",
+        "error",
+      );
     }
+  }
 
-    // Store last canvas size for comparison
-    this.lastCanvasSize = {
-      width: this.canvas.width,
-      height: this.canvas.height,
-    };
+  // File picker, drag-drop onto the canvas, and the play/pause/seek transport.
+  setupFileSourceControls() {
+    const fileBtn = document.getElementById("fileBtn");
+    const fileInput = document.getElementById("fileInput");
+    if (fileBtn && fileInput) {
+      fileBtn.addEventListener("click", () => fileInput.click());
+      fileInput.addEventListener("change", () => {
+        const file = fileInput.files && fileInput.files[0];
+        // Reset so picking the same file again still fires "change".
+        fileInput.value = "";
+        if (file) this.startFile(file);
+      });
+    }
 
-    // Ensure context is available
-    if (!this.ctx) {
-      this.ctx = this.canvas.getContext("2d");
+    const dropTarget = this.canvas?.parentElement;
+    if (dropTarget) {
+      dropTarget.addEventListener("dragover", (e) => {
+        const types = e.dataTransfer ? Array.from(e.dataTransfer.types) : [];
+        if (!types.includes("Files")) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "copy";
+        dropTarget.classList.add("drag-over");
+      });
+      dropTarget.addEventListener("dragleave", () =>
+        dropTarget.classList.remove("drag-over"),
+      );
+      dropTarget.addEventListener("drop", (e) => {
+        dropTarget.classList.remove("drag-over");
+        const files = e.dataTransfer?.files;
+        if (!files?.length) return;
+        e.preventDefault();
+        // Several files go to the playlist, which starts with the first of them.
+        if (files.length === 1) {
+          this.startFile(files[0]);
+          return;
+        }
+        const first = this.playlist.tracks.length;
+        if (this.addToPlaylist(files)) {
+          this.startPlaylist(this.playlist.tracks[first]);
+        }
+      });
     }
 
-    if (this.particleFlowParticles && this.particleFlowParticles.length > 0) {
-      this.initParticleFlowPool();
+    const playPauseBtn = document.getElementById("filePlayPauseBtn");
+    if (playPauseBtn) {
+      playPauseBtn.addEventListener("click", () => this.toggleFilePlayback());
+    }
+    const seek = document.getElementById("fileSeek");
+    if (seek) {
+      // While dragging, only preview the time; commit the seek on release.
+      seek.addEventListener("input", () => {
+        this._fileSeeking = true;
+        const audio = this._activeFileAudio();
+        const time = document.getElementById("fileTime");
+        if (audio && time && Number.isFinite(audio.duration)) {
+          const t = (parseInt(seek.value, 10) / 1000) * audio.duration;
+          time.textContent = `${formatTime(t)} / ${formatTime(audio.duration)}`;
+        }
+      });
+      seek.addEventListener("change", () => {
+        this._fileSeeking = false;
+        this.seekFile(parseInt(seek.value, 10) / 1000);
+      });
     }
   }
 
-  handleResize() {
-    this.setupCanvas();
+  /** Media element of the active file source or playlist track (null for other sources). */
+  _activeFileAudio() {
+    return this.activeSource instanceof FileSource ||
+      this.activeSource instanceof PlaylistSource
+      ? this.activeSource.audio
+      : null;
   }
 
-  async startMicrophone() {
-    try {
-      this.updateStatus("Requesting microphone access...", "active");
+  async startFile(file) {
+    if (!FileSource.isSupported(file)) {
+      this.updateStatus(
+        "Unsupported file type. Choose an MP3, WAV, OGG or FLAC file.",
+        "error",
+      );
+      return;
+    }
 
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      this.audioContext = new (
-        window.AudioContext || window.webkitAudioContext
-      )();
-      this.analyser = this.audioContext.createAnalyser();
-      this.gainNode = this.audioContext.createGain();
-      this.microphone = this.audioContext.createMediaStreamSource(stream);
+    const source = await this.startSource("file", { file });
+    if (!source) return;
 
-      this.analyser.fftSize = 256;
-      this.analyser.smoothingTimeConstant = 0.9; // Increased from 0.8 for smoother response
-      this.syncAnalyserBuffers();
+    this._watchFileAudio(source.audio);
+    this._showFileTransport(file.name, false);
+  }
 
-      this.microphone.connect(this.analyser);
-      // Remove audio playback - only connect for visualization
-      // this.analyser.connect(this.gainNode);
-      // this.gainNode.connect(this.audioContext.destination);
+  // Keeps the file transport in step with a media element.
+  _watchFileAudio(audio) {
+    const update = () => this.updateFileTransport();
+    audio.addEventListener("timeupdate", update);
+    audio.addEventListener("loadedmetadata", update);
+    audio.addEventListener("play", update);
+    audio.addEventListener("pause", update);
+    audio.addEventListener("ended", update);
+  }
 
-      this.isPlaying = true;
-      this.updateStatus(
-        "Microphone active - Speak or play music! (Audio not played back)",
-        "active",
+  // Previous/next only apply to the playlist.
+  _showFileTransport(name, playlist) {
+    const transport = document.getElementById("fileTransport");
+    const fileName = document.getElementById("fileName");
+    if (transport) transport.hidden = false;
+    if (fileName) {
+      fileName.textContent = name;
+      fileName.title = name;
+    }
+    for (const id of ["filePrevBtn", "fileNextBtn"]) {
+      const button = document.getElementById(id);
+      if (button) button.hidden = !playlist;
+    }
+    this.updateFileTransport();
+  }
+
+  toggleFilePlayback() {
+    if (this.activeSource instanceof PlaylistSource) {
+      this.activeSource.togglePlayback();
+      return;
+    }
+    const audio = this._activeFileAudio();
+    if (!audio) return;
+    if (audio.paused) {
+      if (audio.ended) audio.currentTime = 0;
+      audio.play().catch((error) => {
+        console.warn("Failed to resume audio file:", error);
+      });
+    } else {
+      audio.pause();
+    }
+  }
+
+  /** @param {number} fraction 0..1 position within the track */
+  seekFile(fraction) {
+    const audio = this._activeFileAudio();
+    if (!audio || !Number.isFinite(audio.duration)) return;
+    audio.currentTime = clamp01(fraction) * audio.duration;
+    this.updateFileTransport();
+  }
+
+  updateFileTransport() {
+    const audio = this._activeFileAudio();
+    if (!audio) return;
+    const playPauseBtn = document.getElementById("filePlayPauseBtn");
+    if (playPauseBtn) {
+      playPauseBtn.textContent = audio.paused ? "▶" : "⏸";
+      playPauseBtn.setAttribute(
+        "aria-label",
+        audio.paused ? "Play audio file" : "Pause audio file",
       );
-      this.updateButtonStates(); // Update button states
-      this.startVisualization();
-    } catch (error) {
-      console.error("Error accessing microphone:", error);
-      this.updateStatus(
-        "Error: Could not access microphone. Please check permissions.",
-        "error",
+    }
+    if (this._fileSeeking) return;
+    const duration = Number.isFinite(audio.duration) ? audio.duration : 0;
+    const seek = document.getElementById("fileSeek");
+    const time = document.getElementById("fileTime");
+    if (seek) {
+      seek.value = String(
+        duration > 0 ? Math.round((audio.currentTime / duration) * 1000) : 0,
       );
     }
+    if (time) {
+      time.textContent = `${formatTime(audio.currentTime)} / ${formatTime(duration)}`;
+    }
   }
 
-  async startScreenShare() {
-    try {
-      this.updateStatus("Requesting screen share access...", "active");
-
-      // Better mobile detection - check for actual mobile capabilities
-      const isMobile =
-        /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(
-          navigator.userAgent,
-        ) ||
-        (window.innerWidth <= 768 && window.innerHeight > window.innerWidth) ||
-        ("ontouchstart" in window && window.innerWidth <= 768);
-
-      // Mobile detection and enhanced audio capture
-      if (isMobile) {
-        this.updateStatus(
-          "Mobile detected - Attempting system audio capture...",
-          "active",
-        );
+  setupPlaylistControls() {
+    const bindPicker = (buttonId, inputId) => {
+      const input = document.getElementById(inputId);
+      document
+        .getElementById(buttonId)
+        ?.addEventListener("click", () => input?.click());
+      input?.addEventListener("change", () => {
+        const files = [...(input.files || [])];
+        input.value = "";
+        this.addToPlaylist(files);
+      });
+    };
+    bindPicker("playlistAddBtn", "playlistFileInput");
+    bindPicker("playlistFolderBtn", "playlistFolderInput");
+    document
+      .getElementById("playlistClearBtn")
+      ?.addEventListener("click", () => this.playlist.clear());
+
+    const list = document.getElementById("playlistTracks");
+    list?.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-action]");
+      const item = e.target.closest("[data-track-id]");
+      if (!button || !item) return;
+      const track = this.playlist.get(Number(item.dataset.trackId));
+      if (track) this.onPlaylistAction(button.dataset.action, track);
+    });
 
-        // Show user guidance for better system audio capture
-        setTimeout(() => {
-          this.updateStatus(
-            "💡 Tip: For best system audio capture, play music through your phone's speakers or headphones",
-            "info",
-          );
-        }, 2000);
+    const shuffle = document.getElementById("playlistShuffleToggle");
+    shuffle?.addEventListener("change", () => {
+      this.setPlaylistSettings({ shuffle: shuffle.checked });
+      this.saveUserPreferences();
+    });
+    const bindSelect = (id, key, event = "change") => {
+      const el = document.getElementById(id);
+      el?.addEventListener(event, () => {
+        this.setPlaylistSettings({ [key]: el.value });
+        this.scheduleSaveUserPreferences();
+      });
+    };
+    bindSelect("playlistRepeat", "repeat");
+    bindSelect("playlistTransition", "transition");
+    bindSelect("playlistCrossfade", "crossfadeSec", "input");
 
-        // Try multiple methods to capture system audio
-        let stream = null;
-        let captureMethod = "unknown";
+    document
+      .getElementById("filePrevBtn")
+      ?.addEventListener("click", () => this.playlistPrevious());
+    document
+      .getElementById("fileNextBtn")
+      ?.addEventListener("click", () => this.playlistNext());
 
-        // Method 1: Try to capture from audio output devices (speakers, headphones)
-        try {
-          this.updateStatus(
-            "Trying to capture from audio output devices...",
-            "active",
-          );
-          stream = await this.tryAudioOutputCapture();
-          if (stream) {
-            captureMethod = "audiooutput";
-            this.updateStatus(
-              "Audio output device capture successful!",
-              "active",
-            );
-          }
-        } catch (error) {
-          console.warn("Audio output device capture failed:", error);
-        }
+    this.playlist.on("change", () => {
+      this.renderPlaylist();
+      if (this.activeSource instanceof PlaylistSource) {
+        this.activeSource.refreshNext();
+      }
+    });
+    this.setPlaylistSettings(this.playlistSettings);
+    this.renderPlaylist();
+  }
 
-        // Method 2: Try advanced system audio constraints
-        if (!stream) {
-          try {
-            this.updateStatus(
-              "Trying advanced system audio capture...",
-              "active",
-            );
-            stream = await this.tryCaptureSystemAudio();
-            if (stream) {
-              captureMethod = "advanced";
-              this.updateStatus(
-                "Advanced system audio capture successful!",
-                "active",
-              );
-            }
-          } catch (error) {
-            console.warn("Advanced system audio capture failed:", error);
-          }
-        }
+  setPlaylistSettings({ transition, crossfadeSec, shuffle, repeat } = {}) {
+    const settings = this.playlistSettings;
+    if (PLAYLIST_TRANSITIONS.includes(transition)) {
+      settings.transition = transition;
+    }
+    const fade = parseFloat(crossfadeSec);
+    if (Number.isFinite(fade)) {
+      settings.crossfadeSec = clamp(
+        fade,
+        PLAYLIST_CROSSFADE_LIMITS.min,
+        PLAYLIST_CROSSFADE_LIMITS.max,
+      );
+    }
+    if (typeof shuffle === "boolean") settings.shuffle = shuffle;
+    if (PLAYLIST_REPEAT_MODES.includes(repeat)) settings.repeat = repeat;
+
+    this.playlist.shuffle = settings.shuffle;
+    this.playlist.repeat = settings.repeat;
+    if (this.activeSource instanceof PlaylistSource) {
+      this.activeSource.setTransition(settings);
+      this.activeSource.refreshNext();
+    }
 
-        // Method 3: Try audio context monitoring
-        if (!stream) {
-          try {
-            this.updateStatus(
-              "Trying audio context system audio capture...",
-              "active",
-            );
-            stream = await this.tryAudioContextCapture();
-            if (stream) {
-              captureMethod = "audiocontext";
-              this.updateStatus(
-                "Audio context system audio capture successful!",
-                "active",
-              );
-            }
-          } catch (error) {
-            console.warn("Audio context system audio capture failed:", error);
-          }
-        }
+    const transitionSelect = document.getElementById("playlistTransition");
+    if (transitionSelect) transitionSelect.value = settings.transition;
+    const fadeSlider = document.getElementById("playlistCrossfade");
+    if (fadeSlider) {
+      fadeSlider.value = String(settings.crossfadeSec);
+      fadeSlider.disabled = settings.transition !== "crossfade";
+    }
+    const fadeValue = document.getElementById("playlistCrossfadeValue");
+    if (fadeValue) fadeValue.textContent = `${settings.crossfadeSec} s`;
+    const shuffleToggle = document.getElementById("playlistShuffleToggle");
+    if (shuffleToggle) shuffleToggle.checked = settings.shuffle;
+    const repeatSelect = document.getElementById("playlistRepeat");
+    if (repeatSelect) repeatSelect.value = settings.repeat;
+  }
 
-        // Method 4: Try AudioWorklet system audio capture
-        if (!stream) {
-          try {
-            this.updateStatus(
-              "Trying AudioWorklet system audio capture...",
-              "active",
-            );
-            stream = await this.tryAudioWorkletCapture();
-            if (stream) {
-              captureMethod = "audioworklet";
-              this.updateStatus(
-                "AudioWorklet system audio capture successful!",
-                "active",
-              );
-            }
-          } catch (error) {
-            console.warn("AudioWorklet system audio capture failed:", error);
-          }
-        }
+  /** Queues files (folder picks arrive in path order); looks pinned earlier come back. */
+  addToPlaylist(files) {
+    const sorted = [...files].sort((a, b) =>
+      (a.webkitRelativePath || a.name).localeCompare(
+        b.webkitRelativePath || b.name,
+        undefined,
+        { numeric: true },
+      ),
+    );
+    const before = this.playlist.tracks.length;
+    const added = this.playlist.add(sorted);
+    if (!added) {
+      this.updateStatus("No playable audio files in the selection", "error");
+      return 0;
+    }
+    const looks = this._readTrackLooks();
+    for (const track of this.playlist.tracks.slice(before)) {
+      track.look = looks[trackLookKey(track.file)] || null;
+    }
+    this.renderPlaylist();
+    this.updateStatus(
+      `Added ${added} track${added === 1 ? "" : "s"} to the playlist`,
+      "info",
+    );
+    return added;
+  }
 
-        // Method 5: Try alternative system audio methods if previous methods failed
-        if (!stream) {
-          try {
-            this.updateStatus(
-              "Trying alternative system audio capture...",
-              "active",
-            );
-            stream = await this.tryAlternativeSystemAudio();
-            if (stream) {
-              captureMethod = "alternative";
-              this.updateStatus(
-                "Alternative system audio capture successful!",
-                "active",
-              );
-            }
-          } catch (error) {
-            console.warn("Alternative system audio capture failed:", error);
-          }
+  onPlaylistAction(action, track) {
+    switch (action) {
+      case "play":
+        this.startPlaylist(track);
+        break;
+      case "up":
+        this.playlist.move(track.id, -1);
+        break;
+      case "down":
+        this.playlist.move(track.id, 1);
+        break;
+      case "remove":
+        if (this.activeSource?.track === track) {
+          this.updateStatus("Skip the track before removing it", "info");
+          return;
         }
+        this.playlist.remove(track.id);
+        break;
+      case "look":
+        this.toggleTrackLook(track);
+        break;
+    }
+  }
 
-        // Method 6: Try MediaRecorder approach if previous methods failed
-        if (!stream) {
-          try {
-            this.updateStatus(
-              "Trying MediaRecorder system audio capture...",
-              "active",
-            );
-            stream = await this.tryMediaRecorderSystemAudio();
-            if (stream) {
-              captureMethod = "mediarecorder";
-              this.updateStatus(
-                "MediaRecorder system audio capture successful!",
-                "active",
-              );
-            }
-          } catch (error) {
-            console.warn("MediaRecorder system audio capture failed:", error);
-          }
-        }
+  renderPlaylist() {
+    const list = document.getElementById("playlistTracks");
+    if (!list) return;
+    const current =
+      this.activeSource instanceof PlaylistSource
+        ? this.activeSource.track
+        : null;
+    const button = (action, text, label) => {
+      const el = document.createElement("button");
+      el.type = "button";
+      el.className = `playlist-${action}`;
+      el.dataset.action = action;
+      el.textContent = text;
+      el.title = label;
+      el.setAttribute("aria-label", label);
+      return el;
+    };
+    list.replaceChildren(
+      ...this.playlist.tracks.map((track) => {
+        const item = document.createElement("li");
+        item.className = "playlist-track";
+        item.dataset.trackId = String(track.id);
+        item.classList.toggle("current", track === current);
+        const play = button("play", track.name, `Play "${track.name}"`);
+        const look = button(
+          "look",
+          "◆",
+          track.look
+            ? "Forget the look remembered for this track"
+            : "Remember the current look for this track",
+        );
+        look.classList.toggle("pinned", !!track.look);
+        item.append(
+          play,
+          look,
+          button("up", "▲", "Move up"),
+          button("down", "▼", "Move down"),
+          button("remove", "✕", "Remove from the playlist"),
+        );
+        return item;
+      }),
+    );
+    const empty = document.getElementById("playlistEmpty");
+    if (empty) empty.hidden = this.playlist.tracks.length > 0;
+  }
+
+  /** Plays `track` (default: the first in the queue), starting the playlist source if needed. */
+  async startPlaylist(track = null) {
+    if (this.activeSource instanceof PlaylistSource) {
+      const next = track || this.playlist.nextTrack(null, true);
+      if (next) {
+        await this.activeSource.playTrack(next).catch((error) => {
+          console.warn("Failed to play the track:", error);
+        });
+      }
+      return;
+    }
+    if (!this.playlist.tracks.length) {
+      this.updateStatus("Add files to the playlist first", "info");
+      return;
+    }
+    const source = await this.startSource("playlist", {
+      playlist: this.playlist,
+      track,
+      ...this.playlistSettings,
+    });
+    if (!source) return;
+    for (const deck of source.decks) this._watchFileAudio(deck.audio);
+    source.on("track", ({ track: started }) => this._onPlaylistTrack(started));
+    this._onPlaylistTrack(source.track);
+  }
+
+  // A new track is playing: show it and bring back its remembered look.
+  _onPlaylistTrack(track) {
+    if (!track) return;
+    this._showFileTransport(track.name, true);
+    this.renderPlaylist();
+    if (track.look) this._applyPreset(track.look, { track: true });
+  }
+
+  playlistNext() {
+    if (this.activeSource instanceof PlaylistSource) {
+      this.activeSource.next().catch((error) => {
+        console.warn("Failed to play the next track:", error);
+      });
+    }
+  }
+
+  playlistPrevious() {
+    if (this.activeSource instanceof PlaylistSource) {
+      this.activeSource.previous().catch((error) => {
+        console.warn("Failed to play the previous track:", error);
+      });
+    }
+  }
+
+  /**
+   * Pins the current look (mode, sensitivity, hue, that mode's parameters) to
+   * a track, or forgets it. Pinned looks are kept per file in localStorage, so
+   * adding the same file again brings its look back.
+   */
+  toggleTrackLook(track) {
+    const looks = this._readTrackLooks();
+    const key = trackLookKey(track.file);
+    delete looks[key];
+    if (track.look) {
+      track.look = null;
+      this.updateStatus(`Forgot the look for "${track.name}"`, "info");
+    } else {
+      track.look = {
+        visualType: this.visualType,
+        sensitivity: this.sensitivity,
+        hueOffset: this.hueOffset,
+        params: { [this.visualType]: this.getModeParams()[this.visualType] },
+      };
+      looks[key] = track.look;
+      this.updateStatus(`Remembered this look for "${track.name}"`, "active");
+    }
+    // Object keys keep insertion order: drop the oldest pins past the limit.
+    const keys = Object.keys(looks);
+    for (const old of keys.slice(
+      0,
+      Math.max(0, keys.length - TRACK_LOOKS_MAX),
+    )) {
+      delete looks[old];
+    }
+    try {
+      localStorage.setItem("audVis_trackLooks", JSON.stringify(looks));
+    } catch (error) {
+      console.warn("Failed to save track looks:", error);
+    }
+    this.renderPlaylist();
+  }
 
-        // Method 7: Try getDisplayMedia with audio if previous methods failed
-        if (!stream) {
-          try {
-            this.updateStatus(
-              "Trying display media system audio capture...",
-              "active",
-            );
-            stream = await this.tryDisplayMediaSystemAudio();
-            if (stream) {
-              captureMethod = "display";
-              this.updateStatus(
-                "Display media system audio capture successful!",
-                "active",
-              );
-            }
-          } catch (error) {
-            console.warn("Display media system audio capture failed:", error);
-          }
-        }
+  _readTrackLooks() {
+    try {
+      const looks = JSON.parse(localStorage.getItem("audVis_trackLooks"));
+      return looks && typeof looks === "object" ? looks : {};
+    } catch {
+      return {};
+    }
+  }
 
-        // Method 8: Enhanced microphone as fallback (only if all system audio methods fail)
-        if (!stream) {
-          try {
-            this.updateStatus(
-              "All system audio methods failed - Trying enhanced microphone...",
-              "active",
-            );
-            stream = await navigator.mediaDevices.getUserMedia({
-              audio: {
-                echoCancellation: false,
-                noiseSuppression: false,
-                autoGainControl: false,
-                sampleRate: 48000,
-                channelCount: 2,
-                // Try to get the best quality microphone input
-                googEchoCancellation: false,
-                googNoiseSuppression: false,
-                googAutoGainControl: false,
-              },
-            });
-            captureMethod = "enhanced";
-            this.updateStatus(
-              "Enhanced microphone active - Place device near speakers for best results!",
-              "active",
-            );
-          } catch (error) {
-            console.warn("Enhanced microphone failed:", error);
-          }
-        }
+  setupStreamUrlControls() {
+    const input = document.getElementById("streamUrl");
+    const loadBtn = document.getElementById("streamUrlBtn");
+    if (!input || !loadBtn) return;
+    if (!this.streaming) {
+      input.disabled = true;
+      loadBtn.disabled = true;
+      return;
+    }
+    loadBtn.addEventListener("click", () => this.startStreamUrl(input.value));
+    input.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter") return;
+      e.preventDefault();
+      this.startStreamUrl(input.value);
+    });
+    input.addEventListener("input", () =>
+      input.removeAttribute("aria-invalid"),
+    );
+  }
 
-        // Method 9: Basic microphone as final fallback
-        if (!stream) {
-          try {
-            this.updateStatus("Trying basic microphone capture...", "active");
-            stream = await navigator.mediaDevices.getUserMedia({
-              audio: true,
-            });
-            captureMethod = "basic";
-            this.updateStatus(
-              "Basic microphone active - Place device near speakers for best results!",
-              "active",
-            );
-          } catch (error) {
-            console.error("All mobile audio capture methods failed:", error);
-            this.updateStatus(
-              "Mobile audio capture failed. Please check microphone permissions.",
-              "error",
-            );
-            return;
-          }
-        }
+  /**
+   * Validate a streaming URL with the platform-specific validator.
+   * @returns {{ valid: boolean, error?: string, platform?: string, mediaId?: string }}
+   */
+  validateStreamUrl(url) {
+    const platformInfo = this.streaming.detectPlatform(url);
+    if (!platformInfo) {
+      return {
+        valid: false,
+        error: "Unsupported URL. Paste a YouTube, Spotify or Apple Music link.",
+      };
+    }
+    let result;
+    switch (platformInfo.platform) {
+      case "youtube":
+        result = this.streaming.validateYouTubeUrl(url);
+        return result.valid
+          ? { valid: true, platform: "youtube", mediaId: result.videoId }
+          : result;
+      case "spotify":
+        result = this.streaming.validateSpotifyUrl(url);
+        return result.valid
+          ? { valid: true, platform: "spotify", mediaId: result.mediaId }
+          : result;
+      case "appleMusic":
+        result = this.streaming.validateAppleMusicUrl(url);
+        return result.valid
+          ? { valid: true, platform: "appleMusic", mediaId: result.albumId }
+          : result;
+      default:
+        return { valid: false, error: "Unsupported platform" };
+    }
+  }
 
-        // Log the capture method used
-        console.log(
-          `Mobile audio capture completed using method: ${captureMethod}`,
-        );
+  async startStreamUrl(rawUrl) {
+    if (!this.streaming) return;
+    const url = (rawUrl || "").trim();
+    const input = document.getElementById("streamUrl");
 
-        // Set up audio context and analyser with the captured stream
-        if (stream) {
-          this.audioContext = new (
-            window.AudioContext || window.webkitAudioContext
-          )();
-          this.analyser = this.audioContext.createAnalyser();
-          this.analyser.fftSize = 256;
-          this.analyser.smoothingTimeConstant = 0.8;
-          this.analyser.minDecibels = -90;
-          this.analyser.maxDecibels = -10;
-          this.syncAnalyserBuffers();
-
-          // Create gain node for volume control
-          this.gainNode = this.audioContext.createGain();
-          this.gainNode.gain.value = 0; // Mute playback
-
-          // Connect the audio stream
-          this.microphone = this.audioContext.createMediaStreamSource(stream);
-          this.microphone.connect(this.analyser);
-          this.analyser.connect(this.gainNode);
-          this.gainNode.connect(this.audioContext.destination);
-
-          this.isPlaying = true;
-
-          // Update button text based on what was captured
-          const screenShareBtn = document.getElementById("screenShareBtn");
-          if (screenShareBtn) {
-            screenShareBtn.classList.add("mobile-audio-mode");
-            const audioSource = this.detectAudioSource(stream);
-
-            switch (audioSource) {
-              case "audiooutput":
-                screenShareBtn.textContent = "📱 System Audio Active";
-                this.updateStatus(
-                  "System audio capture successful! Music and sounds from your phone will now be visualized.",
-                  "active",
-                );
-                break;
-              case "system":
-                screenShareBtn.textContent = "📱 System Audio Active";
-                this.updateStatus(
-                  "System audio capture successful! Place device near speakers for best results.",
-                  "active",
-                );
-                break;
-              case "audiocontext":
-                screenShareBtn.textContent = "📱 System Audio Active";
-                this.updateStatus(
-                  "Audio context system audio capture successful! Music and sounds from your phone will now be visualized.",
-                  "active",
-                );
-                break;
-              case "audioworklet":
-                screenShareBtn.textContent = "📱 System Audio Active";
-                this.updateStatus(
-                  "AudioWorklet system audio capture successful! Music and sounds from your phone will now be visualized.",
-                  "active",
-                );
-                break;
-              case "alternative":
-                screenShareBtn.textContent = "📱 Alt System Audio Active";
-                this.updateStatus(
-                  "Alternative system audio capture successful! Place device near speakers for best results.",
-                  "active",
-                );
-                break;
-              case "display":
-                screenShareBtn.textContent = "📱 Display Audio Active";
-                this.updateStatus(
-                  "Display audio capture successful! Place device near speakers for best results.",
-                  "active",
-                );
-                break;
-              case "enhanced":
-                screenShareBtn.textContent = "📱 Enhanced Audio Active";
-                this.updateStatus(
-                  "Enhanced audio capture active! Place device near speakers for best results.",
-                  "active",
-                );
-                break;
-              default:
-                screenShareBtn.textContent = "📱 Basic Audio Active";
-                this.updateStatus(
-                  "Basic audio capture active! Place device near speakers for best results.",
-                  "active",
-                );
-                break;
-            }
-          }
+    const check = this.validateStreamUrl(url);
+    if (!check.valid) {
+      if (input) input.setAttribute("aria-invalid", "true");
+      this.updateStatus(`Error: ${check.error}`, "error");
+      return;
+    }
+    if (input) input.removeAttribute("aria-invalid");
 
-          this.updateButtonStates(); // Update button states
-          this.startVisualization();
+    // Loading a URL replaces whatever source is currently running.
+    if (this.isPlaying || this.activeSource) this.stopVisualizer();
 
-          // Handle stream ending
-          stream.getAudioTracks()[0].onended = () => {
-            this.stopScreenShare();
-            this.updateStatus("Mobile audio capture ended", "info");
-          };
-        }
+    // A newer request (or Pause) supersedes this one while metadata is pending.
+    const requestId = ++this._sourceRequestId;
 
-        return;
-      }
+    let info;
+    try {
+      this.updateStatus("Fetching stream metadata...", "active");
+      info = await this.streaming.getMetadata(url);
+    } catch (error) {
+      console.error("Error fetching stream metadata:", error);
+      this.updateStatus("Error starting stream: " + error.message, "error");
+      return;
+    }
+    if (requestId !== this._sourceRequestId) return;
 
-      // Desktop: Request screen share with audio
-      const stream = await navigator.mediaDevices.getDisplayMedia({
-        video: true,
-        audio: true,
-      });
+    const source = await this.startSource("demoStream", {
+      streaming: this.streaming,
+      platform: check.platform,
+      mediaId: check.mediaId,
+      title: info.title,
+    });
+    if (!source) return;
 
-      this.audioContext = new (
-        window.AudioContext || window.webkitAudioContext
-      )();
-      this.analyser = this.audioContext.createAnalyser();
-      this.gainNode = this.audioContext.createGain();
+    const meta = document.getElementById("streamMeta");
+    if (meta) {
+      meta.textContent = `${info.title} — ${info.artist} (${info.duration})`;
+      meta.hidden = false;
+    }
+  }
 
-      // Create media stream source from screen share
-      this.screenShare = this.audioContext.createMediaStreamSource(stream);
+  async startScreenShare() {
+    this.updateStatus("Requesting screen share access...", "active");
 
-      this.analyser.fftSize = 256;
-      this.analyser.smoothingTimeConstant = 0.9; // Increased from 0.8 for smoother response
+    // Better mobile detection - check for actual mobile capabilities
+    const isMobile =
+      /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(
+        navigator.userAgent,
+      ) ||
+      (window.innerWidth <= 768 && window.innerHeight > window.innerWidth) ||
+      ("ontouchstart" in window && window.innerWidth <= 768);
 
-      // Initialize smoothing buffer to zeros
-      this.smoothedFrequencyData = new Float32Array(this.frequencyData.length);
+    if (!isMobile) return this.startSource("displayCapture");
 
-      // Connect screen share audio to analyser
-      this.screenShare.connect(this.analyser);
-      // No need to connect to destination - just for visualization
+    this.updateStatus(
+      "Mobile detected - Attempting system audio capture...",
+      "active",
+    );
 
-      this.isPlaying = true;
+    // Show user guidance for better system audio capture
+    setTimeout(() => {
       this.updateStatus(
-        "Screen share active - Audio from your screen is being visualized!",
-        "active",
+        "💡 Tip: For best system audio capture, play music through your phone's speakers or headphones",
+        "info",
       );
-      this.updateButtonStates(); // Update button states
-      this.startVisualization();
+    }, 2000);
 
-      // Handle stream stop
-      stream.getVideoTracks()[0].onended = () => {
-        this.stopScreenShare();
-        this.updateStatus("Screen share ended", "info");
-      };
-    } catch (error) {
-      console.error("Error starting screen share:", error);
-      if (error.name === "NotAllowedError") {
-        this.updateStatus(
-          "Screen share denied. Please allow access to share your screen.",
-          "error",
-        );
-      } else {
-        this.updateStatus(
-          "Error starting screen share: " + error.message,
-          "error",
-        );
-      }
-    }
+    const source = await this.startSource("mobileCapture");
+    if (source) this._showMobileCaptureIndicator(source.captureKind);
+    return source;
   }
 
-  stopScreenShare() {
-    if (this.screenShare) {
-      this.screenShare.disconnect();
-      this.screenShare = null;
+  // Update the screen share button to reflect what the mobile chain captured.
+  _showMobileCaptureIndicator(captureKind) {
+    const screenShareBtn = document.getElementById("screenShareBtn");
+    if (screenShareBtn) {
+      screenShareBtn.classList.add("mobile-audio-mode");
+
+      switch (captureKind) {
+        case "audiooutput":
+          screenShareBtn.textContent = "📱 System Audio Active";
+          this.updateStatus(
+            "System audio capture successful! Music and sounds from your phone will now be visualized.",
+            "active",
+          );
+          break;
+        case "system":
+          screenShareBtn.textContent = "📱 System Audio Active";
+          this.updateStatus(
+            "System audio capture successful! Place device near speakers for best results.",
+            "active",
+          );
+          break;
+        case "audiocontext":
+          screenShareBtn.textContent = "📱 System Audio Active";
+          this.updateStatus(
+            "Audio context system audio capture successful! Music and sounds from your phone will now be visualized.",
+            "active",
+          );
+          break;
+        case "audioworklet":
+          screenShareBtn.textContent = "📱 System Audio Active";
+          this.updateStatus(
+            "AudioWorklet system audio capture successful! Music and sounds from your phone will now be visualized.",
+            "active",
+          );
+          break;
+        case "alternative":
+          screenShareBtn.textContent = "📱 Alt System Audio Active";
+          this.updateStatus(
+            "Alternative system audio capture successful! Place device near speakers for best results.",
+            "active",
+          );
+          break;
+        case "display":
+          screenShareBtn.textContent = "📱 Display Audio Active";
+          this.updateStatus(
+            "Display audio capture successful! Place device near speakers for best results.",
+            "active",
+          );
+          break;
+        case "enhanced":
+          screenShareBtn.textContent = "📱 Enhanced Audio Active";
+          this.updateStatus(
+            "Enhanced audio capture active! Place device near speakers for best results.",
+            "active",
+          );
+          break;
+        default:
+          screenShareBtn.textContent = "📱 Basic Audio Active";
+          this.updateStatus(
+            "Basic audio capture active! Place device near speakers for best results.",
+            "active",
+          );
+          break;
+      }
     }
+  }
 
+  _resetSourceIndicators() {
     // Remove mobile mode visual indicator
     const screenShareBtn = document.getElementById("screenShareBtn");
     if (screenShareBtn) {
@@ -1411,17 +8808,23 @@ class AudioVisualizer {
       screenShareBtn.textContent = "🖥️ Share Screen / Mobile Audio";
     }
 
-    this.stopVisualization();
-    this.updateStatus("Screen share stopped", "info");
+    const transport = document.getElementById("fileTransport");
+    if (transport) transport.hidden = true;
+    this._fileSeeking = false;
+    this.renderPlaylist();
+
+    const meta = document.getElementById("streamMeta");
+    if (meta) meta.hidden = true;
   }
 
   startVisualization() {
     if (this.animationId) return;
     if (!this.analyser) return;
-    if (!this.canvas || !this.ctx) return;
+    if (!this.canvas || !(this.ctx || this._renderWorker)) return;
 
     // Ensure canvas and context are properly set up for mobile
-    if (this.canvas.width <= 0 || this.canvas.height <= 0) {
+    const { width, height } = this.lastCanvasSize;
+    if (width <= 0 || height <= 0) {
       console.warn("Invalid canvas dimensions, resetting...");
       this.setupCanvas();
     }
@@ -1447,126 +8850,173 @@ class AudioVisualizer {
         : renderedDelta;
       this.lastFrameTime = timestamp;
 
-      // Ensure frequency data arrays are properly sized
-      if (this.frequencyData && this.frequencyData.length > 0) {
-        this.analyser.getByteFrequencyData(this.frequencyData);
-        this.analyser.getByteTimeDomainData(this.dataArray);
+      this._analyzeFrame(timestamp);
+
+      // Adaptive particle count (Particle Flow only).
+      // Keeps the rest of the app identical while smoothing the heaviest mode.
+      this.maybeAdjustParticleFlowQuality(timestamp);
+
+      if (this._renderWorker) this._postRenderFrame();
+      else this.draw();
+      if (this._debugMenuVisible) this.updateDebugMenuReadout();
+      if (this.pitchOverlay) this.updatePitchOverlay();
+      this.animationId = requestAnimationFrame(animate);
+    };
+
+    this.animationId = requestAnimationFrame(animate);
+  }
+
+  /**
+   * One frame of analysis: read the analysers, update stereo/loudness/tonal
+   * trackers, rhythm/energy/onsets (unless the worklet supplies them), the
+   * StyleEngine, spectrum smoothing and the visual energy/scale/intensity.
+   */
+  _analyzeFrame(timestamp) {
+    // Ensure frequency data arrays are properly sized
+    if (this.frequencyData && this.frequencyData.length > 0) {
+      this.analyser.getByteFrequencyData(this.frequencyData);
+      this.analyser.getByteTimeDomainData(this.dataArray);
+      if (this.analyserL && this.analyserR) {
+        this.analyserL.getFloatTimeDomainData(this._stereoL);
+        this.analyserR.getFloatTimeDomainData(this._stereoR);
+        this.stereo.update(
+          this._stereoL,
+          this._stereoR,
+          this._sourceChannelCount !== 1,
+        );
+      }
+      if (this._loudnessTaps) {
+        const { raw, weighted } = this._loudnessTaps;
+        for (let c = 0; c < 2; c++) {
+          raw[c].getFloatTimeDomainData(this._loudnessRaw[c]);
+          weighted[c].getFloatTimeDomainData(this._loudnessWeighted[c]);
+        }
+        this.loudness.update(
+          this._loudnessWeighted,
+          this._loudnessRaw,
+          this.stereo.active ? 2 : 1,
+          timestamp,
+        );
+      }
+
+      // Create boosted frequency data for enhanced high-end response (reused buffer)
+      this.applyHighEndBoost(this.frequencyData, this.boostedFrequencyData);
 
-        // Create boosted frequency data for enhanced high-end response (reused buffer)
-        this.applyHighEndBoost(this.frequencyData, this.boostedFrequencyData);
+      const sr = this.audioContext ? this.audioContext.sampleRate : 0;
 
-        const sr = this.audioContext ? this.audioContext.sampleRate : 0;
+      // Tonal analysis: pitch (YIN) + chroma/key/chord changes
+      if (this.tonalAnalyser) {
+        this.tonalAnalyser.getFloatTimeDomainData(this._tonalTimeData);
+        this.tonalAnalyser.getFloatFrequencyData(this._tonalSpectrum);
+        this.pitch.update(this._tonalTimeData, sr);
+        this.chroma.update(this._tonalSpectrum, sr, timestamp);
+        this._updatePitchHue();
+      }
 
+      if (this._analysisNode) {
+        // Rhythm / energy / onsets come from the audio thread at a fixed rate.
+        this._consumeAnalysisFrames();
+      } else {
         // Rhythm tracking (uses low-frequency energy)
         this.rhythm.update(this.frequencyData, sr, timestamp);
 
         // Adaptive normalization (low/mid/high + combinedNorm)
         this.energyNorm.update(this.frequencyData, sr);
+        this.onsets.update(this.frequencyData, sr, timestamp);
+      }
 
-        // Compute energy change rate (already used for adaptive smoothing); reuse for style intelligence.
-        const targetEnergyForDelta = this.energyNorm.combinedNorm;
-        const deltaForStyle = Math.abs(
-          targetEnergyForDelta - this._prevTargetEnergy,
-        );
-
-        // Rolling delta envelope (fast attack, slow release)
-        if (deltaForStyle > this._deltaEnv)
-          this._deltaEnv += (deltaForStyle - this._deltaEnv) * 0.25;
-        else this._deltaEnv += (deltaForStyle - this._deltaEnv) * 0.02;
-        const normDeltaForStyle = Math.min(
-          1,
-          deltaForStyle / Math.max(1e-6, this._deltaEnv),
-        );
+      // Compute energy change rate (already used for adaptive smoothing); reuse for style intelligence.
+      const targetEnergyForDelta = this.energyNorm.combinedNorm;
+      const deltaForStyle = Math.abs(
+        targetEnergyForDelta - this._prevTargetEnergy,
+      );
 
-        // Update style engine (smoothed classification + behavior knobs)
-        this.style.update({
-          timestampMs: timestamp,
-          combinedNorm: targetEnergyForDelta,
-          normDelta: normDeltaForStyle,
-          lowNorm: this.energyNorm.lowNorm,
-          midNorm: this.energyNorm.midNorm,
-          highNorm: this.energyNorm.highNorm,
-          dominantBand: this.energyNorm.dominantBand,
-          beatDetected: this.rhythm.beatDetected,
-          bpmEstimate: this.rhythm.bpmEstimate,
-        });
+      // Rolling delta envelope (fast attack, slow release)
+      if (deltaForStyle > this._deltaEnv)
+        this._deltaEnv += (deltaForStyle - this._deltaEnv) * 0.25;
+      else this._deltaEnv += (deltaForStyle - this._deltaEnv) * 0.02;
+      const normDeltaForStyle = Math.min(
+        1,
+        deltaForStyle / Math.max(1e-6, this._deltaEnv),
+      );
 
-        // Optional auto mode switching (disabled by default)
-        if (this.autoModeSwitch) {
-          const now = timestamp;
-          const rec = this.behavior.recommendedVisualType;
-          if (
-            rec &&
-            rec !== this.visualType &&
-            now - this._lastAutoSwitchTs >= this._autoSwitchCooldownMs
-          ) {
-            this.visualType = rec;
-            const visualTypeSelect = document.getElementById("visualType");
-            if (visualTypeSelect) visualTypeSelect.value = rec;
-            this.saveUserPreferences();
-            this._lastAutoSwitchTs = now;
-          }
-        }
+      // Update style engine (smoothed classification + behavior knobs)
+      this.style.update({
+        timestampMs: timestamp,
+        combinedNorm: targetEnergyForDelta,
+        normDelta: normDeltaForStyle,
+        lowNorm: this.energyNorm.lowNorm,
+        midNorm: this.energyNorm.midNorm,
+        highNorm: this.energyNorm.highNorm,
+        dominantBand: this.energyNorm.dominantBand,
+        beatDetected: this.rhythm.beatDetected,
+        bpmEstimate: this.rhythm.bpmEstimate,
+        beatPredicted: this.rhythm.beatPredicted,
+        beatPhase: this.rhythm.beatPhase,
+        barPosition: this.rhythm.barPosition,
+        tempoConfidence: this.rhythm.tempoConfidence,
+        keyTonic: this.chroma.keyTonic,
+        keyMode: this.chroma.keyMode,
+        keyConfidence: this.chroma.keyConfidence,
+        chordChangeEnv: this.chroma.chordChangeEnv,
+      });
 
-        // Temporal smoothing (exponential moving average) over boosted data (no allocations).
-        // Alpha is driven by StyleEngine: energetic/dynamic tracks feel snappier; calm tracks feel smoother.
-        const alpha = this.behavior.spectrumAlpha;
-        for (let i = 0; i < this.frequencyData.length; i++) {
-          const current = this.boostedFrequencyData[i];
-          this.smoothedFrequencyData[i] =
-            alpha * current + (1 - alpha) * this.smoothedFrequencyData[i];
-        }
+      // Auto mode (off by default)
+      if (this.autoModeSettings.mode !== "off") this._updateAutoMode(timestamp);
 
-        // Visual mappings (all smoothed; no spikes):
-        // - `visualEnergy` is the primary driver (0..1).
-        // - `visualScale` stays subtle; `visualIntensity` can be used to gently boost contrast.
-        const targetEnergy = targetEnergyForDelta;
-
-        // Adaptive smoothing:
-        // - Measure energy change rate (delta).
-        // - High delta => lower smoothing (faster response for rapid transients).
-        // - Low delta  => higher smoothing (stable for slow/ambient sections).
-        // - Asymmetric smoothing: faster attack, slower decay.
-        const delta = deltaForStyle;
-        this._prevTargetEnergy = targetEnergy;
-        const normDelta = normDeltaForStyle;
-        const lerp = (a, b, t) => a + (b - a) * t;
-
-        // Tune: minAlpha/maxAlpha control slow vs fast responsiveness
-        const minAlpha = 0.04; // smoothest
-        const maxAlpha = 0.22; // snappiest (still non-jittery)
-        const baseAlpha = lerp(minAlpha, maxAlpha, normDelta);
-
-        const diff = targetEnergy - this.visualEnergy;
-        const alphaEnergy =
-          diff >= 0
-            ? Math.min(maxAlpha, baseAlpha * 1.15) // faster attack
-            : Math.max(minAlpha, baseAlpha * 0.75); // slower decay
-        this.visualEnergy += diff * alphaEnergy;
-
-        const targetScale = 1 + this.visualEnergy * this.behavior.scaleAmp; // subtle, style-aware
-        // Scale follows energy but slightly more damped than energy
-        const alphaScale = Math.max(0.03, baseAlpha * 0.55);
-        this.visualScale += (targetScale - this.visualScale) * alphaScale;
-        const targetIntensity =
-          this.behavior.intensityBase +
-          this.visualEnergy * this.behavior.intensityAmp;
-        // Intensity should be smoothest to avoid any perceived flashing
-        const alphaIntensity = Math.max(0.02, baseAlpha * 0.4);
-        this.visualIntensity +=
-          (targetIntensity - this.visualIntensity) * alphaIntensity;
+      // Temporal smoothing (exponential moving average) over boosted data (no allocations).
+      // Alpha is driven by StyleEngine: energetic/dynamic tracks feel snappier; calm tracks feel smoother.
+      const alpha = this.behavior.spectrumAlpha;
+      for (let i = 0; i < this.frequencyData.length; i++) {
+        const current = this.boostedFrequencyData[i];
+        this.smoothedFrequencyData[i] =
+          alpha * current + (1 - alpha) * this.smoothedFrequencyData[i];
       }
 
-      // Adaptive particle count (Particle Flow only).
-      // Keeps the rest of the app identical while smoothing the heaviest mode.
-      this.maybeAdjustParticleFlowQuality(timestamp);
-
-      this.draw();
-      if (this._debugMenuVisible) this.updateDebugMenuReadout();
-      this.animationId = requestAnimationFrame(animate);
-    };
+      // Visual mappings (all smoothed; no spikes):
+      // - `visualEnergy` is the primary driver (0..1).
+      // - `visualScale` stays subtle; `visualIntensity` can be used to gently boost contrast.
+      const targetEnergy = targetEnergyForDelta;
+
+      // Adaptive smoothing:
+      // - Measure energy change rate (delta).
+      // - High delta => lower smoothing (faster response for rapid transients).
+      // - Low delta  => higher smoothing (stable for slow/ambient sections).
+      // - Asymmetric smoothing: faster attack, slower decay.
+      const delta = deltaForStyle;
+      this._prevTargetEnergy = targetEnergy;
+      const normDelta = normDeltaForStyle;
+      const lerp = (a, b, t) => a + (b - a) * t;
+
+      // Tune: minAlpha/maxAlpha control slow vs fast responsiveness
+      const minAlpha = 0.04; // smoothest
+      const maxAlpha = 0.22; // snappiest (still non-jittery)
+      const baseAlpha = lerp(minAlpha, maxAlpha, normDelta);
+
+      const diff = targetEnergy - this.visualEnergy;
+      const alphaEnergy =
+        diff >= 0
+          ? Math.min(maxAlpha, baseAlpha * 1.15) // faster attack
+          : Math.max(minAlpha, baseAlpha * 0.75); // slower decay
+      this.visualEnergy += diff * alphaEnergy;
+
+      const targetScale = 1 + this.visualEnergy * this.behavior.scaleAmp; // subtle, style-aware
+      // Scale follows energy but slightly more damped than energy
+      const alphaScale = Math.max(0.03, baseAlpha * 0.55);
+      this.visualScale += (targetScale - this.visualScale) * alphaScale;
+      const targetIntensity =
+        this.behavior.intensityBase +
+        this.visualEnergy * this.behavior.intensityAmp;
+      // Intensity should be smoothest to avoid any perceived flashing
+      const alphaIntensity = Math.max(0.02, baseAlpha * 0.4);
+      this.visualIntensity +=
+        (targetIntensity - this.visualIntensity) * alphaIntensity;
+    }
+  }
 
-    this.animationId = requestAnimationFrame(animate);
+  // Clock for time-based animation; offline renders pin it to the frame time.
+  _renderNow() {
+    return this._frameClockMs ?? performance.now();
   }
 
   maybeAdjustParticleFlowQuality(timestampMs) {
@@ -1584,11 +9034,14 @@ class AudioVisualizer {
     const avg = perf.avgFrameMs || 0;
     if (!avg) return;
 
+    // The two sliders are independent, so Min may be set above Max.
+    const minCount = Math.min(cfg.minCount, cfg.maxCount);
+    const maxCount = Math.max(cfg.minCount, cfg.maxCount);
     let next = this.particleFlowCount || 120;
     if (avg > budget * cfg.slowFactor) {
-      next = Math.max(cfg.minCount, next - cfg.stepDown);
+      next = Math.max(minCount, next - cfg.stepDown);
     } else if (avg < budget * cfg.fastFactor) {
-      next = Math.min(cfg.maxCount, next + cfg.stepUp);
+      next = Math.min(maxCount, next + cfg.stepUp);
     } else {
       return;
     }
@@ -1624,8 +9077,7 @@ class AudioVisualizer {
     this.isFullscreen = true;
 
     // Resize canvas to full screen
-    this.canvas.width = window.innerWidth;
-    this.canvas.height = window.innerHeight;
+    this._resizeCanvas(window.innerWidth, window.innerHeight);
 
     // Setup mouse movement detection
     this.setupFullscreenMouseDetection();
@@ -1643,6 +9095,7 @@ class AudioVisualizer {
     container.classList.remove("fullscreen-mode", "show-ui");
     document.body.classList.remove("cursor-hidden");
     this.isFullscreen = false;
+    this._syncStaleModeParams();
 
     // Restore original canvas size
     this.setupCanvas();
@@ -1675,6 +9128,7 @@ class AudioVisualizer {
     const showUI = () => {
       document.body.classList.remove("cursor-hidden");
       container.classList.add("show-ui");
+      this._syncStaleModeParams();
 
       // Clear existing timeout
       if (this.uiTimeout) {
@@ -1724,19 +9178,15 @@ class AudioVisualizer {
     // Stop the visualization
     this.stopVisualization();
 
-    // Stop any current audio sources
-    if (this.microphone) {
-      this.microphone.mediaStream.getTracks().forEach((track) => track.stop());
-      this.microphone = null;
-    }
-
-    if (this.audioContext) {
-      this.audioContext.close();
-      this.audioContext = null;
+    // Stop the current audio source (and cancel any source still starting)
+    this._sourceRequestId++;
+    if (this.activeSource) {
+      this.activeSource.stop();
+      this.activeSource = null;
     }
-
-    // Stop screen share
-    this.stopScreenShare();
+    this._teardownAudioPipeline();
+    this._resetSourceIndicators();
+    this._restoreUserLook();
 
     // Cleanup fullscreen handlers
     if (this.fullscreenMouseHandler) {
@@ -1750,39 +9200,58 @@ class AudioVisualizer {
       this.fullscreenKeyHandler = null;
     }
 
-    // Reset audio context
-    if (this.audioContext) {
-      this.audioContext.close();
-      this.audioContext = null;
-    }
-
     // Reset state
-    this.analyser = null;
-    this.gainNode = null;
     this.isPlaying = false;
 
+    this._clearRenderState();
+    if (this._renderWorker) {
+      this._renderWorker.postMessage({ type: "clear" });
+      this._renderOnsets = [];
+    }
+
+    // Reset status
+    this.updateStatus("Visualizer stopped. Ready to start again.", "info");
+
+    // Removed frequency and volume display reset for better performance
+    this.updateButtonStates(); // Update button states
+  }
+
+  // Drops raindrops, resets every mode (Audio Geometry / Painter rings, ...), then blanks the canvas.
+  _clearRenderState() {
     // Clear raindrops
     this.raindrops = [];
     this.lastRaindropTime = 0;
     this.barRaindropTimers = []; // Clear individual bar timers
 
-    this._resetAudioGeometry();
-    this._resetPainter();
+    this._transition.from = this._transition.to = null;
+    for (const mode of visualizationRegistry.values()) {
+      this._runModeHook(mode.id, "reset");
+    }
 
     // Clear canvas - ensure it exists first
     if (this.canvas && this.ctx) {
       this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     }
-
-    // Reset status
-    this.updateStatus("Visualizer stopped. Ready to start again.", "info");
-
-    // Removed frequency and volume display reset for better performance
-    this.updateButtonStates(); // Update button states
   }
 
   draw() {
     if (!this.canvas || !this.ctx) return;
+
+    if (this._lastVisualType !== this.visualType) {
+      this._beginTransition(this._lastVisualType, this.visualType);
+    }
+    if (this._transition.to) this._drawTransition();
+    else this._drawMode(this.visualType);
+
+    if (this.loudnessOverlay) this.drawLoudnessMeter();
+
+    this._lastVisualType = this.visualType;
+
+    // Removed updateAudioInfo() for better performance
+  }
+
+  // One frame of `mode` on this.ctx / this.canvas.
+  _drawMode(mode) {
     const ctx = this.ctx;
     const w = this.canvas.width;
     const h = this.canvas.height;
@@ -1793,44 +9262,11 @@ class AudioVisualizer {
     ctx.shadowBlur = 0;
     ctx.shadowColor = "transparent";
 
-    // If mode changed, hard clear once to avoid inheriting previous mode's last frame.
-    if (this._lastVisualType !== this.visualType) {
-      ctx.clearRect(0, 0, w, h);
-      if (
-        this._lastVisualType === "audioGeometry" ||
-        this.visualType === "audioGeometry"
-      ) {
-        this._resetAudioGeometry();
-      }
-      if (this._lastVisualType === "painter" || this.visualType === "painter") {
-        this._resetPainter();
-      }
-    }
-
-    // Lissajous looks best with a subtle decay trail (stable, non-flashy).
-    if (this.visualType === "lissajous") {
-      // Higher alpha = faster fade (shorter afterimage)
-      // Make it noticeably faster (near-clear) while still keeping a tiny trail.
-      ctx.fillStyle = "rgba(6, 7, 9, 0.70)";
-      ctx.fillRect(0, 0, w, h);
-    } else if (this.visualType === "painter") {
-      // Full clear + solid backdrop each frame (no stacked semi-transparent fills — those grey out the canvas).
-      ctx.clearRect(0, 0, w, h);
-      ctx.fillStyle = "#0f1014";
-      ctx.fillRect(0, 0, w, h);
-    } else if (
-      this.visualType === "particleFlow" ||
-      this.visualType === "audioGeometry"
-    ) {
-      // No trails: hard clear every frame.
-      ctx.clearRect(0, 0, w, h);
-    } else {
+    // Hard clear unless the mode paints its own backdrop (Lissajous trail, Painter fill).
+    if (!this._runModeHook(mode, "clear")) {
       ctx.clearRect(0, 0, w, h);
     }
 
-    // Use boosted frequency data if available, otherwise fall back to original
-    const frequencyData = this.boostedFrequencyData || this.frequencyData;
-
     // Continuous, subtle energy scale (no beat/pulse spikes).
     const scale = this.visualScale || 1;
     ctx.save();
@@ -1839,44 +9275,238 @@ class AudioVisualizer {
     ctx.translate(-w * 0.5, -h * 0.5);
     ctx.globalAlpha = 0.85 + Math.min(0.15, this.visualIntensity * 0.15);
 
-    switch (this.visualType) {
-      case "waveform":
-        this.drawWaveform();
-        break;
-      case "circular":
-        this.drawCircular();
-        break;
-      case "lissajous":
-        this.drawLissajous();
-        break;
-      case "frequency2x":
-        this.drawFrequencyBars2x();
-        break;
-      case "frequency3x":
-        this.drawFrequencyBars3x();
-        break;
-      case "frequency4x":
-        this.drawFrequencyBars4x();
-        break;
-      case "circles":
-        this.drawCircles();
-        break;
-      case "particleFlow":
-        this.drawParticleFlow();
+    this._runModeHook(mode, "draw");
+
+    ctx.restore();
+  }
+
+  /**
+   * A mode switch. With a transition style other than "cut", both modes keep
+   * drawing, each into its own layer, and _drawTransition() blends the two
+   * for `modeTransition.durationMs`. The incoming mode is reset now, the
+   * outgoing one when the transition ends. Switching again mid-transition
+   * makes the incoming mode the outgoing one.
+   */
+  _beginTransition(from, to) {
+    const t = this._transition;
+    const { width, height } = this.canvas;
+    if (this.modeTransition.style === "cut" || !from || !width || !height) {
+      // Hard clear once so the new mode doesn't inherit the old one's last frame.
+      if (t.to) this._runModeHook(t.from, "reset");
+      t.from = t.to = null;
+      this.ctx.clearRect(0, 0, width, height);
+      this._runModeHook(from, "reset");
+      this._runModeHook(to, "reset");
+      return;
+    }
+
+    const layers = this._ensureTransitionLayers(width, height);
+    if (t.to) {
+      this._runModeHook(t.from, "reset");
+      const { from: layer, fromCtx: layerCtx } = layers;
+      layers.from = layers.to;
+      layers.fromCtx = layers.toCtx;
+      layers.to = layer;
+      layers.toCtx = layerCtx;
+    } else {
+      // The outgoing mode carries on from its last frame (trail modes fade it).
+      layers.fromCtx.clearRect(0, 0, width, height);
+      layers.fromCtx.drawImage(this.canvas, 0, 0);
+    }
+    layers.toCtx.clearRect(0, 0, width, height);
+    layers.maskCtx.clearRect(0, 0, DISSOLVE_GRID.cols, DISSOLVE_GRID.rows);
+    t.from = from;
+    t.to = to;
+    t.startMs = this._renderNow();
+    t.revealed = 0;
+    this._runModeHook(to, "reset");
+  }
+
+  // Layer canvases at the canvas size, plus the dissolve mask and its reveal order.
+  _ensureTransitionLayers(width, height) {
+    let layers = this._transitionLayers;
+    if (!layers) {
+      const layer = () => createExportCanvas(width, height);
+      layers = { from: layer(), to: layer(), mix: layer() };
+      layers.fromCtx = layers.from.getContext("2d");
+      layers.toCtx = layers.to.getContext("2d");
+      layers.mixCtx = layers.mix.getContext("2d");
+      layers.mask = createExportCanvas(DISSOLVE_GRID.cols, DISSOLVE_GRID.rows);
+      layers.maskCtx = layers.mask.getContext("2d");
+      layers.maskCtx.fillStyle = "#fff";
+      // Cells in random order (Fisher-Yates), revealed front to back.
+      const cells = DISSOLVE_GRID.cols * DISSOLVE_GRID.rows;
+      layers.order = new Uint16Array(cells);
+      for (let i = 0; i < cells; i++) layers.order[i] = i;
+      for (let i = cells - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        const cell = layers.order[i];
+        layers.order[i] = layers.order[j];
+        layers.order[j] = cell;
+      }
+      this._transitionLayers = layers;
+    }
+    if (layers.from.width !== width || layers.from.height !== height) {
+      // Runs on a canvas resize only (resizing clears a canvas).
+      for (const canvas of [layers.from, layers.to, layers.mix]) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+    }
+    return layers;
+  }
+
+  // One transition frame: both modes draw into their layers, then blend.
+  _drawTransition() {
+    const t = this._transition;
+    const { canvas, ctx } = this;
+    const { width: w, height: h } = canvas;
+    const layers = this._ensureTransitionLayers(w, h);
+    const p = clamp01(
+      (this._renderNow() - t.startMs) / this.modeTransition.durationMs,
+    );
+
+    // The mode code only knows this.canvas / this.ctx, so point them at each layer.
+    try {
+      this.canvas = layers.from;
+      this.ctx = layers.fromCtx;
+      this._drawMode(t.from);
+      this.canvas = layers.to;
+      this.ctx = layers.toCtx;
+      this._drawMode(t.to);
+    } finally {
+      this.canvas = canvas;
+      this.ctx = ctx;
+    }
+
+    ctx.globalCompositeOperation = "source-over";
+    ctx.globalAlpha = 1;
+    ctx.shadowBlur = 0;
+    ctx.clearRect(0, 0, w, h);
+    const e = p * p * (3 - 2 * p); // smoothstep
+    switch (this.modeTransition.style) {
+      case "wipe": {
+        // Left to right: incoming up to x, outgoing after it.
+        const x = Math.round(e * w);
+        if (x < w) ctx.drawImage(layers.from, x, 0, w - x, h, x, 0, w - x, h);
+        if (x > 0) ctx.drawImage(layers.to, 0, 0, x, h, 0, 0, x, h);
         break;
-      case "audioGeometry":
-        this.drawAudioGeometry();
+      }
+      case "zoom":
+        // Outgoing grows and fades out; incoming settles in from 70 %.
+        this._drawLayerScaled(layers.from, 1 + e * 0.4, 1 - e);
+        this._drawLayerScaled(layers.to, 0.7 + e * 0.3, e);
         break;
-      case "painter":
-        this.drawPainter();
+      case "dissolve":
+        this._revealDissolveCells(layers, p);
+        this._drawLayerMasked(layers, layers.from, "destination-out");
+        this._drawLayerMasked(layers, layers.to, "destination-in");
         break;
+      default:
+        ctx.globalAlpha = 1 - e;
+        ctx.drawImage(layers.from, 0, 0);
+        ctx.globalAlpha = e;
+        ctx.drawImage(layers.to, 0, 0);
+    }
+    ctx.globalAlpha = 1;
+
+    if (p >= 1) {
+      // The last blend is the incoming layer alone, so the mode carries on from it.
+      this._runModeHook(t.from, "reset");
+      t.from = t.to = null;
+    }
+  }
+
+  _drawLayerScaled(layer, scale, alpha) {
+    const { width: w, height: h } = this.canvas;
+    const dw = w * scale;
+    const dh = h * scale;
+    this.ctx.globalAlpha = alpha;
+    this.ctx.drawImage(layer, (w - dw) * 0.5, (h - dh) * 0.5, dw, dh);
+  }
+
+  // Mask cells revealed so far (`p` of them), in the layers' random order.
+  _revealDissolveCells(layers, p) {
+    const t = this._transition;
+    const target = Math.floor(p * layers.order.length);
+    for (let i = t.revealed; i < target; i++) {
+      const cell = layers.order[i];
+      layers.maskCtx.fillRect(
+        cell % DISSOLVE_GRID.cols,
+        (cell / DISSOLVE_GRID.cols) | 0,
+        1,
+        1,
+      );
     }
+    t.revealed = Math.max(t.revealed, target);
+  }
 
-    ctx.restore();
+  // Draws `layer` through the dissolve mask ("destination-in": revealed cells
+  // only, "destination-out": the rest), using the mix layer as scratch.
+  _drawLayerMasked(layers, layer, operation) {
+    const { width: w, height: h } = this.canvas;
+    const mixCtx = layers.mixCtx;
+    mixCtx.globalCompositeOperation = "copy";
+    mixCtx.drawImage(layer, 0, 0);
+    mixCtx.globalCompositeOperation = operation;
+    mixCtx.imageSmoothingEnabled = false;
+    mixCtx.drawImage(layers.mask, 0, 0, w, h);
+    mixCtx.globalCompositeOperation = "source-over";
+    this.ctx.drawImage(layers.mix, 0, 0);
+  }
 
-    this._lastVisualType = this.visualType;
+  // Level meter panel (bottom-left), drawn in canvas pixels after the mode so
+  // scale/alpha effects never touch it. Bars span -60..0; M/S mark -23 LUFS (EBU R128).
+  drawLoudnessMeter() {
+    const ctx = this.ctx;
+    const m = this.loudness;
+    const pad = 8;
+    const rowH = 16;
+    const labelW = 24;
+    const barW = 140;
+    const valueW = 44;
+    const panelW = pad * 2 + labelW + barW + valueW;
+    const panelH = pad * 2 + rowH * 4;
+    const x0 = 12;
+    const y0 = this.canvas.height - 12 - panelH;
+    const barX = x0 + pad + labelW;
+    const targetX = barX + barW * clamp01((-23 + 60) / 60);
 
-    // Removed updateAudioInfo() for better performance
+    ctx.save();
+    ctx.fillStyle = "rgba(15, 16, 20, 0.78)";
+    ctx.fillRect(x0, y0, panelW, panelH);
+    ctx.font = "11px 'Courier New', monospace";
+    ctx.textBaseline = "middle";
+
+    for (let i = 0; i < LOUDNESS_METER_ROWS.length; i++) {
+      const row = LOUDNESS_METER_ROWS[i];
+      const db = m[row.field];
+      const y = y0 + pad + i * rowH;
+      ctx.fillStyle = "rgba(255, 255, 255, 0.08)";
+      ctx.fillRect(barX, y + 3, barW, rowH - 6);
+      if (Number.isFinite(db)) {
+        ctx.fillStyle =
+          db > row.over ? "#ff5252" : db > row.warn ? "#ffb74d" : "#4caf50";
+        ctx.fillRect(barX, y + 3, barW * clamp01((db + 60) / 60), rowH - 6);
+      }
+      if (row.target) {
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+        ctx.fillRect(targetX, y + 1, 1, rowH - 2);
+      }
+      ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+      ctx.textAlign = "left";
+      ctx.fillText(row.label, x0 + pad, y + rowH / 2);
+      ctx.textAlign = "right";
+      ctx.fillText(formatLevel(db), x0 + panelW - pad, y + rowH / 2);
+    }
+
+    ctx.textAlign = "left";
+    ctx.fillText(
+      `I ${formatLevel(m.integrated)} LUFS  RMS ${formatLevel(m.rms)} dB`,
+      x0 + pad,
+      y0 + pad + rowH * 3 + rowH / 2,
+    );
+    ctx.restore();
   }
 
   // High-end frequency boost function to enhance treble response
@@ -1901,9 +9531,15 @@ class AudioVisualizer {
     }
   }
 
-  syncAnalyserBuffers() {
-    if (!this.analyser) return;
-    const binCount = this.analyser.frequencyBinCount;
+  syncAnalyserBuffers(binCount = this.analyser?.frequencyBinCount) {
+    if (!binCount) return;
+
+    // Bin-indexed state from the previous resolution no longer lines up.
+    if (this.frequencyData && this.frequencyData.length !== binCount) {
+      this.barRaindropTimers = [];
+      this.raindrops = [];
+      this._painterPrevSpec = null;
+    }
 
     if (!this.frequencyData || this.frequencyData.length !== binCount) {
       this.frequencyData = new Uint8Array(binCount);
@@ -1930,6 +9566,10 @@ class AudioVisualizer {
     if (!this._lissY || this._lissY.length !== binCount)
       this._lissY = new Float32Array(binCount);
     this._lissOffset = (binCount * 0.25) | 0;
+    if (!this._stereoL || this._stereoL.length !== binCount)
+      this._stereoL = new Float32Array(binCount);
+    if (!this._stereoR || this._stereoR.length !== binCount)
+      this._stereoR = new Float32Array(binCount);
   }
 
   drawLissajous() {
@@ -1952,20 +9592,33 @@ class AudioVisualizer {
     const detail = this.behavior ? this.behavior.detailIntensityMultiplier : 1;
     const step = detail < 0.95 ? 2 : 1; // small perf win on "low detail" profiles
 
-    // Preferred stereo would be L/R, but current graph is a single analyser.
-    // Fallback: pseudo-stereo via phase offset across the same buffer.
-    const off = this._lissOffset | 0 || (n * 0.25) | 0;
-
-    // Smooth into normalized [-1..1] buffers (no allocations)
-    for (let i = 0; i < n; i++) {
-      const xRaw = (this.dataArray[i] - 128) * (1 / 128);
-      const yRaw = (this.dataArray[(i + off) % n] - 128) * (1 / 128);
-      this._lissX[i] += (xRaw - this._lissX[i]) * alpha;
-      this._lissY[i] += (yRaw - this._lissY[i]) * alpha;
+    const stereo = this.stereo && this.stereo.active;
+    if (stereo) {
+      // Goniometer: mid (L+R) on the vertical axis, side (R-L) horizontal,
+      // so mono content is a vertical line and wide content spreads sideways.
+      const L = this._stereoL;
+      const R = this._stereoR;
+      for (let i = 0; i < n; i++) {
+        const xRaw = (R[i] - L[i]) * Math.SQRT1_2;
+        const yRaw = -(L[i] + R[i]) * Math.SQRT1_2;
+        this._lissX[i] += (xRaw - this._lissX[i]) * alpha;
+        this._lissY[i] += (yRaw - this._lissY[i]) * alpha;
+      }
+    } else {
+      // Mono source: pseudo-stereo via phase offset across the same buffer.
+      const off = this._lissOffset | 0 || (n * 0.25) | 0;
+      for (let i = 0; i < n; i++) {
+        const xRaw = (this.dataArray[i] - 128) * (1 / 128);
+        const yRaw = (this.dataArray[(i + off) % n] - 128) * (1 / 128);
+        this._lissX[i] += (xRaw - this._lissX[i]) * alpha;
+        this._lissY[i] += (yRaw - this._lissY[i]) * alpha;
+      }
     }
 
-    // Visual styling (single stroke, oscilloscope feel)
-    const hue = ((this.hueOffset || 0) + 200) % 360;
+    // Visual styling (single stroke, oscilloscope feel).
+    // In stereo, phase problems (negative correlation) pull the hue toward red.
+    const phaseShift = stereo ? Math.max(0, -this.stereo.correlation) * 160 : 0;
+    const hue = this.getHue(200 + phaseShift);
     const lightness = 54 + energy * 10;
     const a = 0.9;
 
@@ -1999,13 +9652,13 @@ class AudioVisualizer {
   }
 
   // Raindrop effect methods for Frequency 3x
-  createRaindrop(x, y, width, height, value) {
+  createRaindrop(x, y, width, height, value, scale = 1) {
     const motion = this.behavior ? this.behavior.motionSpeedMultiplier : 1;
     const raindrop = {
       x: x + width / 2, // Center of the bar
       y: y + height, // Bottom of the bar
-      width: Math.max(1, width * 0.3), // 30% of bar width, minimum 1px
-      height: Math.max(2, height * 0.1), // 10% of bar height, minimum 2px
+      width: Math.max(1, width * 0.3 * scale), // 30% of bar width, minimum 1px
+      height: Math.max(2, height * 0.1 * scale), // 10% of bar height, minimum 2px
       // Rhythm influences motion speed continuously (no pulses)
       speed: (1.5 + (value / 255) * 2.5) * motion,
       alpha: 0.8, // Initial opacity
@@ -2157,9 +9810,17 @@ class AudioVisualizer {
     const detail = this.behavior ? this.behavior.detailIntensityMultiplier : 1;
     this.ctx.lineWidth = 3 * detail;
 
-    // Draw multiple circles based on frequency data
-    for (let i = 0; i < this.frequencyData.length; i += 4) {
-      const value = this.frequencyData[i] * this.sensitivity;
+    // One ring per band (or every Nth raw bin on the linear scale)
+    const linear = this.bandScale === "linear";
+    const rings = linear
+      ? this.frequencyData
+      : this._mapBands(this._circularBands);
+    if (!rings || rings.length === 0) return;
+    const step = linear
+      ? Math.max(4, Math.floor(rings.length / CIRCULAR_RING_COUNT))
+      : 1;
+    for (let i = 0; i < rings.length; i += step) {
+      const value = rings[i] * this.sensitivity;
       // Rhythm/detail slightly increases radius responsiveness (continuous)
       const currentRadius = radius + (value / 255) * (100 * detail);
       const alpha = (value / 255) * 0.8 + 0.2;
@@ -2188,9 +9849,36 @@ class AudioVisualizer {
     return this.frequencyData;
   }
 
+  /**
+   * Spectrum for bar modes: perceptual bands from the raw analyser bins, or the
+   * boosted linear bins when the band scale is "linear".
+   */
+  getBarSpectrum() {
+    if (this.bandScale === "linear") return this.getVizSpectrum();
+    return this._mapBands(this.bandMapper);
+  }
+
+  // Center frequency of bar `i` of `count` from getBarSpectrum().
+  _barCenterHz(i, count, sampleRate) {
+    if (this.bandScale !== "linear") return this.bandMapper.centersHz[i] || 0;
+    return ((i + 0.5) * sampleRate) / 2 / count;
+  }
+
+  _mapBands(mapper) {
+    if (!this.frequencyData || this.frequencyData.length === 0) return null;
+    const sr = this.audioContext ? this.audioContext.sampleRate : 0;
+    const { minDecibels, maxDecibels } = this.analyserSettings;
+    return mapper.map(this.frequencyData, sr, maxDecibels - minDecibels);
+  }
+
   // Global hue helper (keeps rainbow behavior; rotates palette via this.hueOffset)
   getHue(value, extra = 0) {
-    const base = (this.hueOffset || 0) + (value || 0) + (extra || 0);
+    const base =
+      (this.hueOffset || 0) +
+      (value || 0) +
+      (extra || 0) +
+      (this.pitchColor ? this._pitchHueShift : 0) +
+      (this.keyColor && this.behavior ? this.behavior.keyHue : 0);
     const h = base % 360;
     return h < 0 ? h + 360 : h;
   }
@@ -2218,7 +9906,7 @@ class AudioVisualizer {
   drawBars(config) {
     const canvas = this.canvas;
     const ctx = this.ctx;
-    const data = this.getVizSpectrum();
+    const data = this.getBarSpectrum();
     if (!canvas || !ctx || !data || data.length === 0) return;
 
     const behavior = this.behavior;
@@ -2247,7 +9935,7 @@ class AudioVisualizer {
     const radius = Math.max(2, Math.min(6, barWidth * 0.3));
 
     const responseScale = this.sensitivity * (1 + (detail - 1) * 0.35);
-    const now = config.enableRaindrops ? Date.now() : 0;
+    const now = config.enableRaindrops ? this._renderNow() : 0;
     const time =
       config.layout === "center-out" && !lockX
         ? (this.lastFrameTime || 0) * 0.001
@@ -2328,6 +10016,32 @@ class AudioVisualizer {
     }
 
     if (config.enableRaindrops) {
+      // Onsets drop a larger raindrop pair from the loudest bar in their band.
+      const pending = this._rainOnsets;
+      const sr = this.audioContext ? this.audioContext.sampleRate : 0;
+      for (const band of ONSET_BANDS) {
+        const strength = pending[band];
+        if (!strength) continue;
+        pending[band] = 0;
+        let best = -1;
+        for (let i = 0; i < totalBars; i++) {
+          const hz = this._barCenterHz(i, totalBars, sr);
+          if (this._onsetBandForHz(hz) !== band) continue;
+          if (best < 0 || data[i] > data[best]) best = i;
+        }
+        if (best < 0) continue;
+        const value = data[best] * responseScale;
+        const height = (value / 255) * barHeight;
+        if (height < 4) continue;
+        const y = config.origin === "top" ? 0 : h - height;
+        const xRight =
+          centerX + best * perSpacing + (perSpacing - barWidth) / 2;
+        const xLeft =
+          centerX - (best + 1) * perSpacing + (perSpacing - barWidth) / 2;
+        const scale = 1.5 + strength * 1.5;
+        this.createRaindrop(xRight, y, barWidth, height, value, scale);
+        this.createRaindrop(xLeft, y, barWidth, height, value, scale);
+      }
       this.updateRaindrops();
       this.drawRaindrops();
     }
@@ -2557,6 +10271,24 @@ class AudioVisualizer {
     this._agEdgePressure = 0;
   }
 
+  // Painter's ring and projection buffers hold painterConfig.nodeCount nodes.
+  _setPainterCapacity(nodeCount) {
+    const cap = Math.max(1, Math.round(nodeCount));
+    this.painterConfig.nodeCount = cap;
+    this._painterCap = cap;
+    this._painterRing = null;
+    this._painterProjSX = new Float32Array(cap);
+    this._painterProjSY = new Float32Array(cap);
+    this._painterProjZ = new Float32Array(cap);
+    this._painterProjA = new Float32Array(cap);
+    this._painterProjSize = new Float32Array(cap);
+    this._painterProjR = new Uint8Array(cap);
+    this._painterProjG = new Uint8Array(cap);
+    this._painterProjB = new Uint8Array(cap);
+    this._painterSortIdx = new Array(cap);
+    this._resetPainter();
+  }
+
   _resetPainter() {
     this._painterHead = 0;
     this._painterCount = 0;
@@ -2566,6 +10298,7 @@ class AudioVisualizer {
     this._painterPathPhase = 0;
     this._painterAttract = { x: 0, y: 0, z: 0 };
     this._painterEdgePressure = 0;
+    this._painterOnsets = { kick: 0, snare: 0, hat: 0 };
     if (this._painterPrevSpec && this._painterPrevSpec.length > 0) {
       this._painterPrevSpec.fill(0);
     }
@@ -2620,7 +10353,7 @@ class AudioVisualizer {
   _ensurePainterRing() {
     if (this._painterRing) return;
     const cap = this._painterCap;
-    const t0 = performance.now();
+    const t0 = this._renderNow();
     this._painterRing = new Array(cap);
     for (let i = 0; i < cap; i++) {
       this._painterRing[i] = {
@@ -2660,7 +10393,7 @@ class AudioVisualizer {
     const pc = this.painterConfig;
     const cap = this._painterCap;
     const ring = this._painterRing;
-    const now = performance.now();
+    const now = this._renderNow();
     const sr = this.audioContext ? this.audioContext.sampleRate : 48000;
     const nyq = sr * 0.5;
     const sens = Number.isFinite(this.sensitivity) ? this.sensitivity : 1;
@@ -2725,11 +10458,26 @@ class AudioVisualizer {
 
     const beatEnv = this.behavior ? clamp01(this.behavior.beatEnv) : 0;
     const beatHit = this.rhythm && this.rhythm.beatDetected ? 1 : 0;
-    const onset = clamp01(f * 1.85 + beatEnv * 0.45 + beatHit * 0.25);
+    // Band onsets (set by setupOnsetSubscriptions) add bursts and nudge the attractor.
+    const onsets = this._painterOnsets;
+    const kick = onsets.kick;
+    const snare = onsets.snare;
+    const hat = onsets.hat;
+    onsets.kick *= 0.8;
+    onsets.snare *= 0.8;
+    onsets.hat *= 0.7;
+    const onset = clamp01(
+      f * 1.85 +
+        beatEnv * 0.45 +
+        beatHit * 0.25 +
+        kick * 0.35 +
+        snare * 0.25 +
+        hat * 0.12,
+    );
 
-    const ax = (c - 0.5) * 2.9 + (hN - lN) * 1.05;
-    const ay = (mN - 0.5) * 2.1 + f * 1.35;
-    const az = (lN - hN) * 0.75 + Math.sin(now * 0.0007) * 0.06;
+    const ax = (c - 0.5) * 2.9 + (hN - lN) * 1.05 + hat * 0.4;
+    const ay = (mN - 0.5) * 2.1 + f * 1.35 + snare * 0.6;
+    const az = (lN - hN) * 0.75 + Math.sin(now * 0.0007) * 0.06 + kick * 0.5;
     this._painterAttract.x += (ax - this._painterAttract.x) * 0.085;
     this._painterAttract.y += (ay - this._painterAttract.y) * 0.085;
     this._painterAttract.z += (az - this._painterAttract.z) * 0.065;
@@ -3019,7 +10767,7 @@ class AudioVisualizer {
   _ensureAudioGeomRing() {
     if (this._agRing) return;
     const cap = this._agCap;
-    const t0 = performance.now();
+    const t0 = this._renderNow();
     this._agRing = new Array(cap);
     for (let i = 0; i < cap; i++) {
       this._agRing[i] = {
@@ -3059,7 +10807,7 @@ class AudioVisualizer {
     const cy = h * 0.5;
     const data = this.getVizSpectrum();
     const sr = this.audioContext ? this.audioContext.sampleRate : 48000;
-    const now = performance.now();
+    const now = this._renderNow();
     const cap = this._agCap;
     const ring = this._agRing;
     const maxAge = this._agMaxAgeMs;
@@ -3265,10 +11013,23 @@ class AudioVisualizer {
     // Beat envelope adds a smooth directional "surge" (no impulses).
     const beatSwirlBoost = 1 + beatEnv * 1.55;
     const beatOutBoost = 1 + beatEnv * 1.15;
-    const swirlForce = (0.004 + midEnergy * 0.11) * motion * beatSwirlBoost;
-    const outwardForce = (0.02 + lowEnergy * 0.18) * motion * beatOutBoost;
-    const jitterForce = (0.001 + highEnergy * 0.035) * (0.85 + detail * 0.15);
-    const maxSpeed = 3.2 + lowEnergy * 1.6 + midEnergy * 1.1 + highEnergy * 0.8;
+    // Onset impulses (set by setupOnsetSubscriptions): kick = outward burst,
+    // snare = swirl kick, hat = sparkle. Decay over a few frames.
+    const impulses = this._particleFlowOnsets;
+    const kick = impulses.kick;
+    const snare = impulses.snare;
+    const hat = impulses.hat;
+    impulses.kick *= 0.8;
+    impulses.snare *= 0.8;
+    impulses.hat *= 0.7;
+    const swirlForce =
+      (0.004 + midEnergy * 0.11) * motion * beatSwirlBoost * (1 + snare * 1.4);
+    const outwardForce =
+      (0.02 + lowEnergy * 0.18 + kick * 0.3) * motion * beatOutBoost;
+    const jitterForce =
+      (0.001 + highEnergy * 0.035 + hat * 0.05) * (0.85 + detail * 0.15);
+    const maxSpeed =
+      3.2 + lowEnergy * 1.6 + midEnergy * 1.1 + highEnergy * 0.8 + kick * 2;
     const minDim = Math.min(cx, cy);
     const maxSpeedSq = maxSpeed * maxSpeed;
     const offscreenLimit = Math.max(40, minDim * 0.18);
@@ -3318,801 +11079,798 @@ class AudioVisualizer {
       const swirlCoherence = 0.75 + (i % 5) * 0.05 + beatEnv * 0.12;
       p.vx += radialX * outwardForce;
       p.vy += radialY * outwardForce;
-      p.vx += tangentX * swirlForce * swirlCoherence;
-      p.vy += tangentY * swirlForce * swirlCoherence;
-
-      // Lightweight jitter: derived later from a single sin call (see below),
-      // avoids multiple trig calls per particle.
-
-      const centerPull = 0.00004 * (1 - lowEnergy);
-      p.vx -= dx * centerPull;
-      p.vy -= dy * centerPull;
-
-      p.vx *= 0.98;
-      p.vy *= 0.98;
-
-      const speedSq = p.vx * p.vx + p.vy * p.vy;
-      if (speedSq > maxSpeedSq) {
-        const scale = maxSpeed / Math.sqrt(speedSq);
-        p.vx *= scale;
-        p.vy *= scale;
-      }
-
-      p.x += p.vx;
-      p.y += p.vy;
-
-      if (
-        p.x < -offscreenLimit ||
-        p.x > respawnLimitX ||
-        p.y < -offscreenLimit ||
-        p.y > respawnLimitY
-      ) {
-        this.respawnParticleFlowParticle(p, i, frame, cx, cy, minDim);
-        continue;
-      }
-
-      p.life += 0.0025 + highEnergy * 0.003 + midEnergy * 0.0015;
-      if (p.life > 1) p.life -= 1;
-
-      // Avoid a 2nd sqrt: dist = 1 / invDist.
-      const dist = 1 / invDist;
-      const centerMix = 1 - Math.min(1, dist / minDimSafe);
-
-      // Single trig call per particle: drives both pulse and subtle jitter.
-      const phase = p.life * tau + p.seed;
-      const s = Math.sin(phase);
-      const absS = s < 0 ? -s : s;
-
-      // Use the same sin result for a soft size/brightness pulse.
-      const pulse = 0.88 + 0.12 * absS;
-
-      // Very small, smooth jitter based on the same phase.
-      const jitterX = s * jitterForce;
-      const jitterY = (s * 1.31 - 0.2) * jitterForce;
-      p.x += jitterX;
-      p.y += jitterY;
-
-      // Hue is used as an integer for caching (visual match is unchanged).
-      let hue = (baseHueOffset + p.hueOffset) % 360;
-      if (hue < 0) hue += 360;
-      hue = hue | 0;
-      const alpha = clamp(
-        p.alpha * 0.7 + centerMix * 0.24 + highEnergy * 0.12,
-        0.06,
-        0.75,
-      );
-      const sizeBase =
-        1.85 +
-        (i % 5) * 0.32 +
-        lowEnergy * 0.8 +
-        midEnergy * 0.35 +
-        highEnergy * 0.45 +
-        centerMix * 0.7;
-      const size = sizeBase * pulse * 1.3;
-
-      const lightness = (54 + centerMix * 14) | 0;
-      const alphaBucket = Math.max(6, Math.min(75, (alpha * 100 + 0.5) | 0));
-      ctx.fillStyle = getCachedHsla(hue, saturation, lightness, alphaBucket);
-      ctx.fillRect(p.x, p.y, size, size);
-    }
-  }
-
-  updateStatus(message, type = "active") {
-    const statusElement = document.getElementById("statusText");
-    const statusContainer = document.querySelector(".status");
-
-    if (statusElement) {
-      statusElement.textContent = message;
-    }
-    if (statusContainer) {
-      statusContainer.className = `status ${type}`;
-    }
-  }
-
-  // Save user preferences to local storage
-  saveUserPreferences() {
-    try {
-      const visualType = document.getElementById("visualType").value;
-      const sensitivity = document.getElementById("sensitivity").value;
-      const hueOffset =
-        document.getElementById("hueOffset")?.value ??
-        String(this.hueOffset ?? 200);
-
-      localStorage.setItem("audVis_visualType", visualType);
-      localStorage.setItem("audVis_sensitivity", sensitivity);
-      localStorage.setItem("audVis_hueOffset", hueOffset);
-
-      // Save additional preferences
-      localStorage.setItem("audVis_lastUsed", new Date().toISOString());
-
-      console.log("Preferences saved:", { visualType, sensitivity, hueOffset });
-
-      // Show brief visual feedback
-      this.showPreferenceFeedback("Preferences saved!", "success");
-    } catch (error) {
-      console.warn("Failed to save preferences:", error);
-      this.showPreferenceFeedback("Failed to save preferences", "error");
-    }
-  }
-
-  // Load user preferences from local storage
-  loadUserPreferences() {
-    try {
-      const savedVisualType = localStorage.getItem("audVis_visualType");
-      const savedSensitivity = localStorage.getItem("audVis_sensitivity");
-      const savedHueOffset = localStorage.getItem("audVis_hueOffset");
-
-      if (savedVisualType) {
-        const visualTypeSelect = document.getElementById("visualType");
-        const allowedModes = new Set([
-          "waveform",
-          "circular",
-          "lissajous",
-          "particleFlow",
-          "frequency2x",
-          "frequency3x",
-          "frequency4x",
-          "circles",
-          "audioGeometry",
-          "painter",
-        ]);
-        if (visualTypeSelect) {
-          const mode = allowedModes.has(savedVisualType)
-            ? savedVisualType
-            : "frequency3x";
-          visualTypeSelect.value = mode;
-          this.visualType = mode;
-          console.log("Loaded visual type:", mode);
-        }
-      }
-
-      if (savedSensitivity) {
-        const sensitivitySlider = document.getElementById("sensitivity");
-        const sensitivityValue = document.getElementById("sensitivityValue");
-
-        if (sensitivitySlider) {
-          sensitivitySlider.value = savedSensitivity;
-          this.sensitivity = parseFloat(savedSensitivity);
-          console.log("Loaded sensitivity:", savedSensitivity);
-        }
-
-        if (sensitivityValue) {
-          sensitivityValue.textContent =
-            parseFloat(savedSensitivity).toFixed(1);
-        }
-      }
-
-      if (savedHueOffset) {
-        const hueSlider = document.getElementById("hueOffset");
-        const hueValue = document.getElementById("hueOffsetValue");
-        const parsed = parseInt(savedHueOffset, 10);
-        const hue = Number.isFinite(parsed) ? parsed : 200;
-        this.hueOffset = hue;
-        if (hueSlider) hueSlider.value = String(hue);
-        if (hueValue) hueValue.textContent = String(hue);
-        console.log("Loaded hue offset:", hue);
-      }
-
-      // Show feedback if preferences were loaded
-      if (savedVisualType || savedSensitivity || savedHueOffset) {
-        this.showPreferenceFeedback("Preferences loaded!", "info");
-      }
-    } catch (error) {
-      console.warn("Failed to load preferences:", error);
-    }
-  }
-
-  // Clear user preferences (useful for resetting to defaults)
-  clearUserPreferences() {
-    try {
-      localStorage.removeItem("audVis_visualType");
-      localStorage.removeItem("audVis_sensitivity");
-      localStorage.removeItem("audVis_hueOffset");
-      console.log("Preferences cleared");
-
-      // Reset to defaults
-      this.visualType = "frequency3x";
-      this.sensitivity = 1.0;
-      this.hueOffset = 200;
-
-      // Update UI
-      const visualTypeSelect = document.getElementById("visualType");
-      const sensitivitySlider = document.getElementById("sensitivity");
-      const sensitivityValue = document.getElementById("sensitivityValue");
-      const hueSlider = document.getElementById("hueOffset");
-      const hueValue = document.getElementById("hueOffsetValue");
-
-      if (visualTypeSelect) visualTypeSelect.value = this.visualType;
-      if (sensitivitySlider) sensitivitySlider.value = this.sensitivity;
-      if (sensitivityValue)
-        sensitivityValue.textContent = this.sensitivity.toFixed(1);
-      if (hueSlider) hueSlider.value = String(this.hueOffset);
-      if (hueValue) hueValue.textContent = String(this.hueOffset);
-
-      // Show feedback
-      this.showPreferenceFeedback("Preferences reset to defaults!", "info");
-    } catch (error) {
-      console.warn("Failed to clear preferences:", error);
-      this.showPreferenceFeedback("Failed to reset preferences", "error");
-    }
-  }
-
-  // Show preference feedback to user
-  showPreferenceFeedback(message, type = "info") {
-    const statusElement = document.getElementById("statusText");
-    if (statusElement) {
-      const originalText = statusElement.textContent;
-      statusElement.textContent = message;
-
-      // Restore original text after 2 seconds
-      setTimeout(() => {
-        if (statusElement.textContent === message) {
-          statusElement.textContent = originalText;
-        }
-      }, 2000);
-    }
-  }
+      p.vx += tangentX * swirlForce * swirlCoherence;
+      p.vy += tangentY * swirlForce * swirlCoherence;
 
-  // Export preferences as JSON (for backup/sharing)
-  exportPreferences() {
-    try {
-      const preferences = {
-        visualType: document.getElementById("visualType").value,
-        sensitivity: document.getElementById("sensitivity").value,
-        hueOffset:
-          document.getElementById("hueOffset")?.value ??
-          String(this.hueOffset ?? 200),
-        lastUsed: new Date().toISOString(),
-        version: "1.0",
-      };
+      // Lightweight jitter: derived later from a single sin call (see below),
+      // avoids multiple trig calls per particle.
 
-      const dataStr = JSON.stringify(preferences, null, 2);
-      const dataBlob = new Blob([dataStr], { type: "application/json" });
+      const centerPull = 0.00004 * (1 - lowEnergy);
+      p.vx -= dx * centerPull;
+      p.vy -= dy * centerPull;
 
-      const link = document.createElement("a");
-      link.href = URL.createObjectURL(dataBlob);
-      link.download = "audVis_preferences.json";
-      link.click();
+      p.vx *= 0.98;
+      p.vy *= 0.98;
 
-      this.showPreferenceFeedback("Preferences exported!", "success");
-    } catch (error) {
-      console.warn("Failed to export preferences:", error);
-      this.showPreferenceFeedback("Failed to export preferences", "error");
-    }
-  }
+      const speedSq = p.vx * p.vx + p.vy * p.vy;
+      if (speedSq > maxSpeedSq) {
+        const scale = maxSpeed / Math.sqrt(speedSq);
+        p.vx *= scale;
+        p.vy *= scale;
+      }
 
-  // Import preferences from JSON file
-  async importPreferences(file) {
-    try {
-      const text = await file.text();
-      const preferences = JSON.parse(text);
+      p.x += p.vx;
+      p.y += p.vy;
 
       if (
-        preferences.version &&
-        preferences.visualType &&
-        preferences.sensitivity
+        p.x < -offscreenLimit ||
+        p.x > respawnLimitX ||
+        p.y < -offscreenLimit ||
+        p.y > respawnLimitY
       ) {
-        // Update UI with imported preferences
-        const visualTypeSelect = document.getElementById("visualType");
-        const sensitivitySlider = document.getElementById("sensitivity");
-        const sensitivityValue = document.getElementById("sensitivityValue");
+        this.respawnParticleFlowParticle(p, i, frame, cx, cy, minDim);
+        continue;
+      }
 
-        if (visualTypeSelect) {
-          const allowedModes = new Set([
-            "waveform",
-            "circular",
-            "lissajous",
-            "particleFlow",
-            "frequency2x",
-            "frequency3x",
-            "frequency4x",
-            "circles",
-            "audioGeometry",
-            "painter",
-          ]);
-          const mode = allowedModes.has(preferences.visualType)
-            ? preferences.visualType
-            : "frequency3x";
-          visualTypeSelect.value = mode;
-          this.visualType = mode;
-        }
+      p.life += 0.0025 + highEnergy * 0.003 + midEnergy * 0.0015;
+      if (p.life > 1) p.life -= 1;
 
-        if (sensitivitySlider) {
-          sensitivitySlider.value = preferences.sensitivity;
-          this.sensitivity = parseFloat(preferences.sensitivity);
-        }
+      // Avoid a 2nd sqrt: dist = 1 / invDist.
+      const dist = 1 / invDist;
+      const centerMix = 1 - Math.min(1, dist / minDimSafe);
 
-        if (sensitivityValue) {
-          sensitivityValue.textContent = parseFloat(
-            preferences.sensitivity,
-          ).toFixed(1);
-        }
+      // Single trig call per particle: drives both pulse and subtle jitter.
+      const phase = p.life * tau + p.seed;
+      const s = Math.sin(phase);
+      const absS = s < 0 ? -s : s;
 
-        // Save to local storage
-        this.saveUserPreferences();
+      // Use the same sin result for a soft size/brightness pulse.
+      const pulse = 0.88 + 0.12 * absS;
 
-        this.showPreferenceFeedback(
-          "Preferences imported successfully!",
-          "success",
-        );
-      } else {
-        throw new Error("Invalid preferences file format");
-      }
-    } catch (error) {
-      console.warn("Failed to import preferences:", error);
-      this.showPreferenceFeedback("Failed to import preferences", "error");
+      // Very small, smooth jitter based on the same phase.
+      const jitterX = s * jitterForce;
+      const jitterY = (s * 1.31 - 0.2) * jitterForce;
+      p.x += jitterX;
+      p.y += jitterY;
+
+      // Hue is used as an integer for caching (visual match is unchanged).
+      let hue = (baseHueOffset + p.hueOffset) % 360;
+      if (hue < 0) hue += 360;
+      hue = hue | 0;
+      const alpha = clamp(
+        p.alpha * 0.7 + centerMix * 0.24 + highEnergy * 0.12 + hat * 0.18,
+        0.06,
+        0.75,
+      );
+      const sizeBase =
+        1.85 +
+        (i % 5) * 0.32 +
+        lowEnergy * 0.8 +
+        midEnergy * 0.35 +
+        highEnergy * 0.45 +
+        centerMix * 0.7;
+      const size = sizeBase * pulse * 1.3;
+
+      const lightness = (54 + centerMix * 14) | 0;
+      const alphaBucket = Math.max(6, Math.min(75, (alpha * 100 + 0.5) | 0));
+      ctx.fillStyle = getCachedHsla(hue, saturation, lightness, alphaBucket);
+      ctx.fillRect(p.x, p.y, size, size);
     }
   }
 
-  // Update button states based on visualizer status
-  updateButtonStates() {
-    const startBtn = document.getElementById("startBtn");
-    const stopBtn = document.getElementById("stopBtn");
-    const screenShareBtn = document.getElementById("screenShareBtn");
-
-    if (startBtn && stopBtn && screenShareBtn) {
-      if (this.isPlaying) {
-        // Visualizer is running
-        startBtn.disabled = true;
-        screenShareBtn.disabled = true;
-        stopBtn.disabled = false;
-        stopBtn.hidden = false;
+  /**
+   * Spectrogram: each frame paints the current frequencyData as a column
+   * (a row when scrolling vertically) into a ring buffer canvas, `speed`
+   * pixels wide, and the buffer is drawn with the newest column at the
+   * right (or top). Low frequencies sit at the bottom (or left); the axis is
+   * linear up to Nyquist or logarithmic from SPECTROGRAM_MIN_HZ.
+   */
+  drawSpectrogram(state) {
+    const bins = this.frequencyData;
+    if (!this.canvas || !this.ctx || !bins || bins.length === 0) return;
+    const ctx = this.ctx;
+    const w = this.canvas.width;
+    const h = this.canvas.height;
+    if (!w || !h) return;
+    const buffer = this._ensureSpectrogramBuffer(state, w, h);
+    const nyquist =
+      (this.audioContext ? this.audioContext.sampleRate : 48000) / 2;
+    const column = state.column;
+    const rows = state.vertical ? w : h;
+    const length = state.vertical ? h : w;
+    this._mapSpectrogramRows(state, rows, bins.length, nyquist);
+    const lut = this._spectrogramColormap(state);
+
+    // Paint the new column: row r is r-th from the low end of the axis.
+    const pixels = column.data;
+    const start = state.binStart;
+    const end = state.binEnd;
+    const gain = this.sensitivity || 1;
+    for (let r = 0; r < rows; r++) {
+      let peak = 0;
+      for (let b = start[r]; b < end[r]; b++) {
+        if (bins[b] > peak) peak = bins[b];
+      }
+      const c = Math.min(255, (peak * gain) | 0) * 4;
+      const o = (state.vertical ? r : rows - 1 - r) * 4;
+      pixels[o] = lut[c];
+      pixels[o + 1] = lut[c + 1];
+      pixels[o + 2] = lut[c + 2];
+      pixels[o + 3] = 255;
+    }
+    const speed = Math.max(1, Math.round(state.speed));
+    for (let i = 0; i < speed; i++) {
+      // Horizontal heads move right, vertical heads move up; both wrap.
+      state.head = state.vertical
+        ? (state.head - 1 + length) % length
+        : (state.head + 1) % length;
+      if (state.vertical) state.bufferCtx.putImageData(column, 0, state.head);
+      else state.bufferCtx.putImageData(column, state.head, 0);
+    }
 
-        // Update button text to show current state
-        startBtn.textContent = "🎤 Visualizer Active";
-        stopBtn.textContent = "⏸ Pause";
-        stopBtn.setAttribute("aria-label", "Pause visualizer");
-      } else {
-        // Visualizer is stopped
-        startBtn.disabled = false;
-        screenShareBtn.disabled = false;
-        stopBtn.disabled = true;
-        stopBtn.hidden = true;
+    // Columns per second for the time grid, smoothed over frame jitter.
+    const now = this._renderNow();
+    const dt = now - state.lastMs;
+    state.lastMs = now;
+    if (dt > 0 && dt < 500) {
+      state.pxPerSec += ((speed * 1000) / dt - state.pxPerSec) * 0.05;
+    }
 
-        // Reset button text to default
-        startBtn.textContent = "🎤 Start Microphone";
-        stopBtn.textContent = "⏸ Pause";
-        stopBtn.setAttribute("aria-label", "Pause visualizer");
+    // Undo draw()'s energy scale and alpha: the image should stay put.
+    const scale = this.visualScale || 1;
+    ctx.save();
+    ctx.translate(w * 0.5, h * 0.5);
+    ctx.scale(1 / scale, 1 / scale);
+    ctx.translate(-w * 0.5, -h * 0.5);
+    ctx.globalAlpha = 1;
+    ctx.imageSmoothingEnabled = false;
+    if (state.vertical) {
+      // Rows [head, h) are the newest; they go on top.
+      const older = h - state.head;
+      ctx.drawImage(buffer, 0, state.head, w, older, 0, 0, w, older);
+      if (state.head > 0) {
+        ctx.drawImage(buffer, 0, 0, w, state.head, 0, older, w, state.head);
       }
+    } else {
+      // Columns (head, w) are the oldest; they go on the left.
+      const older = w - state.head - 1;
+      if (older > 0) {
+        ctx.drawImage(buffer, state.head + 1, 0, older, h, 0, 0, older, h);
+      }
+      ctx.drawImage(
+        buffer,
+        0,
+        0,
+        state.head + 1,
+        h,
+        older,
+        0,
+        state.head + 1,
+        h,
+      );
     }
+    if (state.grid) this._drawSpectrogramGrid(state, w, h, nyquist);
+    ctx.restore();
   }
 
-  // Try to capture system audio using advanced methods
-  async tryCaptureSystemAudio() {
-    try {
-      // Method 1: Try to capture with system audio constraints
-      const stream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: false,
-          noiseSuppression: false,
-          autoGainControl: false,
-          sampleRate: 48000,
-          channelCount: 2,
-          // Advanced system audio capture attempts
-          googEchoCancellation: false,
-          googNoiseSuppression: false,
-          googAutoGainControl: false,
-          googHighpassFilter: false,
-          googTypingNoiseDetection: false,
-          googAudioMirroring: false,
-          processing: false,
-          latency: 0,
-          // Try to capture from system audio output
-          sourceId: "system",
-          // Additional system audio hints
-          deviceId: "system-audio",
-          groupId: "system-audio-group",
-        },
-      });
-
-      return stream;
-    } catch (error) {
-      console.warn("System audio capture failed:", error);
-      return null;
+  // The ring buffer and column image, rebuilt on resize or a scroll change;
+  // a resize keeps the history, stretched to the new size.
+  _ensureSpectrogramBuffer(state, w, h) {
+    const current = state.buffer;
+    if (
+      current &&
+      current.width === w &&
+      current.height === h &&
+      state.bufferVertical === state.vertical
+    ) {
+      return current;
+    }
+    const buffer = createExportCanvas(w, h);
+    const bufferCtx = buffer.getContext("2d");
+    if (current && state.bufferVertical === state.vertical) {
+      bufferCtx.drawImage(current, 0, 0, w, h);
+    } else {
+      state.head = 0;
     }
+    state.head = Math.min(state.head, (state.vertical ? h : w) - 1);
+    state.buffer = buffer;
+    state.bufferCtx = bufferCtx;
+    state.bufferVertical = state.vertical;
+    state.column = state.vertical
+      ? bufferCtx.createImageData(w, 1)
+      : bufferCtx.createImageData(1, h);
+    return buffer;
   }
 
-  // Try to capture system audio using MediaRecorder approach
-  async tryMediaRecorderSystemAudio() {
-    try {
-      // Method 2: Try to capture system audio using MediaRecorder
-      const stream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: false,
-          noiseSuppression: false,
-          autoGainControl: false,
-          sampleRate: 48000,
-          channelCount: 2,
-          // Try to capture from system audio output
-          sourceId: "system",
-          // Additional constraints for system audio
-          googEchoCancellation: false,
-          googNoiseSuppression: false,
-          googAutoGainControl: false,
-          googHighpassFilter: false,
-          googTypingNoiseDetection: false,
-          googAudioMirroring: false,
-          processing: false,
-          latency: 0,
-        },
-      });
-
-      // Try to create a MediaRecorder to capture system audio
-      const mediaRecorder = new MediaRecorder(stream);
-      const chunks = [];
+  // Frequency of position t (0..1) along the axis.
+  _spectrogramHz(t, nyquist, logScale) {
+    if (!logScale) return t * nyquist;
+    return SPECTROGRAM_MIN_HZ * Math.pow(nyquist / SPECTROGRAM_MIN_HZ, t);
+  }
 
-      mediaRecorder.ondataavailable = (event) => {
-        chunks.push(event.data);
-      };
+  // Which analyser bins each row covers; the loudest of them colors the row.
+  _mapSpectrogramRows(state, rows, binCount, nyquist) {
+    if (
+      state.mapRows === rows &&
+      state.mapBins === binCount &&
+      state.mapLog === state.logScale &&
+      state.mapNyquist === nyquist
+    ) {
+      return;
+    }
+    state.mapRows = rows;
+    state.mapBins = binCount;
+    state.mapLog = state.logScale;
+    state.mapNyquist = nyquist;
+    state.binStart = new Uint16Array(rows);
+    state.binEnd = new Uint16Array(rows);
+    const toBin = (hz) =>
+      Math.min(binCount, Math.floor((hz / nyquist) * binCount));
+    for (let r = 0; r < rows; r++) {
+      const lo = toBin(this._spectrogramHz(r / rows, nyquist, state.logScale));
+      const hi = toBin(
+        this._spectrogramHz((r + 1) / rows, nyquist, state.logScale),
+      );
+      state.binStart[r] = Math.min(lo, binCount - 1);
+      state.binEnd[r] = Math.max(hi, state.binStart[r] + 1);
+    }
+    state.gridLines = SPECTROGRAM_GRID_HZ[state.logScale ? "log" : "linear"]
+      .filter(
+        (hz) => hz < nyquist && (!state.logScale || hz > SPECTROGRAM_MIN_HZ),
+      )
+      .map((hz) => ({
+        t: state.logScale
+          ? Math.log(hz / SPECTROGRAM_MIN_HZ) /
+            Math.log(nyquist / SPECTROGRAM_MIN_HZ)
+          : hz / nyquist,
+        label: hz >= 1000 ? `${hz / 1000} kHz` : `${hz} Hz`,
+      }));
+  }
 
-      mediaRecorder.onstop = () => {
-        const blob = new Blob(chunks, { type: "audio/webm" });
-        const url = URL.createObjectURL(blob);
-        // Use the captured audio
-        this.processCapturedAudio(url);
-      };
+  // 256 RGBA entries for the current colormap. "hue" follows getHue(), so it
+  // is rebuilt whenever the rounded hue moves.
+  _spectrogramColormap(state) {
+    const hue = state.colormap === "hue" ? Math.round(this.getHue(0)) : 0;
+    if (state.lutMap === state.colormap && state.lutHue === hue) {
+      return state.lut;
+    }
+    state.lutMap = state.colormap;
+    state.lutHue = hue;
+    const lut = state.lut || (state.lut = new Uint8Array(256 * 4));
+    const stops = SPECTROGRAM_COLORMAPS[state.colormap];
+    for (let i = 0; i < 256; i++) {
+      const v = i / 255;
+      if (stops) {
+        const pos = v * (stops.length - 1);
+        const k = Math.min(stops.length - 2, Math.floor(pos));
+        const a = stops[k];
+        const b = stops[k + 1];
+        const f = pos - k;
+        lut[i * 4] = lerp(a[0], b[0], f);
+        lut[i * 4 + 1] = lerp(a[1], b[1], f);
+        lut[i * 4 + 2] = lerp(a[2], b[2], f);
+      } else {
+        // Hue: quiet bins sit 240° away from the current hue, loud ones on it.
+        hslToRgbBytes(hue + (1 - v) * 240, 0.9, 0.04 + v * 0.56, lut, i * 4);
+      }
+      lut[i * 4 + 3] = 255;
+    }
+    return lut;
+  }
 
-      return stream;
-    } catch (error) {
-      console.warn("MediaRecorder system audio capture failed:", error);
-      return null;
+  // Frequency lines with Hz labels, and a line per second back from the
+  // newest column.
+  _drawSpectrogramGrid(state, w, h, nyquist) {
+    const ctx = this.ctx;
+    const vertical = state.vertical;
+    const rows = vertical ? w : h;
+    const length = vertical ? h : w;
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.18)";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+    ctx.lineWidth = 1;
+    ctx.font = "11px system-ui, sans-serif";
+    ctx.textBaseline = "bottom";
+    ctx.beginPath();
+    for (const line of state.gridLines) {
+      const p =
+        Math.round(vertical ? line.t * rows : rows - line.t * rows) + 0.5;
+      if (vertical) {
+        ctx.moveTo(p, 0);
+        ctx.lineTo(p, h);
+      } else {
+        ctx.moveTo(0, p);
+        ctx.lineTo(w, p);
+      }
+    }
+    const pxPerSec = state.pxPerSec;
+    const seconds = pxPerSec > 0 ? Math.floor(length / pxPerSec) : 0;
+    for (let s = 1; s <= seconds; s++) {
+      const p = Math.round(vertical ? s * pxPerSec : w - s * pxPerSec) + 0.5;
+      if (vertical) {
+        ctx.moveTo(0, p);
+        ctx.lineTo(w, p);
+      } else {
+        ctx.moveTo(p, 0);
+        ctx.lineTo(p, h);
+      }
+    }
+    ctx.stroke();
+    // Labels run from the low end and skip any that would crowd the last one
+    // drawn or fall off the high end.
+    const gap = vertical ? 44 : 14;
+    let last = -Infinity;
+    for (const line of state.gridLines) {
+      const d = line.t * rows;
+      if (d - last < gap || rows - d < gap) continue;
+      last = d;
+      if (vertical) ctx.fillText(line.label, d + 3, h - 4);
+      else ctx.fillText(line.label, 4, rows - d - 2);
+    }
+    const labels = state.timeLabels;
+    for (let s = 1; s <= seconds; s++) {
+      const label = labels[s] || (labels[s] = `-${s} s`);
+      const p = vertical ? s * pxPerSec : w - s * pxPerSec;
+      if (vertical) ctx.fillText(label, w - 32, p - 2);
+      else ctx.fillText(label, p + 3, 14);
     }
   }
 
-  // Try to capture system audio using getDisplayMedia (screen sharing with audio)
-  async tryDisplayMediaSystemAudio() {
-    try {
-      // Method 3: Try to capture system audio using screen sharing with audio
-      if (navigator.mediaDevices.getDisplayMedia) {
-        const stream = await navigator.mediaDevices.getDisplayMedia({
-          audio: {
-            echoCancellation: false,
-            noiseSuppression: false,
-            autoGainControl: false,
-            sampleRate: 48000,
-            channelCount: 2,
-          },
-          video: false, // We only want audio
-        });
+  updateStatus(message, type = "active") {
+    const statusElement = document.getElementById("statusText");
+    const statusContainer = document.querySelector(".status");
 
-        // Check if we got audio tracks
-        if (stream.getAudioTracks().length > 0) {
-          console.log("Display media system audio capture successful!");
-          return stream;
-        } else {
-          // No audio tracks, close the stream
-          stream.getTracks().forEach((track) => track.stop());
-          return null;
-        }
-      }
-      return null;
-    } catch (error) {
-      console.warn("Display media system audio capture failed:", error);
-      return null;
+    if (statusElement) {
+      statusElement.textContent = message;
+    }
+    if (statusContainer) {
+      statusContainer.className = `status ${type}`;
     }
   }
 
-  // Try to capture system audio using alternative methods
-  async tryAlternativeSystemAudio() {
+  // Save user preferences to local storage
+  saveUserPreferences() {
     try {
-      // Try different constraint combinations that might work on some devices
-      const constraints = [
-        // Samsung/Android specific
-        {
-          audio: {
-            echoCancellation: false,
-            noiseSuppression: false,
-            autoGainControl: false,
-            sampleRate: 48000,
-            channelCount: 2,
-            googEchoCancellation: false,
-            googNoiseSuppression: false,
-            googAutoGainControl: false,
-            // Samsung specific
-            samsungEchoCancellation: false,
-            samsungNoiseSuppression: false,
-          },
-        },
-        // iOS specific
-        {
-          audio: {
-            echoCancellation: false,
-            noiseSuppression: false,
-            autoGainControl: false,
-            sampleRate: 48000,
-            channelCount: 2,
-            // iOS specific
-            iosEchoCancellation: false,
-            iosNoiseSuppression: false,
-          },
-        },
-        // Generic high-quality
-        {
-          audio: {
-            echoCancellation: false,
-            noiseSuppression: false,
-            autoGainControl: false,
-            sampleRate: 96000,
-            channelCount: 2,
-            latency: 0,
-            processing: false,
-          },
-        },
-      ];
+      const look = this._preferredLook();
+      localStorage.setItem("audVis_visualType", look.visualType);
+      localStorage.setItem("audVis_sensitivity", String(look.sensitivity));
+      localStorage.setItem("audVis_hueOffset", String(look.hueOffset));
+      localStorage.setItem("audVis_inputDeviceId", this.inputDeviceId);
+      const analyser = this.analyserSettings;
+      localStorage.setItem("audVis_fftSize", String(analyser.fftSize));
+      localStorage.setItem(
+        "audVis_smoothing",
+        String(analyser.smoothingTimeConstant),
+      );
+      localStorage.setItem("audVis_minDecibels", String(analyser.minDecibels));
+      localStorage.setItem("audVis_maxDecibels", String(analyser.maxDecibels));
+      localStorage.setItem("audVis_bandScale", this.bandScale);
+      localStorage.setItem("audVis_bandCount", String(this.bandCount));
+      localStorage.setItem("audVis_pitchOverlay", String(this.pitchOverlay));
+      localStorage.setItem("audVis_pitchColor", String(this.pitchColor));
+      localStorage.setItem("audVis_keyColor", String(this.keyColor));
+      localStorage.setItem(
+        "audVis_loudnessOverlay",
+        String(this.loudnessOverlay),
+      );
+      localStorage.setItem("audVis_workerRender", String(this.workerRender));
+      localStorage.setItem(
+        "audVis_recordFps",
+        String(this.recordingSettings.fps),
+      );
+      localStorage.setItem(
+        "audVis_recordBitrate",
+        String(this.recordingSettings.videoBitsPerSecond),
+      );
+      localStorage.setItem(
+        "audVis_snapshotScale",
+        String(this.snapshotSettings.scale),
+      );
+      localStorage.setItem(
+        "audVis_snapshotRerender",
+        String(this.snapshotSettings.rerender),
+      );
+      localStorage.setItem(
+        "audVis_snapshotTransparent",
+        String(this.snapshotSettings.transparent),
+      );
+      localStorage.setItem("audVis_offlineSize", this.offlineSettings.size);
+      localStorage.setItem(
+        "audVis_offlineFps",
+        String(this.offlineSettings.fps),
+      );
+      localStorage.setItem("audVis_offlineFormat", this.offlineSettings.format);
+      localStorage.setItem("audVis_modeParams", JSON.stringify(look.params));
+      const playlist = this.playlistSettings;
+      localStorage.setItem("audVis_playlistTransition", playlist.transition);
+      localStorage.setItem(
+        "audVis_playlistCrossfade",
+        String(playlist.crossfadeSec),
+      );
+      localStorage.setItem("audVis_playlistShuffle", String(playlist.shuffle));
+      localStorage.setItem("audVis_playlistRepeat", playlist.repeat);
+      const auto = this.autoModeSettings;
+      localStorage.setItem("audVis_autoMode", auto.mode);
+      localStorage.setItem("audVis_autoModeBars", String(auto.bars));
+      localStorage.setItem("audVis_autoModeAlign", auto.align);
+      localStorage.setItem("audVis_autoModeList", auto.modes.join(","));
+      localStorage.setItem("audVis_modeTransition", this.modeTransition.style);
+      localStorage.setItem(
+        "audVis_modeTransitionMs",
+        String(this.modeTransition.durationMs),
+      );
 
-      for (const constraint of constraints) {
-        try {
-          const stream = await navigator.mediaDevices.getUserMedia(constraint);
-          console.log(
-            "Alternative system audio capture successful with constraints:",
-            constraint,
-          );
-          return stream;
-        } catch (error) {
-          console.warn("Alternative constraint failed:", error);
-          continue;
-        }
-      }
+      // Save additional preferences
+      localStorage.setItem("audVis_lastUsed", new Date().toISOString());
 
-      return null;
+      console.log("Preferences saved:", {
+        visualType: look.visualType,
+        sensitivity: look.sensitivity,
+        hueOffset: look.hueOffset,
+      });
+
+      // Show brief visual feedback
+      this.showPreferenceFeedback("Preferences saved!", "success");
     } catch (error) {
-      console.warn("All alternative system audio methods failed:", error);
-      return null;
+      console.warn("Failed to save preferences:", error);
+      this.showPreferenceFeedback("Failed to save preferences", "error");
     }
   }
 
-  // Try to capture system audio using AudioWorklet and advanced Web Audio methods
-  async tryAudioWorkletCapture() {
+  // Load user preferences from local storage
+  loadUserPreferences() {
     try {
-      // Method: Try to use AudioWorklet for system audio capture
-      if (window.AudioWorklet) {
-        const audioContext = new (
-          window.AudioContext || window.webkitAudioContext
-        )();
+      const savedVisualType = localStorage.getItem("audVis_visualType");
+      const savedSensitivity = localStorage.getItem("audVis_sensitivity");
+      const savedHueOffset = localStorage.getItem("audVis_hueOffset");
+      const savedInputDeviceId = localStorage.getItem("audVis_inputDeviceId");
+      const savedAnalyser = {
+        fftSize: localStorage.getItem("audVis_fftSize"),
+        smoothingTimeConstant: localStorage.getItem("audVis_smoothing"),
+        minDecibels: localStorage.getItem("audVis_minDecibels"),
+        maxDecibels: localStorage.getItem("audVis_maxDecibels"),
+      };
 
-        // Try to create a MediaStreamDestination that might capture system audio
-        const destination = audioContext.createMediaStreamDestination();
+      if (savedVisualType) {
+        const mode = visualizationRegistry.has(savedVisualType)
+          ? savedVisualType
+          : "frequency3x";
+        // Also re-renders the mode settings panel built for the default mode.
+        this.setVisualType(mode);
+        console.log("Loaded visual type:", mode);
+      }
 
-        // Try to get system audio using getUserMedia with specific constraints
-        const stream = await navigator.mediaDevices.getUserMedia({
-          audio: {
-            echoCancellation: false,
-            noiseSuppression: false,
-            autoGainControl: false,
-            sampleRate: 48000,
-            channelCount: 2,
-            // Try to capture system audio specifically
-            sourceId: "system",
-            googEchoCancellation: false,
-            googNoiseSuppression: false,
-            googAutoGainControl: false,
-            googHighpassFilter: false,
-            googTypingNoiseDetection: false,
-            googAudioMirroring: false,
-            processing: false,
-            latency: 0,
-            // Additional system audio hints
-            deviceId: "system-audio",
-            groupId: "system-audio-group",
-          },
-        });
+      if (savedSensitivity) {
+        const sensitivitySlider = document.getElementById("sensitivity");
+        const sensitivityValue = document.getElementById("sensitivityValue");
 
-        // Create a source from the stream and connect it to the destination
-        const source = audioContext.createMediaStreamSource(stream);
-        source.connect(destination);
+        if (sensitivitySlider) {
+          sensitivitySlider.value = savedSensitivity;
+          this.sensitivity = parseFloat(savedSensitivity);
+          console.log("Loaded sensitivity:", savedSensitivity);
+        }
 
-        // Also try to connect to the audio context's destination to capture system audio
-        if (audioContext.destination) {
-          source.connect(audioContext.destination);
+        if (sensitivityValue) {
+          sensitivityValue.textContent =
+            parseFloat(savedSensitivity).toFixed(1);
         }
+      }
 
-        return destination.stream;
+      if (savedHueOffset) {
+        const hueSlider = document.getElementById("hueOffset");
+        const hueValue = document.getElementById("hueOffsetValue");
+        const parsed = parseInt(savedHueOffset, 10);
+        const hue = Number.isFinite(parsed) ? parsed : 200;
+        this.hueOffset = hue;
+        if (hueSlider) hueSlider.value = String(hue);
+        if (hueValue) hueValue.textContent = String(hue);
+        console.log("Loaded hue offset:", hue);
       }
 
-      return null;
-    } catch (error) {
-      console.warn("AudioWorklet system audio capture failed:", error);
-      return null;
-    }
-  }
+      if (savedInputDeviceId) {
+        // Applied to the picker once enumerateDevices() resolves.
+        this.inputDeviceId = savedInputDeviceId;
+        const inputSelect = document.getElementById("inputDevice");
+        if (inputSelect) inputSelect.value = savedInputDeviceId;
+      }
 
-  // Try to capture system audio using audio output monitoring
-  async tryAudioOutputCapture() {
-    try {
-      // Method: Try to capture from audio output devices
-      const devices = await navigator.mediaDevices.enumerateDevices();
-      const audioOutputDevices = devices.filter(
-        (device) =>
-          device.kind === "audiooutput" ||
-          device.label.toLowerCase().includes("speaker") ||
-          device.label.toLowerCase().includes("output") ||
-          device.label.toLowerCase().includes("system"),
+      // Invalid or missing values are ignored by setAnalyserSettings()/setBandMapping().
+      this.setAnalyserSettings(savedAnalyser);
+      this.setBandMapping({
+        scale: localStorage.getItem("audVis_bandScale"),
+        bandCount: localStorage.getItem("audVis_bandCount"),
+      });
+      this.setPitchOverlayVisible(
+        localStorage.getItem("audVis_pitchOverlay") === "true",
       );
-
-      if (audioOutputDevices.length > 0) {
-        console.log("Found audio output devices:", audioOutputDevices);
-
-        // Try to capture from the first available audio output device
-        for (const device of audioOutputDevices) {
-          try {
-            const stream = await navigator.mediaDevices.getUserMedia({
-              audio: {
-                deviceId: { exact: device.deviceId },
-                echoCancellation: false,
-                noiseSuppression: false,
-                autoGainControl: false,
-                sampleRate: 48000,
-                channelCount: 2,
-                // Try to capture system audio
-                googEchoCancellation: false,
-                googNoiseSuppression: false,
-                googAutoGainControl: false,
-                processing: false,
-                latency: 0,
-              },
-            });
-
-            console.log(
-              "Audio output device capture successful:",
-              device.label,
-            );
-            return stream;
-          } catch (error) {
-            console.warn(
-              `Failed to capture from device ${device.label}:`,
-              error,
-            );
-            continue;
-          }
+      this.setPitchColor(localStorage.getItem("audVis_pitchColor") === "true");
+      this.setKeyColor(localStorage.getItem("audVis_keyColor") === "true");
+      this.setLoudnessOverlayVisible(
+        localStorage.getItem("audVis_loudnessOverlay") === "true",
+      );
+      this.setWorkerRender(
+        localStorage.getItem("audVis_workerRender") === "true",
+      );
+      this.setRecordingSettings({
+        fps: localStorage.getItem("audVis_recordFps"),
+        videoBitsPerSecond: localStorage.getItem("audVis_recordBitrate"),
+      });
+      const savedRerender = localStorage.getItem("audVis_snapshotRerender");
+      this.setSnapshotSettings({
+        scale: localStorage.getItem("audVis_snapshotScale"),
+        rerender: savedRerender === null ? undefined : savedRerender === "true",
+        transparent:
+          localStorage.getItem("audVis_snapshotTransparent") === "true",
+      });
+      this.setOfflineSettings({
+        size: localStorage.getItem("audVis_offlineSize"),
+        fps: localStorage.getItem("audVis_offlineFps"),
+        format: localStorage.getItem("audVis_offlineFormat"),
+      });
+      this.setPlaylistSettings({
+        transition: localStorage.getItem("audVis_playlistTransition"),
+        crossfadeSec: localStorage.getItem("audVis_playlistCrossfade"),
+        shuffle: localStorage.getItem("audVis_playlistShuffle") === "true",
+        repeat: localStorage.getItem("audVis_playlistRepeat"),
+      });
+      this.setModeTransition({
+        style: localStorage.getItem("audVis_modeTransition"),
+        durationMs: localStorage.getItem("audVis_modeTransitionMs"),
+      });
+      const autoModeList = localStorage.getItem("audVis_autoModeList");
+      this.setAutoModeSettings({
+        mode: localStorage.getItem("audVis_autoMode"),
+        bars: localStorage.getItem("audVis_autoModeBars"),
+        align: localStorage.getItem("audVis_autoModeAlign"),
+        modes: autoModeList ? autoModeList.split(",") : undefined,
+      });
+      const savedModeParams = localStorage.getItem("audVis_modeParams");
+      if (savedModeParams) {
+        try {
+          this.applyModeParams(JSON.parse(savedModeParams));
+        } catch (error) {
+          console.warn("Ignoring unreadable mode parameters:", error);
         }
       }
-
-      return null;
+
+      // Show feedback if preferences were loaded
+      if (savedVisualType || savedSensitivity || savedHueOffset) {
+        this.showPreferenceFeedback("Preferences loaded!", "info");
+      }
     } catch (error) {
-      console.warn("Audio output capture failed:", error);
-      return null;
+      console.warn("Failed to load preferences:", error);
     }
   }
 
-  // Try to capture system audio using audio context monitoring
-  async tryAudioContextCapture() {
+  // Clear user preferences (useful for resetting to defaults)
+  clearUserPreferences() {
     try {
-      // Method: Try to create an audio context that might capture system audio
-      const audioContext = new (
-        window.AudioContext || window.webkitAudioContext
-      )();
-
-      // Try to create a MediaStreamDestination to capture system audio
-      const destination = audioContext.createMediaStreamDestination();
+      localStorage.removeItem("audVis_visualType");
+      localStorage.removeItem("audVis_sensitivity");
+      localStorage.removeItem("audVis_hueOffset");
+      localStorage.removeItem("audVis_inputDeviceId");
+      localStorage.removeItem("audVis_fftSize");
+      localStorage.removeItem("audVis_smoothing");
+      localStorage.removeItem("audVis_minDecibels");
+      localStorage.removeItem("audVis_maxDecibels");
+      localStorage.removeItem("audVis_bandScale");
+      localStorage.removeItem("audVis_bandCount");
+      localStorage.removeItem("audVis_pitchOverlay");
+      localStorage.removeItem("audVis_pitchColor");
+      localStorage.removeItem("audVis_keyColor");
+      localStorage.removeItem("audVis_loudnessOverlay");
+      localStorage.removeItem("audVis_workerRender");
+      localStorage.removeItem("audVis_recordFps");
+      localStorage.removeItem("audVis_recordBitrate");
+      localStorage.removeItem("audVis_snapshotScale");
+      localStorage.removeItem("audVis_snapshotRerender");
+      localStorage.removeItem("audVis_snapshotTransparent");
+      localStorage.removeItem("audVis_offlineSize");
+      localStorage.removeItem("audVis_offlineFps");
+      localStorage.removeItem("audVis_offlineFormat");
+      localStorage.removeItem("audVis_modeParams");
+      localStorage.removeItem("audVis_playlistTransition");
+      localStorage.removeItem("audVis_playlistCrossfade");
+      localStorage.removeItem("audVis_playlistShuffle");
+      localStorage.removeItem("audVis_playlistRepeat");
+      localStorage.removeItem("audVis_trackLooks");
+      localStorage.removeItem("audVis_autoMode");
+      localStorage.removeItem("audVis_autoModeBars");
+      localStorage.removeItem("audVis_autoModeAlign");
+      localStorage.removeItem("audVis_autoModeList");
+      localStorage.removeItem("audVis_modeTransition");
+      localStorage.removeItem("audVis_modeTransitionMs");
+      console.log("Preferences cleared");
 
-      // Try to connect to system audio sources if available
-      if (navigator.mediaDevices.getUserMedia) {
-        const stream = await navigator.mediaDevices.getUserMedia({
-          audio: {
-            echoCancellation: false,
-            noiseSuppression: false,
-            autoGainControl: false,
-            sampleRate: 48000,
-            channelCount: 2,
-            // Try to capture from system audio
-            sourceId: "system",
-            googEchoCancellation: false,
-            googNoiseSuppression: false,
-            googAutoGainControl: false,
-            processing: false,
-            latency: 0,
-          },
-        });
+      // Reset to defaults
+      this.setVisualType("frequency3x");
+      this.sensitivity = 1.0;
+      this.hueOffset = 200;
+      this.inputDeviceId = "";
+      this.setAnalyserSettings(ANALYSER_DEFAULTS);
+      this.setBandMapping(BAND_DEFAULTS);
+      this.setPitchOverlayVisible(false);
+      this.setPitchColor(false);
+      this.setKeyColor(false);
+      this.setLoudnessOverlayVisible(false);
+      this.setWorkerRender(false);
+      this.setRecordingSettings(RECORDING_DEFAULTS);
+      this.setSnapshotSettings(SNAPSHOT_DEFAULTS);
+      this.setOfflineSettings(OFFLINE_DEFAULTS);
+      this.applyModeParams(defaultModeParams());
+      this.setPlaylistSettings(PLAYLIST_DEFAULTS);
+      this.setAutoModeSettings(AUTO_MODE_DEFAULTS);
+      this.setModeTransition(MODE_TRANSITION_DEFAULTS);
+      for (const track of this.playlist.tracks) track.look = null;
+      this.renderPlaylist();
 
-        // Connect the stream to the destination
-        const source = audioContext.createMediaStreamSource(stream);
-        source.connect(destination);
+      // Update UI
+      const visualTypeSelect = document.getElementById("visualType");
+      const sensitivitySlider = document.getElementById("sensitivity");
+      const sensitivityValue = document.getElementById("sensitivityValue");
+      const hueSlider = document.getElementById("hueOffset");
+      const hueValue = document.getElementById("hueOffsetValue");
 
-        return destination.stream;
-      }
+      if (visualTypeSelect) visualTypeSelect.value = this.visualType;
+      if (sensitivitySlider) sensitivitySlider.value = this.sensitivity;
+      if (sensitivityValue)
+        sensitivityValue.textContent = this.sensitivity.toFixed(1);
+      if (hueSlider) hueSlider.value = String(this.hueOffset);
+      if (hueValue) hueValue.textContent = String(this.hueOffset);
+      const inputSelect = document.getElementById("inputDevice");
+      if (inputSelect) inputSelect.value = "";
 
-      return null;
+      // Show feedback
+      this.showPreferenceFeedback("Preferences reset to defaults!", "info");
     } catch (error) {
-      console.warn("Audio context capture failed:", error);
-      return null;
+      console.warn("Failed to clear preferences:", error);
+      this.showPreferenceFeedback("Failed to reset preferences", "error");
     }
   }
 
-  // Detect the type of audio being captured
-  detectAudioSource(stream) {
-    const audioTrack = stream.getAudioTracks()[0];
-    const trackLabel = audioTrack.label || "";
-    const trackId = audioTrack.id || "";
+  // Show preference feedback to user
+  showPreferenceFeedback(message, type = "info") {
+    const statusElement = document.getElementById("statusText");
+    if (statusElement) {
+      const originalText = statusElement.textContent;
+      statusElement.textContent = message;
 
-    // Check if this appears to be audio output device capture
-    if (
-      trackLabel.toLowerCase().includes("speaker") ||
-      trackLabel.toLowerCase().includes("output") ||
-      trackLabel.toLowerCase().includes("headphone") ||
-      trackLabel.toLowerCase().includes("audioout") ||
-      trackId.toLowerCase().includes("speaker") ||
-      trackId.toLowerCase().includes("output") ||
-      trackId.toLowerCase().includes("headphone")
-    ) {
-      return "audiooutput";
+      // Restore original text after 2 seconds
+      setTimeout(() => {
+        if (statusElement.textContent === message) {
+          statusElement.textContent = originalText;
+        }
+      }, 2000);
     }
+  }
 
-    // Check if this appears to be system audio
-    if (
-      trackLabel.toLowerCase().includes("system") ||
-      trackLabel.toLowerCase().includes("output") ||
-      trackLabel.toLowerCase().includes("speaker") ||
-      trackId.toLowerCase().includes("system") ||
-      trackId.toLowerCase().includes("output")
-    ) {
-      return "system";
-    }
+  // Export preferences, mode parameters and named presets as JSON (for backup/sharing)
+  async exportPreferences() {
+    try {
+      let presets = [];
+      if (this.presets) {
+        try {
+          presets = await this.presets.list();
+        } catch (error) {
+          console.warn("Exporting without presets:", error);
+        }
+      }
+      const { visualType, sensitivity, hueOffset, params } =
+        this._preferredLook();
+      const preferences = {
+        visualType,
+        sensitivity: String(sensitivity),
+        hueOffset: String(hueOffset),
+        params,
+        presets,
+        lastUsed: new Date().toISOString(),
+        version: PREFERENCES_SCHEMA_VERSION,
+      };
 
-    // Check if this appears to be audio context capture
-    if (
-      trackLabel.toLowerCase().includes("audiocontext") ||
-      trackLabel.toLowerCase().includes("destination") ||
-      trackLabel.toLowerCase().includes("monitor") ||
-      trackId.toLowerCase().includes("audiocontext") ||
-      trackId.toLowerCase().includes("destination")
-    ) {
-      return "audiocontext";
-    }
+      const dataStr = JSON.stringify(preferences, null, 2);
+      const dataBlob = new Blob([dataStr], { type: "application/json" });
+      this._downloadBlob(dataBlob, "audVis_preferences.json");
 
-    // Check if this appears to be AudioWorklet capture
-    if (
-      trackLabel.toLowerCase().includes("audioworklet") ||
-      trackLabel.toLowerCase().includes("worklet") ||
-      trackLabel.toLowerCase().includes("processor") ||
-      trackId.toLowerCase().includes("audioworklet") ||
-      trackId.toLowerCase().includes("worklet")
-    ) {
-      return "audioworklet";
+      this.showPreferenceFeedback("Preferences exported!", "success");
+    } catch (error) {
+      console.warn("Failed to export preferences:", error);
+      this.showPreferenceFeedback("Failed to export preferences", "error");
     }
+  }
 
-    // Check if this appears to be alternative system audio
-    if (
-      trackLabel.toLowerCase().includes("alternative") ||
-      trackLabel.toLowerCase().includes("samsung") ||
-      trackLabel.toLowerCase().includes("ios") ||
-      trackLabel.toLowerCase().includes("high-quality") ||
-      trackId.toLowerCase().includes("alternative") ||
-      trackId.toLowerCase().includes("samsung") ||
-      trackId.toLowerCase().includes("ios")
-    ) {
-      return "alternative";
-    }
+  // Import preferences from JSON file
+  async importPreferences(file) {
+    try {
+      const text = await file.text();
+      const preferences = JSON.parse(text);
 
-    // Check if this appears to be display media audio
-    if (
-      trackLabel.toLowerCase().includes("display") ||
-      trackLabel.toLowerCase().includes("screen") ||
-      trackLabel.toLowerCase().includes("tab") ||
-      trackLabel.toLowerCase().includes("window") ||
-      trackId.toLowerCase().includes("display") ||
-      trackId.toLowerCase().includes("screen")
-    ) {
-      return "display";
-    }
+      if (
+        preferences.version &&
+        preferences.visualType &&
+        preferences.sensitivity
+      ) {
+        // Update UI with imported preferences
+        const visualTypeSelect = document.getElementById("visualType");
+        const sensitivitySlider = document.getElementById("sensitivity");
+        const sensitivityValue = document.getElementById("sensitivityValue");
 
-    // Check if this appears to be enhanced microphone
-    if (
-      trackLabel.toLowerCase().includes("enhanced") ||
-      trackLabel.toLowerCase().includes("high") ||
-      trackLabel.toLowerCase().includes("quality")
-    ) {
-      return "enhanced";
-    }
+        if (visualTypeSelect) {
+          const mode = visualizationRegistry.has(preferences.visualType)
+            ? preferences.visualType
+            : "frequency3x";
+          this.setVisualType(mode);
+        }
 
-    // Default to basic microphone
-    return "basic";
+        if (sensitivitySlider) {
+          sensitivitySlider.value = preferences.sensitivity;
+          this.sensitivity = parseFloat(preferences.sensitivity);
+        }
+
+        if (sensitivityValue) {
+          sensitivityValue.textContent = parseFloat(
+            preferences.sensitivity,
+          ).toFixed(1);
+        }
+
+        // Schema 2.0 adds hue, mode parameters and named presets.
+        if (preferences.hueOffset != null) {
+          this.setHueOffset(preferences.hueOffset);
+        }
+        this.applyModeParams(preferences.params);
+        if (Array.isArray(preferences.presets) && this.presets) {
+          for (const entry of preferences.presets) {
+            const preset = this._normalizePreset(entry);
+            if (preset) await this.presets.put(preset);
+          }
+          await this.refreshPresetList();
+        }
+
+        // Save to local storage
+        this.saveUserPreferences();
+
+        this.showPreferenceFeedback(
+          "Preferences imported successfully!",
+          "success",
+        );
+      } else {
+        throw new Error("Invalid preferences file format");
+      }
+    } catch (error) {
+      console.warn("Failed to import preferences:", error);
+      this.showPreferenceFeedback("Failed to import preferences", "error");
+    }
   }
 
-  // Process captured audio from MediaRecorder
-  processCapturedAudio(audioUrl) {
-    // This method would process the captured system audio
-    // For now, we'll use it as a fallback
-    console.log("Processing captured system audio:", audioUrl);
+  // Update button states based on visualizer status
+  updateButtonStates() {
+    const startBtn = document.getElementById("startBtn");
+    const stopBtn = document.getElementById("stopBtn");
+    const screenShareBtn = document.getElementById("screenShareBtn");
+
+    if (startBtn && stopBtn && screenShareBtn) {
+      if (this.isPlaying) {
+        // Visualizer is running
+        startBtn.disabled = true;
+        screenShareBtn.disabled = true;
+        stopBtn.disabled = false;
+        stopBtn.hidden = false;
+
+        // Update button text to show current state
+        startBtn.textContent = "🎤 Visualizer Active";
+        stopBtn.textContent = "⏸ Pause";
+        stopBtn.setAttribute("aria-label", "Pause visualizer");
+      } else {
+        // Visualizer is stopped
+        startBtn.disabled = false;
+        screenShareBtn.disabled = false;
+        stopBtn.disabled = true;
+        stopBtn.hidden = true;
+
+        // Reset button text to default
+        startBtn.textContent = "🎤 Start Microphone";
+        stopBtn.textContent = "⏸ Pause";
+        stopBtn.setAttribute("aria-label", "Pause visualizer");
+      }
+    }
   }
 }
 
@@ -2,8 +2,8 @@
  * Streaming Service for Audio Visualizer
  * Handles YouTube, Spotify, and Apple Music streaming
  *
- * Status (2026-03 audit):
- * - This module is currently **experimental** and **not integrated** into `index.html` / `script.js`.
+ * Status:
+ * - Loaded by `index.html` and driven by the Stream URL bar (`AudioVisualizer.startStreamUrl()`).
  * - It can detect platforms and generate a synthetic demo audio stream for visualization, but it does
  *   not fetch or play real third-party streams (API keys + platform SDKs would be required).
  */
@@ -180,23 +180,32 @@ class StreamingService {
    * Create a robust demo audio stream for visualization
    * @param {string} platform - The platform name
    * @param {string} mediaId - The media ID
+   * @param {Object} [options] - Optional host graph to render into
+   * @param {AudioContext} [options.audioContext] - Shared context (not closed on stop)
+   * @param {AudioNode} [options.destination] - Node to connect into instead of an own analyser
+   * @param {number} [options.fftSize] - Own analyser resolution (default 256)
    * @returns {Promise<Object>} - Audio context and analyzer
    */
-  async createDemoStream(platform, mediaId) {
+  async createDemoStream(platform, mediaId, options = {}) {
     return new Promise(async (resolve, reject) => {
       try {
-        // Create audio context
-        const audioContext = new (window.AudioContext ||
-          window.webkitAudioContext)();
+        // Use the caller's audio context when given, otherwise create one
+        const ownsContext = !options.audioContext;
+        const audioContext =
+          options.audioContext ||
+          new (window.AudioContext || window.webkitAudioContext)();
 
         // Resume audio context (required for modern browsers)
         if (audioContext.state === "suspended") {
           await audioContext.resume();
         }
 
-        const analyser = audioContext.createAnalyser();
-        analyser.fftSize = 256;
-        analyser.smoothingTimeConstant = 0.8;
+        let analyser = null;
+        if (!options.destination) {
+          analyser = audioContext.createAnalyser();
+          analyser.fftSize = options.fftSize || 256;
+          analyser.smoothingTimeConstant = 0.8;
+        }
 
         // Create a more complex and robust demo audio pattern
         const oscillator = audioContext.createOscillator();
@@ -215,8 +224,12 @@ class StreamingService {
         oscillator.connect(filterNode);
         filterNode.connect(compressor);
         compressor.connect(gainNode);
-        gainNode.connect(analyser);
-        analyser.connect(audioContext.destination);
+        if (options.destination) {
+          gainNode.connect(options.destination);
+        } else {
+          gainNode.connect(analyser);
+          analyser.connect(audioContext.destination);
+        }
 
         // Set up filter for more interesting audio
         filterNode.type = "lowpass";
@@ -263,6 +276,7 @@ class StreamingService {
 
         resolve({
           audioContext,
+          ownsContext,
           analyser,
           oscillator,
           gainNode,
@@ -289,7 +303,15 @@ class StreamingService {
         stream.oscillator.stop();
       }
 
-      if (stream.audioContext && stream.audioContext.state !== "closed") {
+      if (stream.ownsContext === false) {
+        // Shared context belongs to the caller; only detach our nodes
+        if (stream.volumeGain) {
+          stream.volumeGain.disconnect();
+        }
+      } else if (
+        stream.audioContext &&
+        stream.audioContext.state !== "closed"
+      ) {
         stream.audioContext.close();
       }
     } catch (error) {